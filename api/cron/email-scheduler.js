@@ -2,6 +2,7 @@
 // This runs every minute to check for scheduled emails
 const { sendMail } = require('../../configs/mailer');
 const { db } = require('../../configs/firebase');
+const { markScheduledLetterDelivered } = require('../../utils/letterState');
 require('dotenv').config();
 
 /**
@@ -25,6 +26,13 @@ async function sendScheduledEmail(emailData, emailId) {
     // Send the email (Resend API or SMTP)
     await sendMail(emailData.mailOptions);
 
+    // Move the letter from scheduled to delivered (don't fail the send if this fails)
+    try {
+      await markScheduledLetterDelivered(db, emailData.userId, emailData.letterId);
+    } catch (stateError) {
+      console.error(`Error marking letter delivered (email ID: ${emailId}):`, stateError);
+    }
+
     // Delete the email from scheduledEmails node after successful send
     if (db) {
       const emailRef = db.ref(`scheduledEmails/${emailId}`);
@@ -0,0 +1,52 @@
+// Vercel Cron Job endpoint for recurring letters
+// Prepares the letters (clone, tokens, scheduled emails) of occurrences due in the next day
+const { db } = require('../../configs/firebase');
+const { processDueRecurringLetters } = require('../../utils/recurringLetters');
+require('dotenv').config();
+
+/**
+ * Vercel Cron Job handler
+ */
+module.exports = async (req, res) => {
+  // Optionally verify CRON_SECRET if set
+  if (process.env.CRON_SECRET) {
+    const authHeader = req.headers['authorization'];
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  // In production, only allow Vercel cron requests
+  const cronHeader = req.headers['x-vercel-cron'];
+  if (!cronHeader && process.env.NODE_ENV === 'production') {
+    return res.status(403).json({ error: 'Forbidden: Not a cron request' });
+  }
+
+  try {
+    if (!db) {
+      console.warn('⚠️ Database not available. Skipping recurring letters.');
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const now = new Date();
+    const { prepared, failed } = await processDueRecurringLetters(db, now);
+
+    return res.status(200).json({
+      success: true,
+      message: `Prepared ${prepared} recurring letter(s)`,
+      prepared,
+      failed,
+      checked: now.toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error preparing recurring letters:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to prepare recurring letters',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
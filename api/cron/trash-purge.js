@@ -0,0 +1,52 @@
+// Vercel Cron Job endpoint for the trash purge
+// Permanently deletes letters that have been in the trash longer than TRASH_RETENTION_DAYS
+const { db, storage } = require('../../configs/firebase');
+const { purgeExpiredTrash } = require('../../utils/letterTrash');
+require('dotenv').config();
+
+/**
+ * Vercel Cron Job handler
+ */
+module.exports = async (req, res) => {
+  // Optionally verify CRON_SECRET if set
+  if (process.env.CRON_SECRET) {
+    const authHeader = req.headers['authorization'];
+    if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  // In production, only allow Vercel cron requests
+  const cronHeader = req.headers['x-vercel-cron'];
+  if (!cronHeader && process.env.NODE_ENV === 'production') {
+    return res.status(403).json({ error: 'Forbidden: Not a cron request' });
+  }
+
+  try {
+    if (!db) {
+      console.warn('⚠️ Database not available. Skipping trash purge.');
+      return res.status(503).json({
+        success: false,
+        message: 'Database not available'
+      });
+    }
+
+    const now = new Date();
+    const { purged, failed } = await purgeExpiredTrash(db, storage, now);
+
+    return res.status(200).json({
+      success: true,
+      message: `Purged ${purged} trashed letter(s)`,
+      purged,
+      failed,
+      checked: now.toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error purging trash:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to purge trash',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,303 @@
+// image-upload.js - API endpoints for photo attachments on letters (stored privately in Firebase Storage)
+// Receivers get signed image URLs from GET /api/letters/token/:token
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const { storage, db } = require("../configs/firebase");
+const { verifyAuth, verifyOwnership } = require("../middleware/auth");
+const { sanitizeBody, validateUserIdParam, validateLetterIdParam } = require("../middleware/validation");
+const {
+  MAX_IMAGES_PER_LETTER,
+  MAX_IMAGE_FILE_SIZE,
+  IMAGE_TYPES,
+  processImage,
+  getImageFileNames,
+  normalizeCaption,
+  getOrderedImages,
+  getSignedImageUrls,
+} = require("../utils/letterImages");
+
+// Helper function to retry operations with exponential backoff for network errors
+const retryOperation = async (operation, maxRetries = 3, delay = 1000) => {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      // Check if it's a network error that should be retried
+      const isNetworkError = error.code === 'ECONNRESET' ||
+                            error.code === 'ETIMEDOUT' ||
+                            error.code === 'ENOTFOUND' ||
+                            error.code === 'ECONNREFUSED' ||
+                            (error.message && error.message.includes('ECONNRESET'));
+
+      const isRetryable = error.code === 429 || // Rate limit
+                         error.code === 503 || // Service unavailable
+                         error.code === 500 || // Internal server error
+                         isNetworkError;
+
+      if (isRetryable && attempt < maxRetries - 1) {
+        const waitTime = delay * Math.pow(2, attempt); // Exponential backoff
+        console.warn(`⚠️ Retry attempt ${attempt + 1}/${maxRetries} after ${waitTime}ms for error: ${error.code || error.message}`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+// Middleware to check that the database and storage are initialized
+const checkFirebase = (req, res, next) => {
+  if (!db || !storage) {
+    return res.status(500).json({
+      success: false,
+      message: "Firebase Storage is not configured. Please set FIREBASE_STORAGE_BUCKET in your .env file.",
+    });
+  }
+  next();
+};
+
+// Image ids are Firebase push keys
+const validateImageIdParam = (req, res, next) => {
+  if (!/^[a-zA-Z0-9_-]{1,128}$/.test(req.params.imageId || '')) {
+    return res.status(400).json({ success: false, message: "Invalid image ID" });
+  }
+  next();
+};
+
+// Every image route is for the letter owner only
+const ownerOnly = [validateUserIdParam, validateLetterIdParam, verifyAuth, verifyOwnership, checkFirebase];
+
+// Configure multer to keep the upload in memory (the real type is checked from the file's bytes)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_FILE_SIZE,
+    files: 1,
+  },
+});
+
+const uploadImage = (req, res, next) => {
+  upload.single("image")(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === "LIMIT_FILE_SIZE"
+      ? `Image size exceeds the maximum limit of ${MAX_IMAGE_FILE_SIZE / 1024 / 1024}MB`
+      : "Invalid image upload";
+    return res.status(400).json({ success: false, message });
+  });
+};
+
+const getLetter = async (userId, letterId) => {
+  const snapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+  return snapshot.val();
+};
+
+// Upload a file to Firebase Storage (private - read through signed URLs only)
+const saveFile = (fileName, buffer, contentType, metadata) => retryOperation(() => (
+  storage.file(fileName).save(buffer, {
+    resumable: false,
+    metadata: {
+      contentType,
+      metadata,
+      cacheControl: 'private, max-age=3600',
+    },
+  })
+));
+
+// GET /api/image-upload/:userId/:letterId - List a letter's images in order (with signed URLs)
+router.get("/:userId/:letterId", ...ownerOnly, async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const letter = await getLetter(userId, letterId);
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    res.status(200).json({ success: true, images: await getSignedImageUrls(storage, letter) });
+  } catch (error) {
+    console.error("❌ Error fetching letter images:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching letter images",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// POST /api/image-upload/:userId/:letterId - Attach an image to a letter (multipart: image, caption)
+router.post("/:userId/:letterId", ...ownerOnly, uploadImage, sanitizeBody, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "No image file uploaded" });
+    }
+
+    const { userId, letterId } = req.params;
+    const { caption, error: captionError } = normalizeCaption(req.body.caption);
+    if (captionError) {
+      return res.status(400).json({ success: false, message: captionError });
+    }
+
+    const letter = await getLetter(userId, letterId);
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    const images = getOrderedImages(letter);
+    if (images.length >= MAX_IMAGES_PER_LETTER) {
+      return res.status(400).json({
+        success: false,
+        message: `A letter can have at most ${MAX_IMAGES_PER_LETTER} images`,
+      });
+    }
+
+    const processed = await processImage(req.file.buffer);
+    if (processed.error) {
+      return res.status(400).json({ success: false, message: processed.error });
+    }
+
+    const imageRef = db.ref(`users/${userId}/letters/${letterId}/images`).push();
+    const { fileName, thumbnailFileName } = getImageFileNames(userId, letterId, imageRef.key, processed.type);
+    const { mimeType } = IMAGE_TYPES[processed.type];
+    const uploadedAt = new Date().toISOString();
+    const fileMetadata = { uploadedBy: userId, letterId, uploadedAt };
+
+    console.log(`📤 Uploading letter image: ${fileName} (${(processed.image.length / 1024).toFixed(0)} KB)`);
+    await saveFile(fileName, processed.image, mimeType, fileMetadata);
+    await saveFile(thumbnailFileName, processed.thumbnail, mimeType, fileMetadata);
+
+    const image = {
+      fileName,
+      thumbnailFileName,
+      caption,
+      order: images.length > 0 ? images[images.length - 1].order + 1 : 0,
+      width: processed.width,
+      height: processed.height,
+      size: processed.image.length,
+      mimeType,
+      uploadedAt,
+    };
+    await imageRef.set(image);
+
+    console.log(`✅ Image attached to letter ${letterId}: ${imageRef.key}`);
+
+    const [signedImage] = await getSignedImageUrls(storage, { images: { [imageRef.key]: image } });
+    res.status(201).json({
+      success: true,
+      message: "Image uploaded successfully",
+      image: signedImage,
+    });
+  } catch (error) {
+    console.error("❌ Error uploading letter image:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload image",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// PUT /api/image-upload/:userId/:letterId/order - Reorder a letter's images
+// Body: { imageIds: [...] } listing every image of the letter in the new order
+router.put("/:userId/:letterId/order", sanitizeBody, ...ownerOnly, async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const { imageIds } = req.body;
+
+    const letter = await getLetter(userId, letterId);
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    const currentIds = Object.keys(letter.images || {});
+    if (!Array.isArray(imageIds)
+      || imageIds.length !== currentIds.length
+      || new Set(imageIds).size !== imageIds.length
+      || !imageIds.every((imageId) => currentIds.includes(imageId))) {
+      return res.status(400).json({
+        success: false,
+        message: "imageIds must list every image of the letter exactly once",
+      });
+    }
+
+    const updates = {};
+    imageIds.forEach((imageId, index) => {
+      updates[`${imageId}/order`] = index;
+    });
+    await db.ref(`users/${userId}/letters/${letterId}/images`).update(updates);
+
+    res.status(200).json({ success: true, message: "Images reordered", imageIds });
+  } catch (error) {
+    console.error("❌ Error reordering letter images:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reordering letter images",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// PUT /api/image-upload/:userId/:letterId/:imageId - Update an image's caption
+router.put("/:userId/:letterId/:imageId", sanitizeBody, ...ownerOnly, validateImageIdParam, async (req, res) => {
+  try {
+    const { userId, letterId, imageId } = req.params;
+    const { caption, error } = normalizeCaption(req.body.caption);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const imageRef = db.ref(`users/${userId}/letters/${letterId}/images/${imageId}`);
+    const snapshot = await imageRef.once("value");
+    if (!snapshot.exists()) {
+      return res.status(404).json({ success: false, message: "Image not found" });
+    }
+
+    await imageRef.update({ caption });
+
+    res.status(200).json({ success: true, message: "Caption updated", image: { id: imageId, caption } });
+  } catch (error) {
+    console.error("❌ Error updating image caption:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating image caption",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// DELETE /api/image-upload/:userId/:letterId/:imageId - Remove an image from a letter
+router.delete("/:userId/:letterId/:imageId", ...ownerOnly, validateImageIdParam, async (req, res) => {
+  try {
+    const { userId, letterId, imageId } = req.params;
+    const imageRef = db.ref(`users/${userId}/letters/${letterId}/images/${imageId}`);
+    const snapshot = await imageRef.once("value");
+    const image = snapshot.val();
+
+    if (!image) {
+      return res.status(404).json({ success: false, message: "Image not found" });
+    }
+
+    await imageRef.remove();
+
+    for (const fileName of [image.fileName, image.thumbnailFileName].filter(Boolean)) {
+      try {
+        await storage.file(fileName).delete({ ignoreNotFound: true });
+      } catch (storageError) {
+        console.error("⚠️ Warning: Failed to delete image from storage:", storageError);
+        // Don't fail the request if storage deletion fails
+      }
+    }
+
+    console.log(`✅ Image ${imageId} removed from letter ${letterId}`);
+    res.status(200).json({ success: true, message: "Image deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting letter image:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting letter image",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+// API endpoints for letter templates (users/{userId}/letterTemplates)
+// Letters are created from a template with POST /api/letters/:userId/from-template/:templateId
+const express = require("express");
+const router = express.Router();
+const { db } = require("../configs/firebase");
+const { verifyAuth, verifyOwnership } = require("../middleware/auth");
+const { sanitizeBody, validateUserIdParam } = require("../middleware/validation");
+const { normalizeTemplate, getTemplatePlaceholders } = require("../utils/letterTemplates");
+
+// Middleware to check if Firebase is initialized
+const checkFirebase = (req, res, next) => {
+  if (!db) {
+    return res.status(500).json({
+      message: "Firebase is not initialized. Please check your environment variables.",
+      error: "Firebase Admin SDK not configured"
+    });
+  }
+  next();
+};
+
+// Template ids are Firebase push keys
+const validateTemplateIdParam = (req, res, next) => {
+  if (!/^[a-zA-Z0-9_-]{1,128}$/.test(req.params.templateId || '')) {
+    return res.status(400).json({ success: false, message: "Invalid template ID" });
+  }
+  next();
+};
+
+// Every template route is for the template owner only
+const ownerOnly = [validateUserIdParam, verifyAuth, verifyOwnership, checkFirebase];
+
+const toTemplateResponse = (id, template) => ({
+  id,
+  ...template,
+  placeholders: getTemplatePlaceholders(template),
+});
+
+// GET /api/letter-templates/:userId - List a user's templates (newest first)
+router.get("/:userId", ...ownerOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/letterTemplates`).once("value");
+    const templates = snapshot.val() || {};
+
+    const templatesArray = Object.entries(templates)
+      .map(([id, template]) => toTemplateResponse(id, template))
+      .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt));
+
+    res.status(200).json({ success: true, templates: templatesArray });
+  } catch (error) {
+    console.error("❌ Error fetching letter templates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching letter templates",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letter-templates/:userId/:templateId - Get one template
+router.get("/:userId/:templateId", ...ownerOnly, validateTemplateIdParam, async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/letterTemplates/${templateId}`).once("value");
+    const template = snapshot.val();
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+
+    res.status(200).json({ success: true, template: toTemplateResponse(templateId, template) });
+  } catch (error) {
+    console.error("❌ Error fetching letter template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching letter template",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/letter-templates/:userId - Create a template
+router.post("/:userId", sanitizeBody, ...ownerOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { template, error } = normalizeTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const now = new Date().toISOString();
+    template.createdAt = now;
+    template.updatedAt = now;
+
+    const templateRef = db.ref(`users/${userId}/letterTemplates`).push();
+    await templateRef.set(template);
+
+    console.log(`✅ Letter template created for user ${userId}:`, { templateId: templateRef.key });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created",
+      template: toTemplateResponse(templateRef.key, template)
+    });
+  } catch (error) {
+    console.error("❌ Error creating letter template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating letter template",
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/letter-templates/:userId/:templateId - Update a template (only the fields provided)
+router.put("/:userId/:templateId", sanitizeBody, ...ownerOnly, validateTemplateIdParam, async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    const templateRef = db.ref(`users/${userId}/letterTemplates/${templateId}`);
+    const snapshot = await templateRef.once("value");
+    const existing = snapshot.val();
+
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+
+    const { template: updates, error } = normalizeTemplate(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    updates.updatedAt = new Date().toISOString();
+    await templateRef.update(updates);
+
+    res.status(200).json({
+      success: true,
+      message: "Template updated",
+      template: toTemplateResponse(templateId, { ...existing, ...updates })
+    });
+  } catch (error) {
+    console.error("❌ Error updating letter template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating letter template",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letter-templates/:userId/:templateId - Delete a template (letters made from it are kept)
+router.delete("/:userId/:templateId", ...ownerOnly, validateTemplateIdParam, async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    const templateRef = db.ref(`users/${userId}/letterTemplates/${templateId}`);
+    const snapshot = await templateRef.once("value");
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+
+    await templateRef.remove();
+
+    res.status(200).json({ success: true, message: "Template deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting letter template:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting letter template",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,34 @@
 // API endpoint for managing letters
 const express = require("express");
 const router = express.Router();
-const crypto = require("crypto");
 const rateLimit = require("express-rate-limit");
-const { db, storage } = require("../configs/firebase");
-const { verifyAuth, verifyOwnership } = require("../middleware/auth");
-const { sanitizeBody, validateTokenParam, validateUserIdParam, validateLetterIdParam, anonymizeIP } = require("../middleware/validation");
-const { logTokenAccess, logSecurityValidation, logRateLimitViolation } = require("../middleware/audit");
+const { admin, db, storage } = require("../configs/firebase");
+const { sendMail } = require("../configs/mailer");
+const { verifyAuth, verifyOwnership, optionalAuth } = require("../middleware/auth");
+const { sanitizeBody, sanitizeString, isValidToken, validateTokenParam, validateUserIdParam, validateLetterIdParam, anonymizeIP } = require("../middleware/validation");
+const { logSecurityEvent, logTokenAccess, logSecurityValidation, logRateLimitViolation } = require("../middleware/audit");
+const { pickRevisionFields, hasRevisionChanges, saveLetterRevision, getLetterRevisions, deleteLetterRevisions, diffRevisionFields } = require("../utils/letterRevisions");
+const { SENDER_SETTABLE_STATES, getLetterState, buildStateTransition } = require("../utils/letterState");
+const { createUnlockGrant, verifyUnlockGrant, getUnlockGrantFromRequest } = require("../utils/unlockGrant");
+const { prepareSecurityConfig, checkSecurityAnswer, needsRehash, rehashSecurityConfig, toPublicSecurityConfig } = require("../utils/securityChallenges");
+const { recordFailedAttemptForHints, getTokenHints } = require("../utils/securityHints");
+const { MAX_PLACEHOLDER_VALUE_LENGTH, renderTemplateToLetter } = require("../utils/letterTemplates");
+const { getReaderKey, buildThread, normalizeThreadMessage, buildReadReceiptUpdates } = require("../utils/letterThread");
+const { getSignedImageUrls } = require("../utils/letterImages");
+const { renderLetterPdf, canRenderLetterPdf, getLetterPdfFileName } = require("../utils/letterPdf");
+const { parsePagingQuery, parseLetterListingQuery, matchesLetterFilters, isWithinDateRange, fetchNewestFirstPage } = require("../utils/letterListing");
+const { indexResponse, removeIndexedResponse, reindexLetterResponses, ensureResponseIndex } = require("../utils/responseIndex");
+const { MAX_REACTIONS_PER_TARGET, isValidEmoji, normalizeReactionInput, getLetterReactions, buildReactionSummary, buildReactionUpdates } = require("../utils/letterReactions");
+const { createLetterToken, mintRecipientTokens } = require("../utils/letterTokens");
+const { MAX_RECIPIENTS, normalizeRecipients } = require("../utils/letterRecipients");
+const { scheduleLetterEmail, getLetterLink, getSenderName, buildContributorInviteMailOptions, getContributionLink } = require("../utils/letterEmail");
+const { MAX_CONTRIBUTORS, isOpenForContributions, normalizeContributorInvites, normalizeContribution, createContributionInvite, listContributors, getFinalContributions, buildContributorOrderUpdates } = require("../utils/letterContributors");
+const { EXPORT_FORMATS, buildArchive, renderArchiveMarkdown, normalizeArchive, buildImportedLetter } = require("../utils/letterArchive");
+const { MAX_ANNOTATIONS_PER_READER, normalizeNote, normalizeAnnotationInput, listAnnotations, buildAnnotationRemapUpdates } = require("../utils/letterAnnotations");
+const { MAX_EVENTS_PER_TOKEN, normalizeReadingEvents } = require("../utils/readingEvents");
+const { ANALYTICS_INTERVALS, getLetterTokenHistory, buildLetterAnalytics } = require("../utils/letterAnalytics");
+const { getPurgeAfter, moveLetterToTrash, restoreLetterFromTrash, purgeTrashedLetter } = require("../utils/letterTrash");
+const { normalizeLockoutPolicy, getLockoutPolicy, getActiveLockout, recordFailedAttempt, resetFailedAttempts, clearLockout } = require("../utils/securityLockout");
 
 // Security: Only log requests in development mode
 if (process.env.NODE_ENV === 'development') {
@@ -24,18 +46,207 @@ if (process.env.NODE_ENV === 'development') {
   });
 }
 
-// Helper function to generate secure token
-const generateToken = () => {
-  return crypto.randomBytes(32).toString('hex');
+// Helper function to find the primary recipient (the one holding the letter's legacy accessToken)
+const getPrimaryRecipientId = (letter) => {
+  const recipients = letter.recipients || {};
+  return Object.keys(recipients).find(id => recipients[id].accessToken === letter.accessToken)
+    || Object.keys(recipients)[0]
+    || null;
 };
 
-// Helper function to hash security answers
-const hashAnswer = (answer) => {
-  if (!answer) return null;
-  // Normalize the answer: trim, lowercase, remove extra spaces
-  const normalized = String(answer).trim().toLowerCase().replace(/\s+/g, ' ');
-  // Create SHA-256 hash
-  return crypto.createHash('sha256').update(normalized).digest('hex');
+// Helper function to resolve which recipient a token belongs to
+// Returns null for legacy single-token letters or tokens that don't belong to this letter
+const resolveRecipientFromToken = async (letter, userId, letterId, token) => {
+  if (!token || !isValidToken(token) || !letter.recipients) return null;
+
+  const tokenSnapshot = await db.ref(`letterTokens/${token}`).once("value");
+  const tokenData = tokenSnapshot.val();
+
+  if (!tokenData || tokenData.userId !== userId || tokenData.letterId !== letterId || !tokenData.recipientId) {
+    return null;
+  }
+
+  const recipient = letter.recipients[tokenData.recipientId];
+  return recipient ? { id: tokenData.recipientId, ...recipient } : null;
+};
+
+// Helper function to record a recipient's first read and tell the sender who read the letter
+const recordRecipientRead = async (userId, letterId, letter, recipient) => {
+  if (!recipient || recipient.readAt) return;
+
+  const readAt = new Date().toISOString();
+  await db.ref(`users/${userId}/letters/${letterId}/recipients/${recipient.id}`).update({
+    status: 'read',
+    readAt
+  });
+
+  try {
+    const notificationRef = db.ref(`users/${userId}/notifications`).push();
+    await notificationRef.set({
+      type: 'letter_read',
+      letterId: letterId,
+      letterTitle: letter.introductory || 'Your Letter',
+      recipientId: recipient.id,
+      receiverName: recipient.name || recipient.email || 'Your loved one',
+      message: `${recipient.name || recipient.email || 'Your loved one'} read your letter "${letter.introductory || 'Untitled Letter'}"! 💌`,
+      read: false,
+      createdAt: readAt,
+    });
+  } catch (notificationError) {
+    console.error('❌ Error creating recipient read notification:', notificationError);
+    // Don't fail if notification creation fails
+  }
+};
+
+// Helper function to validate an "open when" unlock time (null clears it)
+// Returns { unlockAt } or { error } with a message suitable for a 400 response
+const normalizeUnlockAt = (unlockAt) => {
+  if (unlockAt === null || unlockAt === '') return { unlockAt: null };
+  const unlockDate = new Date(unlockAt);
+  if (isNaN(unlockDate.getTime())) {
+    return { error: "Invalid unlock date/time format" };
+  }
+  return { unlockAt: unlockDate.toISOString() };
+};
+
+// Helper function to check whether a time-locked ("open when") letter is still locked
+const isLetterTimeLocked = (letter, now = new Date()) => {
+  return !!letter.unlockAt && new Date(letter.unlockAt) > now;
+};
+
+// Helper function to build the teaser for a time-locked letter - never includes the letter body
+const buildLockedLetterTeaser = (letter, recipient = null) => {
+  const msUntilUnlock = Math.max(0, new Date(letter.unlockAt) - new Date());
+  return {
+    isLocked: true,
+    unlockAt: letter.unlockAt,
+    secondsUntilUnlock: Math.ceil(msUntilUnlock / 1000),
+    receiverName: (recipient && recipient.name) || letter.receiverName || "",
+    previewLine: letter.previewLine || ""
+  };
+};
+
+// Letter body fields removed when a self-destructing letter is purged (metadata is kept)
+// (annotations quote the text they highlight, contributors hold the sections friends wrote,
+// revisions only for letters edited before the history moved to letterRevisions)
+const PURGEABLE_LETTER_FIELDS = ['content', 'introductory', 'mainBody', 'closing', 'revisions', 'annotations', 'contributors'];
+
+// Helper function to validate view limits / burn-after-reading settings from a request body
+// Returns { settings } (only the fields that were provided) or { error }
+const normalizeSelfDestructSettings = ({ maxViews, burnAfterReadingMinutes, purgeOnBurn }) => {
+  const settings = {};
+
+  if (maxViews !== undefined) {
+    const views = maxViews === null || maxViews === '' ? null : Number(maxViews);
+    if (views !== null && (!Number.isInteger(views) || views < 1 || views > 1000)) {
+      return { error: "maxViews must be a whole number between 1 and 1000" };
+    }
+    settings.maxViews = views;
+  }
+
+  if (burnAfterReadingMinutes !== undefined) {
+    const minutes = burnAfterReadingMinutes === null || burnAfterReadingMinutes === '' ? null : Number(burnAfterReadingMinutes);
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 525600)) {
+      return { error: "burnAfterReadingMinutes must be a whole number of minutes (up to one year)" };
+    }
+    settings.burnAfterReadingMinutes = minutes;
+  }
+
+  if (purgeOnBurn !== undefined) {
+    settings.purgeOnBurn = purgeOnBurn === true || purgeOnBurn === 'true';
+  }
+
+  return { settings };
+};
+
+// Helper function to check whether a token's burn-after-reading window has passed
+const hasBurnWindowElapsed = (letter, tokenData, now = new Date()) => {
+  if (!letter.burnAfterReadingMinutes || !tokenData.firstAccessedAt) return false;
+  const burnsAt = new Date(tokenData.firstAccessedAt).getTime() + letter.burnAfterReadingMinutes * 60 * 1000;
+  return now.getTime() >= burnsAt;
+};
+
+// Helper function to self-destruct a letter token once its view limit or burn window is used up.
+// When every token of the letter is gone, the letter itself self-destructs: it is marked, optionally
+// purged of its body, and the sender is notified.
+const selfDestructLetterToken = async (userId, letterId, letter, token, tokenData, reason) => {
+  const destroyedAt = new Date().toISOString();
+  await db.ref(`letterTokens/${token}`).update({
+    selfDestructedAt: destroyedAt,
+    selfDestructReason: reason
+  });
+  console.log(`🔥 Token self-destructed (${reason}): ${token.substring(0, 8)}...`);
+
+  // Multi-recipient letters only self-destruct once every recipient's token is used up
+  const otherTokens = Object.values(letter.recipients || {})
+    .map(recipient => recipient.accessToken)
+    .filter(otherToken => otherToken && otherToken !== token);
+  for (const otherToken of otherTokens) {
+    const otherSnapshot = await db.ref(`letterTokens/${otherToken}`).once("value");
+    const otherData = otherSnapshot.val();
+    if (otherData && otherData.isActive !== false && !otherData.selfDestructedAt) {
+      return false;
+    }
+  }
+
+  const letterUpdates = {
+    selfDestructedAt: destroyedAt,
+    selfDestructReason: reason,
+    updatedAt: destroyedAt
+  };
+  if (letter.purgeOnBurn) {
+    PURGEABLE_LETTER_FIELDS.forEach((field) => { letterUpdates[field] = null; });
+    letterUpdates.bodyPurgedAt = destroyedAt;
+  }
+  await db.ref(`users/${userId}/letters/${letterId}`).update(letterUpdates);
+  if (letter.purgeOnBurn) {
+    await deleteLetterRevisions(db, userId, letterId);
+  }
+  console.log(`🔥 Letter ${letterId} self-destructed${letter.purgeOnBurn ? ' and its body was purged' : ''}`);
+
+  try {
+    const recipient = tokenData.recipientId && letter.recipients ? letter.recipients[tokenData.recipientId] : null;
+    const notificationRef = db.ref(`users/${userId}/notifications`).push();
+    await notificationRef.set({
+      type: 'letter_self_destructed',
+      letterId: letterId,
+      letterTitle: letter.introductory || 'Your Letter',
+      reason: reason,
+      receiverName: (recipient && recipient.name) || letter.receiverName || null,
+      message: `Your letter "${letter.introductory || 'Untitled Letter'}" has been read and has now faded away, just as you wished. 🕯️`,
+      read: false,
+      createdAt: destroyedAt,
+    });
+  } catch (notificationError) {
+    console.error('❌ Error creating self-destruct notification:', notificationError);
+    // Don't fail if notification creation fails
+  }
+
+  return true;
+};
+
+// Letter fields that are kept for the sender only and never returned to receivers
+// (recipients holds every recipient's email and token, securityLockout the failed-answer count,
+// thread every recipient's conversation - receivers read theirs from /token/:token/thread,
+// tokenRenewals the replaced tokens, reactions/reactionHistory and annotations every recipient's
+// reactions and notes - receivers read theirs from /token/:token/reactions and /token/:token/annotations,
+// contributors their emails and invite tokens - receivers get the signed sections as `contributions`)
+const PRIVATE_LETTER_FIELDS = ['revisions', 'recipients', 'securityLockout', 'lockoutPolicy', 'thread', 'tokenRenewals', 'reactions', 'reactionHistory', 'annotations', 'contributors'];
+
+// Helper function to remove sender-only fields from a letter before sending it to a receiver
+const stripPrivateLetterFields = (letter) => {
+  const publicLetter = { ...letter };
+  PRIVATE_LETTER_FIELDS.forEach((field) => delete publicLetter[field]);
+  if (publicLetter.securityConfig) {
+    publicLetter.securityConfig = toPublicSecurityConfig(publicLetter.securityConfig);
+  }
+  return publicLetter;
+};
+
+// Helper function to drop the (potentially large) revision history from sender-facing payloads
+const stripLetterHistory = (letter) => {
+  const { revisions, ...letterData } = letter;
+  return letterData;
 };
 
 // Rate limiting for token access (prevent abuse)
@@ -56,6 +267,15 @@ const tokenRegenerationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for reading events (the letter page sends them in small batches while it's open)
+const readingEventsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 120, // 120 batches per 15 minutes per IP
+  message: 'Too many requests. Please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiting for security answer validation (romantic approach)
 const securityAnswerLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -63,17 +283,285 @@ const securityAnswerLimiter = rateLimit({
   handler: async (req, res) => {
     // Log rate limit violation
     await logRateLimitViolation(req, 'security_validation');
+
+    // Share the latest hint this token has earned, if the sender left any
+    let hints = [];
+    try {
+      const { userId, letterId } = req.params;
+      const token = req.body && req.body.token;
+      if (db && token && isValidToken(token)) {
+        const configSnapshot = await db.ref(`users/${userId}/letters/${letterId}/securityConfig`).once("value");
+        hints = await getTokenHints(db, token, userId, letterId, configSnapshot.val());
+      }
+    } catch (hintError) {
+      console.error('❌ Error loading hints for rate-limited request:', hintError);
+    }
+
     res.status(429).json({
       success: false,
       message: "Take a gentle breath, dear one. Too many attempts have been made. Please wait a moment and try again with patience and care. 💕",
-      hint: "The answer will come to you when you're ready."
+      hint: hints.length > 0 ? hints[hints.length - 1] : "The answer will come to you when you're ready.",
+      hints
     });
   },
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: true, // Don't count successful attempts
+  // Wrong answers are still 200 responses, so only a correct answer counts as successful
+  requestWasSuccessful: (req, res) => res.locals.securityAnswerCorrect === true,
 });
 
+// Helper function to alert the sender when a letter gets locked after too many wrong answers
+const notifySecurityLockout = async (req, userId, letterId, letter, token, lockedUntil) => {
+  const policy = getLockoutPolicy(letter);
+  const recipient = await resolveRecipientFromToken(letter, userId, letterId, token);
+  const letterTitle = letter.introductory || 'Your Letter';
+
+  await logSecurityEvent('security_lockout', {
+    letterId,
+    failedAttempts: policy.maxFailedAttempts,
+    lockedUntil,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+  });
+
+  try {
+    const notificationRef = db.ref(`users/${userId}/notifications`).push();
+    await notificationRef.set({
+      type: 'letter_security_lockout',
+      letterId: letterId,
+      letterTitle: letterTitle,
+      ...(recipient ? { recipientId: recipient.id, recipientName: recipient.name || null } : {}),
+      message: `Someone answered the question on "${letterTitle}" wrong ${policy.maxFailedAttempts} times, so it's locked for ${policy.lockoutMinutes} minutes. 🔒`,
+      lockedUntil: lockedUntil,
+      read: false,
+      createdAt: new Date().toISOString(),
+    });
+    console.log('✅ Notification created for security lockout');
+  } catch (notificationError) {
+    console.error('❌ Error creating lockout notification:', notificationError);
+    // Don't fail if notification creation fails
+  }
+};
+
+// Middleware to make sure the caller may read a letter's private content (responses, voice messages).
+// Passes for the sender (Firebase ID token for the owner) or for a receiver of an open letter;
+// letters with a security challenge additionally need a valid unlock grant from validate-security.
+// Sets req.letterAccess = { isOwner, recipientId } (recipientId is the recipient a grant was issued for).
+const requireLetterAccess = async (req, res, next) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    // The sender can always access their own letter
+    const authHeader = req.headers.authorization;
+    if (admin && authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+        if (decodedToken.uid === userId) {
+          req.letterAccess = { isOwner: true };
+          return next();
+        }
+      } catch (authError) {
+        // Not a valid sender token - fall through to the receiver checks
+      }
+    }
+
+    const letterSnapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    const letter = letterSnapshot.val();
+
+    // Let the route handler respond with its own "not found" message
+    if (!letter) {
+      return next();
+    }
+
+    if (isLetterTimeLocked(letter)) {
+      return res.status(403).json({
+        success: false,
+        message: "This letter isn't ready to be opened yet. Good things come to those who wait. ⏳",
+        unlockAt: letter.unlockAt
+      });
+    }
+
+    // A letter token in the request (?token= or body) must belong to the recipient the grant was issued for
+    let grantData = null;
+    if (letter.securityType) {
+      const requestToken = req.query.token || req.body?.token;
+      const tokenRecipient = requestToken ? await resolveRecipientFromToken(letter, userId, letterId, requestToken) : null;
+      grantData = verifyUnlockGrant(getUnlockGrantFromRequest(req), userId, letterId, requestToken ? (tokenRecipient ? tokenRecipient.id : null) : undefined);
+      if (!grantData) {
+        return res.status(403).json({
+          success: false,
+          requiresUnlock: true,
+          message: "This letter is waiting for the right answer before it opens. 💌"
+        });
+      }
+    }
+
+    req.letterAccess = { isOwner: false, recipientId: grantData ? grantData.recipientId : null };
+    next();
+  } catch (error) {
+    console.error("❌ Error checking letter access:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while opening your letter. Please try again in a moment. 🌙"
+    });
+  }
+};
+
+// Middleware for receiver routes under /token/:token. Checks the token and letter the same way
+// GET /token/:token does (without counting a view) and sets req.tokenAccess for the handler.
+const resolveLetterToken = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const tokenSnapshot = await db.ref(`letterTokens/${token}`).once("value");
+    const tokenData = tokenSnapshot.val();
+
+    if (!tokenData) {
+      await logTokenAccess(req, token, false, 'token_not_found');
+      return res.status(404).json({ 
+        message: "This link seems to have wandered away. It may have been changed or the letter may have been moved. Please check with the sender for a new link. 💔"
+      });
+    }
+    if (tokenData.isActive === false || (tokenData.expiresAt && new Date(tokenData.expiresAt) < new Date())) {
+      await logTokenAccess(req, token, false, tokenData.isActive === false ? 'token_revoked' : 'token_expired');
+      return res.status(410).json({ 
+        message: "This link has reached the end of its journey. Please ask the sender for a new link to access your letter. 💕"
+      });
+    }
+
+    const { userId, letterId } = tokenData;
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter || getLetterState(letter) === 'draft') {
+      return res.status(404).json({ 
+        message: "This letter seems to have been moved or removed. It may have been deleted by the sender. Please check with them. 💔"
+      });
+    }
+    if (isLetterTimeLocked(letter)) {
+      return res.status(403).json({ 
+        message: "This letter isn't ready to be opened yet. Good things come to those who wait. ⏳",
+        unlockAt: letter.unlockAt
+      });
+    }
+    if (letter.selfDestructedAt || tokenData.selfDestructedAt || hasBurnWindowElapsed(letter, tokenData)) {
+      return res.status(410).json({ 
+        message: "This letter was meant to be read only for a little while, and it has now faded away like a whisper. 🕯️",
+        selfDestructed: true
+      });
+    }
+    if (letter.securityType && !verifyUnlockGrant(getUnlockGrantFromRequest(req), userId, letterId, tokenData.recipientId || null)) {
+      return res.status(403).json({
+        success: false,
+        requiresUnlock: true,
+        message: "This letter is waiting for the right answer before it opens. 💌"
+      });
+    }
+
+    const recipient = tokenData.recipientId && letter.recipients && letter.recipients[tokenData.recipientId]
+      ? { id: tokenData.recipientId, ...letter.recipients[tokenData.recipientId] }
+      : null;
+
+    req.tokenAccess = { token, tokenData, userId, letterId, letter, letterRef, recipient };
+    next();
+  } catch (error) {
+    console.error("❌ Error resolving letter token:", error);
+    res.status(500).json({ 
+      message: "Something unexpected happened while loading your letter. Please try again in a moment. 🌙"
+    });
+  }
+};
+
+// Helper function to render a letter to PDF and send it as a download
+const sendLetterPdf = async (res, { userId, letter, receiverName, thread }) => {
+  const pdfOptions = {
+    letter,
+    senderName: await getSenderName(db, userId),
+    receiverName,
+    thread,
+    contributions: getFinalContributions(letter),
+  };
+  // The PDF fonts only cover Western European (Latin-1) text, so don't send a PDF with words left out
+  if (!canRenderLetterPdf(pdfOptions)) {
+    return res.status(422).json({
+      success: false,
+      message: "This letter is written in characters our PDF stationery can't print yet. It can still be read online. 💌"
+    });
+  }
+  const pdf = await renderLetterPdf(pdfOptions);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${getLetterPdfFileName(letter)}"`);
+  res.setHeader("Content-Length", pdf.length);
+  res.status(200).send(pdf);
+};
+
+// Helper function to tell the sender a receiver wrote back (responses and thread replies)
+const notifySenderOfResponse = async (userId, letterId, letter, receiverName, extra = {}) => {
+  try {
+    const name = receiverName || letter.receiverName || 'Your loved one';
+    const notificationRef = db.ref(`users/${userId}/notifications`).push();
+    await notificationRef.set({
+      type: "letter_response",
+      letterId: letterId,
+      letterTitle: letter.introductory || letter.title || 'Your Letter',
+      receiverName: name,
+      message: `${name} wrote back to your letter "${letter.introductory || letter.title || 'Untitled Letter'}"! 💌`,
+      read: false,
+      createdAt: new Date().toISOString(),
+      ...extra,
+    });
+    console.log(`✅ Notification created for letter response from ${name}`);
+  } catch (notificationError) {
+    console.error("❌ Error creating letter response notification:", notificationError);
+    // Don't fail the request if notification creation fails
+  }
+};
+
+// Helper function to move receivers' highlights along with an edit (or mark them stale)
+const remapLetterAnnotations = async (letterRef, letter, updatedLetter) => {
+  const annotationUpdates = buildAnnotationRemapUpdates(letter, updatedLetter);
+  if (Object.keys(annotationUpdates).length > 0) {
+    await letterRef.update(annotationUpdates);
+  }
+};
+
+// How a reaction target reads in a notification
+const REACTION_TARGET_LABELS = { letter: 'your letter', introductory: 'the opening of your letter', mainBody: 'the body of your letter', closing: 'the closing of your letter' };
+
+// Helper function to save a receiver's reactions on a target and tell the sender about new ones
+const saveLetterReaction = async (userId, letterId, letter, letterRef, { recipient, target, emoji }) => {
+  const recipientId = recipient ? recipient.id : null;
+  const { updates, added, removed } = buildReactionUpdates(letter, { recipientId, target, emoji }, () => letterRef.child('reactionHistory').push().key);
+  if (added.length === 0 && removed.length === 0) {
+    return { added, removed };
+  }
+  await letterRef.update(updates);
+
+  if (added.length > 0) {
+    try {
+      const name = (recipient && recipient.name) || letter.receiverName || 'Your loved one';
+      const notificationRef = db.ref(`users/${userId}/notifications`).push();
+      await notificationRef.set({
+        type: 'letter_reaction',
+        letterId: letterId,
+        letterTitle: letter.introductory || 'Your Letter',
+        receiverName: name,
+        recipientId: recipientId,
+        target: target,
+        emoji: added,
+        message: `${name} reacted ${added.join(' ')} to ${REACTION_TARGET_LABELS[target]} "${letter.introductory || 'Untitled Letter'}"`,
+        read: false,
+        createdAt: new Date().toISOString(),
+      });
+    } catch (notificationError) {
+      console.error('❌ Error creating reaction notification:', notificationError);
+      // Don't fail the request if notification creation fails
+    }
+  }
+  return { added, removed };
+};
+
 // Middleware to check if Firebase is initialized
 const checkFirebase = (req, res, next) => {
   if (!db) {
@@ -86,61 +574,43 @@ const checkFirebase = (req, res, next) => {
 
 // GET /api/letters/responses/all/:userId - Get all responses across all letters for a user
 // Using a more specific path to avoid any route conflicts
-router.get("/responses/all/:userId", checkFirebase, async (req, res) => {
+// Reads the response index (one query). Optional: from, to (createdAt range) and limit/cursor
+// for pages of { responses, nextCursor } - without them the full list is returned as before.
+router.get("/responses/all/:userId",
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the responses
+  checkFirebase,
+  async (req, res) => {
   try {
     const { userId } = req.params;
-    console.log(`✅ Route /responses/all/:userId matched for userId: ${userId}`);
     console.log(`🔍 GET /api/letters/responses/all/${userId} - Fetching all responses`);
 
-    // Fetch all letters for the user
-    const lettersRef = db.ref(`users/${userId}/letters`);
-    console.log(`📂 Checking path: users/${userId}/letters`);
-    const lettersSnapshot = await lettersRef.once("value");
-    const letters = lettersSnapshot.val();
-
-    if (!letters) {
-      console.log(`ℹ️ No letters found for userId: ${userId}`);
-      return res.status(200).json([]);
+    const { options, error } = parsePagingQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    console.log(`✅ Found ${Object.keys(letters).length} letters for userId: ${userId}`);
-
-    // Fetch all responses from all letters
-    const allResponses = [];
-    const letterIds = Object.keys(letters);
-
-    for (const letterId of letterIds) {
-      const responsesPath = `users/${userId}/letters/${letterId}/responses`;
-      console.log(`📂 Checking responses at: ${responsesPath}`);
-      const responsesRef = db.ref(responsesPath);
-      const responsesSnapshot = await responsesRef.once("value");
-      const responses = responsesSnapshot.val();
-
-      if (responses) {
-        console.log(`✅ Found ${Object.keys(responses).length} responses for letter ${letterId}`);
-        // Convert responses object to array and add letter info
-        const responsesArray = Object.keys(responses).map(key => ({
-          id: key,
-          responseId: key,
-          letterId: letterId,
-          letterTitle: letters[letterId].introductory || letters[letterId].title || 'Untitled Letter',
-          letterCreatedAt: letters[letterId].createdAt,
-          ...responses[key]
-        }));
-        allResponses.push(...responsesArray);
-      } else {
-        console.log(`ℹ️ No responses found for letter ${letterId}`);
-      }
+    // Users whose responses predate the index get it built from their letters first
+    await ensureResponseIndex(db, userId);
+    const indexRef = db.ref(`users/${userId}/responseIndex`);
+    const toResponse = (entry) => ({ ...entry, responseId: entry.id });
+
+    if (options.paginate) {
+      const { items, nextCursor } = await fetchNewestFirstPage(indexRef, options);
+      console.log(`📤 Returning ${items.length} responses (page)`);
+      return res.status(200).json({
+        success: true,
+        responses: items.map(toResponse),
+        nextCursor
+      });
     }
 
-    console.log(`✅ Total responses found: ${allResponses.length}`);
-
-    // Sort by creation date (newest first)
-    allResponses.sort((a, b) => {
-      const dateA = new Date(a.createdAt || 0);
-      const dateB = new Date(b.createdAt || 0);
-      return dateB - dateA;
-    });
+    const snapshot = await indexRef.once("value");
+    const allResponses = Object.entries(snapshot.val() || {})
+      .map(([id, entry]) => toResponse({ id, ...entry }))
+      .filter((response) => isWithinDateRange(response, options))
+      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)); // Newest first
 
     console.log(`📤 Returning ${allResponses.length} responses`);
     res.status(200).json(allResponses);
@@ -156,7 +626,13 @@ router.get("/responses/all/:userId", checkFirebase, async (req, res) => {
 });
 
 // GET /api/letters/:userId - Fetch all letters for a specific user
-router.get("/:userId", checkFirebase, async (req, res, next) => {
+// Owner-only: the letters carry every recipient's email and token
+router.get("/:userId",
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letters
+  checkFirebase,
+  async (req, res, next) => {
   // Skip if this is actually the all-responses route
   if (req.params.userId === 'all-responses') {
     console.log('⚠️ Route /:userId matched "all-responses", passing to next handler');
@@ -166,7 +642,32 @@ router.get("/:userId", checkFirebase, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
+    // Optional filters: state (or status), receiver, from/to, hasResponse, q (search)
+    const { options, error } = parseLetterListingQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
     const lettersRef = db.ref(`users/${userId}/letters`);
+    // Legacy letters get their state derived from the old status/email fields.
+    // The answer hashes stay on the server (the sender knows the answers anyway).
+    const toListedLetter = (id, letter) => ({
+      id,
+      ...stripLetterHistory(letter),
+      ...(letter.securityConfig && { securityConfig: toPublicSecurityConfig(letter.securityConfig) }),
+      state: getLetterState(letter),
+    });
+
+    // Paged listing: ?limit=20 then ?cursor=<nextCursor> for the next page
+    if (options.paginate) {
+      const { items, nextCursor } = await fetchNewestFirstPage(lettersRef, options, (letter) => matchesLetterFilters(letter, options));
+      return res.status(200).json({
+        success: true,
+        letters: items.map(({ id, ...letter }) => toListedLetter(id, letter)),
+        nextCursor
+      });
+    }
+
     const snapshot = await lettersRef.once("value");
     const letters = snapshot.val();
 
@@ -175,14 +676,14 @@ router.get("/:userId", checkFirebase, async (req, res, next) => {
     }
 
     // Convert Firebase object to array and sort by createdAt (newest first)
-    const lettersArray = Object.keys(letters).map((key) => ({
-      id: key,
-      ...letters[key],
-    })).sort((a, b) => {
-      const dateA = new Date(a.createdAt || 0);
-      const dateB = new Date(b.createdAt || 0);
-      return dateB - dateA;
-    });
+    const lettersArray = Object.keys(letters)
+      .filter((key) => isWithinDateRange(letters[key], options) && matchesLetterFilters(letters[key], options))
+      .map((key) => toListedLetter(key, letters[key]))
+      .sort((a, b) => {
+        const dateA = new Date(a.createdAt || 0);
+        const dateB = new Date(b.createdAt || 0);
+        return dateB - dateA;
+      });
 
     // Debug logging - check security fields in all letters
     console.log('🔍 All letters for user:', userId, '- Total:', lettersArray.length);
@@ -253,8 +754,7 @@ router.get("/token/:token",
     // Auto-renewal: If token expires within 30 days, extend it by 1 year
     // Limit: Maximum 10 renewals to prevent indefinite extension
     const expiresAt = new Date(tokenData.expiresAt);
-    const now = new Date();
-    const daysUntilExpiration = (expiresAt - now) / (1000 * 60 * 60 * 24);
+    const daysUntilExpiration = (expiresAt - Date.now()) / (1000 * 60 * 60 * 24);
     const renewalCount = tokenData.renewalCount || 0;
     const maxRenewals = 10; // Maximum 10 renewals = 10 years total lifetime
     
@@ -290,13 +790,77 @@ router.get("/token/:token",
       });
     }
     
+    // Drafts are not shareable yet (normally they have no token at all)
+    if (getLetterState(letter) === 'draft') {
+      await logTokenAccess(req, token, false, 'letter_is_draft');
+      return res.status(404).json({ 
+        message: "This letter is still being written. Please check back with the sender soon. ✍️"
+      });
+    }
+
     console.log('✅ Letter found:', { userId, letterId, hasSecurity: !!letter.securityType });
+
+    const recipient = tokenData.recipientId && letter.recipients
+      ? letter.recipients[tokenData.recipientId]
+      : null;
+
+    // "Open when" letters only show a teaser until their unlock time
+    // (teaser views are not counted as opens)
+    if (isLetterTimeLocked(letter)) {
+      await logTokenAccess(req, token, true, 'time_locked');
+      return res.status(200).json({
+        id: letterId,
+        userId: userId,
+        token: token,
+        ...buildLockedLetterTeaser(letter, recipient)
+      });
+    }
     
+    // Self-destructed letters (view limit reached or burn window over) are gone for good
+    const selfDestructedMessage = "This letter was meant to be read only for a little while, and it has now faded away like a whisper. 🕯️";
+    if (letter.selfDestructedAt || tokenData.selfDestructedAt) {
+      await logTokenAccess(req, token, false, 'letter_self_destructed');
+      return res.status(410).json({ message: selfDestructedMessage, selfDestructed: true });
+    }
+    if (hasBurnWindowElapsed(letter, tokenData)) {
+      await selfDestructLetterToken(userId, letterId, letter, token, tokenData, 'burn_window_elapsed');
+      await logTokenAccess(req, token, false, 'letter_self_destructed');
+      return res.status(410).json({ message: selfDestructedMessage, selfDestructed: true });
+    }
+
+    // Letters with a security challenge only reveal the challenge until validate-security
+    // has issued an unlock grant (challenge views are not counted as opens)
+    if (letter.securityType && !verifyUnlockGrant(getUnlockGrantFromRequest(req), userId, letterId, tokenData.recipientId || null)) {
+      await logTokenAccess(req, token, true, 'security_challenge');
+      return res.status(200).json({
+        id: letterId,
+        userId: userId,
+        token: token,
+        requiresUnlock: true,
+        securityType: letter.securityType,
+        securityConfig: toPublicSecurityConfig(letter.securityConfig),
+        lockedUntil: getActiveLockout(letter),
+        hints: await getTokenHints(db, token, userId, letterId, letter.securityConfig),
+        receiverName: (recipient && recipient.name) || letter.receiverName || ""
+      });
+    }
+
     // Track token usage (first access, last access, access count)
+    // View-limited letters count atomically so parallel requests can't exceed the limit
     const now = new Date().toISOString();
+    const accessCount = letter.maxViews
+      ? (await tokenRef.child('accessCount').transaction(count => (count || 0) + 1)).snapshot.val()
+      : (tokenData.accessCount || 0) + 1;
+
+    if (letter.maxViews && accessCount > letter.maxViews) {
+      await selfDestructLetterToken(userId, letterId, letter, token, tokenData, 'max_views_reached');
+      await logTokenAccess(req, token, false, 'letter_self_destructed');
+      return res.status(410).json({ message: selfDestructedMessage, selfDestructed: true });
+    }
+
     const tokenUpdateData = {
       lastAccessedAt: now,
-      accessCount: (tokenData.accessCount || 0) + 1
+      accessCount: accessCount
     };
     
     // Track first access if this is the first time
@@ -313,15 +877,59 @@ router.get("/token/:token",
       ip: anonymizeIP(req.ip || req.connection.remoteAddress) // ✅ Anonymize IP
     });
     
+    // Track per-recipient opens for multi-recipient letters
+    if (recipient) {
+      const recipientUpdates = {
+        lastOpenedAt: now,
+        openCount: (recipient.openCount || 0) + 1
+      };
+      if (!recipient.firstOpenedAt) {
+        recipientUpdates.firstOpenedAt = now;
+      }
+      await db.ref(`users/${userId}/letters/${letterId}/recipients/${tokenData.recipientId}`).update(recipientUpdates);
+    }
+
     // Log successful token access
     await logTokenAccess(req, token, true);
+
+    // Let the receiver know how long this letter will last
+    const firstAccessedAt = tokenData.firstAccessedAt || now;
+    const selfDestructInfo = {
+      ...(letter.maxViews && { viewsRemaining: Math.max(0, letter.maxViews - accessCount) }),
+      ...(letter.burnAfterReadingMinutes && {
+        burnsAt: new Date(new Date(firstAccessedAt).getTime() + letter.burnAfterReadingMinutes * 60 * 1000).toISOString()
+      })
+    };
+
+    // This was the last allowed view: burn the letter now (the receiver still gets this final view)
+    if (letter.maxViews && accessCount >= letter.maxViews) {
+      await selfDestructLetterToken(userId, letterId, letter, token, tokenData, 'max_views_reached');
+    }
+    
+    // Images are private in storage - receivers get short-lived signed URLs in display order.
+    // The view has already been counted, so a storage hiccup only costs the images, not the letter.
+    let images = [];
+    try {
+      images = await getSignedImageUrls(storage, letter);
+    } catch (imageError) {
+      console.warn(`⚠️ Could not sign image URLs for letter ${letterId}:`, imageError.message);
+    }
     
     // Return letter data (without sensitive token info)
     // IMPORTANT: userId must come AFTER spreading letter to ensure it's not overwritten
     // The userId from the token is the correct sender's userId, not any userId that might be in letter data
+    // Each recipient only sees their own name, never the other recipients
     res.status(200).json({ 
       id: letterId,
-      ...letter,
+      ...stripPrivateLetterFields(letter),
+      ...(recipient && {
+        receiverName: recipient.name || letter.receiverName,
+        recipient: { id: tokenData.recipientId, name: recipient.name || '' }
+      }),
+      ...selfDestructInfo,
+      // Sections written by the letter's contributors, signed and in the owner's order
+      contributions: getFinalContributions(letter),
+      images,
       userId: userId, // Include userId AFTER spreading letter to ensure it's the correct sender's userId
       // Include token in response for frontend to use in URL
       token: token
@@ -339,267 +947,1993 @@ router.get("/token/:token",
   }
 });
 
-// GET /api/letters/:userId/:letterId - DEPRECATED - Legacy endpoint removed for security
-// All letter access must now use token-based URLs: /api/letters/token/:token
-router.get("/:userId/:letterId", checkFirebase, async (req, res, next) => {
-  // Skip if this is actually the all-responses route (shouldn't happen, but safety check)
-  if (req.params.letterId === 'all-responses') {
-    console.log('⚠️ Route /:userId/:letterId matched all-responses, passing to next handler');
-    console.log('⚠️ This should not happen - /:userId/all-responses should match first');
-    return next(); // Let the all-responses route handle it (though it should have matched first)
+// Receiver side of the conversation thread. These must stay above /:userId/:letterId/thread,
+// which would otherwise match /token/:token/thread.
+
+// GET /api/letters/token/:token/reactions - The receiver's own reactions and the letter's reaction summary
+router.get("/token/:token/reactions",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letter, recipient } = req.tokenAccess;
+    const readerKey = getReaderKey('receiver', recipient ? recipient.id : null);
+
+    res.status(200).json({
+      success: true,
+      reactions: getLetterReactions(letter)[readerKey] || {},
+      summary: buildReactionSummary(letter)
+    });
+  } catch (error) {
+    console.error("Error fetching reactions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened. Please try again in a moment. 🌙"
+    });
   }
-  
-  console.log(`❌ Deprecated route matched: /:userId/:letterId with userId=${req.params.userId}, letterId=${req.params.letterId}`);
-  return res.status(410).json({ 
-    message: "Legacy URL format is no longer supported. Please use token-based URLs for security.",
-    error: "DEPRECATED_ENDPOINT",
-    info: "All letters must be accessed via /api/letters/token/:token endpoint"
-  });
+});
+
+// PUT /api/letters/token/:token/reactions - Receiver sets their reactions on the letter or a section
+// Body: { target: letter|introductory|mainBody|closing (default letter), emoji: [...] } - an empty list removes them
+router.put("/token/:token/reactions",
+  sanitizeBody, // ✅ Sanitize input
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { userId, letterId, letter, letterRef, recipient } = req.tokenAccess;
+
+    const { target, emoji, error } = normalizeReactionInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { added, removed } = await saveLetterReaction(userId, letterId, letter, letterRef, { recipient, target, emoji });
+
+    const updatedSnapshot = await letterRef.once("value");
+    const updatedLetter = updatedSnapshot.val() || letter;
+    const readerKey = getReaderKey('receiver', recipient ? recipient.id : null);
+
+    res.status(200).json({
+      success: true,
+      added,
+      removed,
+      reactions: getLetterReactions(updatedLetter)[readerKey] || {},
+      summary: buildReactionSummary(updatedLetter)
+    });
+  } catch (error) {
+    console.error("Error saving reactions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while saving your reaction. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// GET /api/letters/token/:token/annotations - The receiver's highlights and notes, in reading order
+router.get("/token/:token/annotations",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letter, recipient } = req.tokenAccess;
+    const readerKey = getReaderKey('receiver', recipient ? recipient.id : null);
+
+    res.status(200).json({ success: true, annotations: listAnnotations(letter, readerKey) });
+  } catch (error) {
+    console.error("Error fetching annotations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// POST /api/letters/token/:token/annotations - Receiver highlights a passage, optionally with a note
+// Body: { section (default mainBody), start, end (character offsets, end exclusive), note }
+router.post("/token/:token/annotations",
+  sanitizeBody, // ✅ Sanitize input
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letter, letterRef, recipient } = req.tokenAccess;
+    const recipientId = recipient ? recipient.id : null;
+    const readerKey = getReaderKey('receiver', recipientId);
+
+    const { section, start, end, quote, note, error } = normalizeAnnotationInput(letter, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (listAnnotations(letter, readerKey).length >= MAX_ANNOTATIONS_PER_READER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep up to ${MAX_ANNOTATIONS_PER_READER} highlights on a letter`
+      });
+    }
+
+    const createdAt = new Date().toISOString();
+    const annotation = {
+      readerKey,
+      recipientId,
+      authorName: (recipient && recipient.name) || letter.receiverName || "Friend",
+      section,
+      start,
+      end,
+      quote,
+      note,
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    const annotationRef = letterRef.child('annotations').push();
+    await annotationRef.set(annotation);
+
+    res.status(201).json({
+      success: true,
+      annotation: { id: annotationRef.key, ...annotation, stale: false }
+    });
+  } catch (error) {
+    console.error("Error saving annotation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while saving your highlight. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// Helper function to find one of the receiver's own annotations (404 response when it isn't theirs)
+const findReaderAnnotation = (req, res) => {
+  const { letter, recipient } = req.tokenAccess;
+  const annotation = letter.annotations && letter.annotations[req.params.annotationId];
+  if (!annotation || annotation.readerKey !== getReaderKey('receiver', recipient ? recipient.id : null)) {
+    res.status(404).json({ success: false, message: "Highlight not found" });
+    return null;
+  }
+  return annotation;
+};
+
+// PUT /api/letters/token/:token/annotations/:annotationId - Receiver edits the note of a highlight
+// Body: { note } (empty or null removes the note and keeps the highlight)
+router.put("/token/:token/annotations/:annotationId",
+  sanitizeBody, // ✅ Sanitize input
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letterRef } = req.tokenAccess;
+    const { annotationId } = req.params;
+
+    const annotation = findReaderAnnotation(req, res);
+    if (!annotation) return;
+
+    const { note, error } = normalizeNote(req.body.note);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const updates = { note, updatedAt: new Date().toISOString() };
+    await letterRef.child(`annotations/${annotationId}`).update(updates);
+
+    res.status(200).json({
+      success: true,
+      annotation: { id: annotationId, ...annotation, ...updates, stale: annotation.stale === true }
+    });
+  } catch (error) {
+    console.error("Error updating annotation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while saving your note. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// DELETE /api/letters/token/:token/annotations/:annotationId - Receiver removes a highlight and its note
+router.delete("/token/:token/annotations/:annotationId",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letterRef } = req.tokenAccess;
+
+    if (!findReaderAnnotation(req, res)) return;
+    await letterRef.child(`annotations/${req.params.annotationId}`).remove();
+
+    res.status(200).json({ success: true, message: "Highlight removed" });
+  } catch (error) {
+    console.error("Error deleting annotation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// GET /api/letters/token/:token/thread - The receiver's conversation with the sender, in order
+router.get("/token/:token/thread",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letter, recipient } = req.tokenAccess;
+    res.status(200).json({
+      success: true,
+      messages: buildThread(letter, { author: 'receiver', recipientId: recipient ? recipient.id : null })
+    });
+  } catch (error) {
+    console.error("Error fetching thread:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while loading your conversation. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// GET /api/letters/token/:token/pdf - Receiver downloads the letter (with their conversation) as a PDF
+router.get("/token/:token/pdf",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { userId, letter, recipient } = req.tokenAccess;
+    await sendLetterPdf(res, {
+      userId,
+      letter,
+      receiverName: (recipient && recipient.name) || letter.receiverName,
+      thread: buildThread(letter, { author: 'receiver', recipientId: recipient ? recipient.id : null })
+    });
+  } catch (error) {
+    console.error("Error rendering letter PDF:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while preparing your letter. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// POST /api/letters/token/:token/thread - Receiver writes a message (optionally replyTo a message)
+router.post("/token/:token/thread",
+  sanitizeBody, // ✅ Sanitize input
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { userId, letterId, letter, letterRef, recipient } = req.tokenAccess;
+    const recipientId = recipient ? recipient.id : null;
+
+    const visibleMessages = buildThread(letter, { author: 'receiver', recipientId });
+    const { content, replyTo, error } = normalizeThreadMessage(req.body, visibleMessages);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const createdAt = new Date().toISOString();
+    const message = {
+      author: 'receiver',
+      authorName: (recipient && recipient.name) || letter.receiverName || "Friend",
+      recipientId,
+      content,
+      replyTo,
+      readBy: { [getReaderKey('receiver', recipientId)]: createdAt },
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    const messageRef = letterRef.child('thread').push();
+    await messageRef.set(message);
+    // Listed with the responses in the all-responses view
+    await indexResponse(db, userId, letterId, letter, messageRef.key, message, 'thread');
+
+    // Writing back moves the letter to "responded", like a response does
+    const stateUpdates = buildStateTransition(letterRef, letter, 'responded');
+    if (stateUpdates) {
+      await letterRef.update(stateUpdates);
+    }
+    if (recipient) {
+      await letterRef.child(`recipients/${recipient.id}`).update({ lastRespondedAt: createdAt });
+    }
+
+    await notifySenderOfResponse(userId, letterId, letter, message.authorName, {
+      recipientId,
+      messageId: messageRef.key,
+      replyTo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      threadMessage: { id: messageRef.key, ...message, source: 'thread' }
+    });
+  } catch (error) {
+    console.error("Error saving thread message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while sending your message. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// POST /api/letters/token/:token/events - Receiver's letter page reports reading events
+// Body: { events: [{ type, section, progress, durationMs, occurredAt }] } (or a single event)
+router.post("/token/:token/events",
+  sanitizeBody, // ✅ Sanitize input
+  readingEventsLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { token, tokenData } = req.tokenAccess;
+
+    const { events, error } = normalizeReadingEvents(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Stop storing once a token has logged plenty - the analytics don't need more
+    const storedCount = tokenData.readingEventCount || 0;
+    const accepted = events.slice(0, Math.max(MAX_EVENTS_PER_TOKEN - storedCount, 0));
+    if (accepted.length > 0) {
+      const tokenRef = db.ref(`letterTokens/${token}`);
+      const updates = { readingEventCount: storedCount + accepted.length };
+      accepted.forEach((event) => {
+        updates[`readingEvents/${tokenRef.child('readingEvents').push().key}`] = event;
+      });
+      await tokenRef.update(updates);
+    }
+
+    res.status(202).json({ success: true, accepted: accepted.length });
+  } catch (error) {
+    console.error("Error saving reading events:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// PUT /api/letters/token/:token/thread/read - Receiver marks the sender's messages as read
+// Body: optional messageIds (defaults to every unread message)
+router.put("/token/:token/thread/read",
+  sanitizeBody, // ✅ Sanitize input
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveLetterToken,
+  async (req, res) => {
+  try {
+    const { letter, letterRef, recipient } = req.tokenAccess;
+    const recipientId = recipient ? recipient.id : null;
+    const messageIds = Array.isArray(req.body.messageIds) ? req.body.messageIds : null;
+
+    const messages = buildThread(letter, { author: 'receiver', recipientId });
+    const updates = buildReadReceiptUpdates(messages, 'receiver', recipientId, messageIds);
+    if (Object.keys(updates).length > 0) {
+      await letterRef.update(updates);
+    }
+
+    res.status(200).json({ success: true, markedRead: Object.keys(updates).length });
+  } catch (error) {
+    console.error("Error marking thread as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// Contributor side of group letters. Contributors open their invite link (/contribute/:token) without
+// an account; these routes must stay above GET/PUT/DELETE /:userId/:letterId.
+
+// Middleware to resolve an invite token to its letter and contributor.
+// Sets req.contribution = { inviteToken, userId, letterId, letter, letterRef, contributorId, contributor }.
+const resolveContributionInvite = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const invite = (await db.ref(`contributionInvites/${token}`).once("value")).val();
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: "This invitation seems to have wandered away. Please ask the letter's author for a new link. 💔"
+      });
+    }
+    if (invite.isActive === false || (invite.expiresAt && new Date(invite.expiresAt) < new Date())) {
+      return res.status(410).json({
+        success: false,
+        message: "This invitation is no longer valid. Please ask the letter's author for a new link. 💌"
+      });
+    }
+
+    const { userId, letterId, contributorId } = invite;
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letter = (await letterRef.once("value")).val();
+    const contributor = letter && letter.contributors && letter.contributors[contributorId];
+    if (!contributor || contributor.inviteToken !== token) {
+      return res.status(404).json({
+        success: false,
+        message: "This letter seems to have been moved or removed. Please check with its author. 💔"
+      });
+    }
+
+    req.contribution = { inviteToken: token, userId, letterId, letter, letterRef, contributorId, contributor };
+    next();
+  } catch (error) {
+    console.error("❌ Error resolving contribution invite:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while loading your invitation. Please try again in a moment. 🌙"
+    });
+  }
+};
+
+// What a contributor sees of the letter: who it's for and from, and their own section
+const toContributorView = async ({ userId, letter, contributorId, contributor }) => ({
+  letter: {
+    receiverName: letter.receiverName || "",
+    senderName: await getSenderName(db, userId),
+    openForContributions: isOpenForContributions(letter),
+  },
+  contributor: {
+    id: contributorId,
+    name: contributor.name,
+    signature: contributor.signature || null,
+    content: contributor.content || null,
+    submittedAt: contributor.submittedAt || null,
+    updatedAt: contributor.updatedAt || null,
+  }
+});
+
+// GET /api/letters/contribute/:token - A contributor opens their invitation
+router.get("/contribute/:token",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveContributionInvite,
+  async (req, res) => {
+  try {
+    res.status(200).json({ success: true, ...(await toContributorView(req.contribution)) });
+  } catch (error) {
+    console.error("Error loading contribution:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while loading your invitation. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// PUT /api/letters/contribute/:token - A contributor writes or edits their section
+// Body: { content, signature } (signature defaults to the name they were invited with)
+router.put("/contribute/:token",
+  sanitizeBody, // ✅ Sanitize input
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveContributionInvite,
+  async (req, res) => {
+  try {
+    const { userId, letterId, letter, letterRef, contributorId, contributor } = req.contribution;
+    if (!isOpenForContributions(letter)) {
+      return res.status(409).json({
+        success: false,
+        message: "This letter has already been sent, so sections can no longer be changed. 💌"
+      });
+    }
+
+    const { content, signature, error } = normalizeContribution(req.body, contributor);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const now = new Date().toISOString();
+    const updates = {
+      content,
+      signature,
+      submittedAt: contributor.submittedAt || now,
+      updatedAt: now
+    };
+    await letterRef.child(`contributors/${contributorId}`).update(updates);
+
+    // Let the owner know the first time a section comes in
+    if (!contributor.submittedAt) {
+      try {
+        await db.ref(`users/${userId}/notifications`).push().set({
+          type: "letter_contribution",
+          letterId: letterId,
+          letterTitle: letter.introductory || 'Your Letter',
+          contributorId: contributorId,
+          contributorName: signature,
+          message: `${signature} wrote their part of your letter "${letter.introductory || 'Untitled Letter'}" ✍️`,
+          read: false,
+          createdAt: now,
+        });
+      } catch (notificationError) {
+        console.error('❌ Error creating contribution notification:', notificationError);
+        // Don't fail if notification creation fails
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Your section has been saved",
+      ...(await toContributorView({ ...req.contribution, contributor: { ...contributor, ...updates } }))
+    });
+  } catch (error) {
+    console.error("Error saving contribution:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while saving your section. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// DELETE /api/letters/contribute/:token - A contributor withdraws their section (the invitation stays valid)
+router.delete("/contribute/:token",
+  tokenAccessLimiter,
+  validateTokenParam, // ✅ Validate token format
+  checkFirebase,
+  resolveContributionInvite,
+  async (req, res) => {
+  try {
+    const { letter, letterRef, contributorId } = req.contribution;
+    if (!isOpenForContributions(letter)) {
+      return res.status(409).json({
+        success: false,
+        message: "This letter has already been sent, so sections can no longer be changed. 💌"
+      });
+    }
+
+    await letterRef.child(`contributors/${contributorId}`).update({
+      content: null,
+      signature: null,
+      submittedAt: null,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.status(200).json({ success: true, message: "Your section has been removed" });
+  } catch (error) {
+    console.error("Error removing contribution:", error);
+    res.status(500).json({
+      success: false,
+      message: "Something unexpected happened while removing your section. Please try again in a moment. 🌙"
+    });
+  }
+});
+
+// Trash routes. They must stay above GET /:userId/:letterId and DELETE /:userId/:letterId,
+// which would otherwise match /:userId/trash.
+
+// GET /api/letters/:userId/trash - List trashed letters (most recently deleted first)
+router.get("/:userId/trash",
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letters
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/trash`).once("value");
+    const trash = snapshot.val() || {};
+
+    const letters = Object.entries(trash)
+      .map(([id, letter]) => ({
+        id,
+        ...stripLetterHistory(letter),
+        purgeAfter: getPurgeAfter(letter.deletedAt)
+      }))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+    res.status(200).json({ success: true, letters });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching trash",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/letters/:userId/trash/:letterId/restore - Restore a trashed letter (its links work again)
+router.post("/:userId/trash/:letterId/restore",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const existing = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    if (existing.exists()) {
+      return res.status(409).json({ success: false, message: "A letter with this ID already exists" });
+    }
+
+    const letter = await restoreLetterFromTrash(db, userId, letterId);
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found in trash" });
+    }
+    await reindexLetterResponses(db, userId, letterId, letter);
+
+    console.log(`♻️ Letter ${letterId} restored from trash`);
+
+    res.status(200).json({
+      success: true,
+      message: "Letter restored",
+      letter: { id: letterId, ...stripLetterHistory(letter), state: getLetterState(letter) }
+    });
+  } catch (error) {
+    console.error("Error restoring letter:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error restoring letter",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letters/:userId/trash/:letterId - Permanently delete one trashed letter
+router.delete("/:userId/trash/:letterId",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const removed = await purgeTrashedLetter(db, storage, userId, letterId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "Letter not found in trash" });
+    }
+
+    res.status(200).json({ success: true, message: "Letter permanently deleted", letterId, removed });
+  } catch (error) {
+    console.error("Error permanently deleting letter:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error permanently deleting letter",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letters/:userId/trash - Empty the trash (permanently deletes every trashed letter)
+router.delete("/:userId/trash",
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letters
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/trash`).once("value");
+    const letterIds = Object.keys(snapshot.val() || {});
+
+    // Totals of the per-letter cleanup reports
+    let purged = 0;
+    const removed = { tokens: 0, storageFiles: 0, scheduledEmails: 0, notifications: 0, receivedLetters: 0, errors: [] };
+    for (const letterId of letterIds) {
+      const report = await purgeTrashedLetter(db, storage, userId, letterId);
+      if (!report) continue;
+      purged++;
+      Object.keys(removed).forEach((key) => {
+        removed[key] = key === 'errors' ? [...removed.errors, ...report.errors.map((name) => `${letterId}:${name}`)] : removed[key] + report[key];
+      });
+    }
+
+    console.log(`🗑️ Trash emptied for user ${userId}: ${purged} letter(s)`);
+
+    res.status(200).json({ success: true, message: "Trash emptied", purged, removed });
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error emptying trash",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/export - Download every letter with its responses, reactions and voice message references
+// Optional: format=json (default, can be imported again) or format=markdown (for reading)
+router.get("/:userId/export",
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letters
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const format = req.query.format || 'json';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Allowed formats: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const lettersSnapshot = await db.ref(`users/${userId}/letters`).once("value");
+    const archive = buildArchive(userId, lettersSnapshot.val() || {});
+    const fileName = `dearly-letters-${archive.exportedAt.substring(0, 10)}`;
+
+    console.log(`📤 Exporting ${archive.letters.length} letter(s) for user ${userId} as ${format}`);
+
+    if (format === 'markdown') {
+      res.setHeader("Content-Type", "text/markdown; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.md"`);
+      return res.status(200).send(renderArchiveMarkdown(archive));
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.json"`);
+    res.status(200).json(archive);
+  } catch (error) {
+    console.error("Error exporting letters:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error exporting letters",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/letters/:userId/import - Re-create letters from a JSON export, with fresh tokens
+// Body: the archive. Letters that were already imported (or still exist) are skipped.
+router.post("/:userId/import",
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letters
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { letters: entries, error } = normalizeArchive(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const lettersRef = db.ref(`users/${userId}/letters`);
+    const existingSnapshot = await lettersRef.once("value");
+    const knownIds = new Set();
+    Object.entries(existingSnapshot.val() || {}).forEach(([letterId, letter]) => {
+      knownIds.add(letterId);
+      if (letter.importedFrom && letter.importedFrom.letterId) knownIds.add(letter.importedFrom.letterId);
+    });
+
+    const imported = [];
+    const skipped = [];
+    const failed = [];
+    for (const entry of entries) {
+      const originalId = entry && typeof entry.id === 'string' ? entry.id : null;
+      if (originalId && knownIds.has(originalId)) {
+        skipped.push(originalId);
+        continue;
+      }
+
+      const { letter, error: letterError } = buildImportedLetter(entry, () => lettersRef.push().key);
+      if (letterError) {
+        failed.push({ id: originalId, error: letterError });
+        continue;
+      }
+
+      const newLetterRef = lettersRef.push();
+      const letterId = newLetterRef.key;
+      await newLetterRef.set(letter);
+
+      // Drafts stay private until they are scheduled or delivered, like new letters
+      let token = null;
+      if (letter.state !== 'draft') {
+        letter.recipients = await mintRecipientTokens(db, userId, letterId, letter.recipients);
+        token = letter.recipients[Object.keys(letter.recipients)[0]].accessToken;
+        letter.accessToken = token;
+        await newLetterRef.update({ accessToken: token, recipients: letter.recipients });
+      }
+      if (letter.responses || letter.thread) {
+        await reindexLetterResponses(db, userId, letterId, letter);
+      }
+
+      if (originalId) knownIds.add(originalId);
+      imported.push({ id: letterId, originalId, token });
+    }
+
+    console.log(`📥 Imported ${imported.length} letter(s) for user ${userId} (${skipped.length} skipped, ${failed.length} failed)`);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${imported.length} letter(s)`,
+      imported,
+      skipped,
+      failed
+    });
+  } catch (error) {
+    console.error("Error importing letters:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error importing letters",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId - DEPRECATED - Legacy endpoint removed for security
+// All letter access must now use token-based URLs: /api/letters/token/:token
+router.get("/:userId/:letterId", checkFirebase, async (req, res, next) => {
+  // Skip if this is actually the all-responses route (shouldn't happen, but safety check)
+  if (req.params.letterId === 'all-responses') {
+    console.log('⚠️ Route /:userId/:letterId matched all-responses, passing to next handler');
+    console.log('⚠️ This should not happen - /:userId/all-responses should match first');
+    return next(); // Let the all-responses route handle it (though it should have matched first)
+  }
+  
+  console.log(`❌ Deprecated route matched: /:userId/:letterId with userId=${req.params.userId}, letterId=${req.params.letterId}`);
+  return res.status(410).json({ 
+    message: "Legacy URL format is no longer supported. Please use token-based URLs for security.",
+    error: "DEPRECATED_ENDPOINT",
+    info: "All letters must be accessed via /api/letters/token/:token endpoint"
+  });
 });
 
 // IMPORTANT: Specific routes with more path segments must come BEFORE general routes
 // to prevent route matching conflicts. Express matches routes in order.
 
-// POST /api/letters/:userId/:letterId/validate-security - Validate security answer
-// Moved here before POST /:userId to prevent route conflicts
-router.post("/:userId/:letterId/validate-security", 
+// POST /api/letters/:userId/:letterId/validate-security - Validate security answer
+// Moved here before POST /:userId to prevent route conflicts
+router.post("/:userId/:letterId/validate-security", 
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  securityAnswerLimiter, // ✅ Rate limiting with romantic messages
+  checkFirebase, 
+  async (req, res) => {
+  console.log('🔐 validate-security endpoint hit:', { userId: req.params.userId, letterId: req.params.letterId });
+  // Security: Don't log request body in production (may contain sensitive answer)
+  if (process.env.NODE_ENV === 'development') {
+    console.log('🔐 Request body:', { ...req.body, answer: req.body.answer ? '[REDACTED]' : undefined });
+  }
+  try {
+    const { userId, letterId } = req.params;
+    const { answer, token } = req.body; // User's submitted answer (and their letter token, if any)
+
+    // Security: Never log the actual answer
+    console.log('🔐 Processing validation:', { userId, letterId, hasAnswer: !!answer });
+
+    // Choice answers may be the option index (0 is a valid answer), multi-question answers are objects
+    if (answer === undefined || answer === null || answer === '') {
+      console.log('❌ No answer provided');
+      return res.status(400).json({ 
+        success: false,
+        message: "Please share your answer, dear one. The letter is waiting for you. 💌"
+      });
+    }
+
+    // Fetch the letter
+    console.log('🔐 Fetching letter from Firebase...');
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const snapshot = await letterRef.once("value");
+    const letter = snapshot.val();
+
+    console.log('🔐 Letter fetched:', { found: !!letter, hasSecurityType: !!letter?.securityType, hasSecurityConfig: !!letter?.securityConfig });
+
+    if (!letter) {
+      console.log('❌ Letter not found in database');
+      return res.status(404).json({ 
+        success: false,
+        message: "This letter seems to have wandered away. It may have been moved or the link may have changed. 💔"
+      });
+    }
+
+    // A time-locked letter can't be unlocked early, even with the right answer
+    if (isLetterTimeLocked(letter)) {
+      return res.status(403).json({ 
+        success: false,
+        message: "This letter isn't ready to be opened yet. Good things come to those who wait. ⏳",
+        unlockAt: letter.unlockAt
+      });
+    }
+
+    // Check if letter has security
+    if (!letter.securityType || !letter.securityConfig) {
+      return res.status(400).json({ 
+        success: false,
+        message: "This letter doesn't require a special answer. It's ready for you to read. 💌"
+      });
+    }
+
+    const { securityType, securityConfig } = letter;
+
+    // Too many wrong answers lock the letter for a while, wherever the attempts come from
+    const lockedUntil = getActiveLockout(letter);
+    if (lockedUntil) {
+      await logSecurityValidation(req, letterId, false, 'letter_locked');
+      return res.status(423).json({ 
+        success: false,
+        message: "This letter is resting for a little while after too many tries. Come back a bit later, with a calm heart. 🌙",
+        lockedUntil
+      });
+    }
+
+    // Validate based on security type (quiz, date, choice or multi-question)
+    const result = await checkSecurityAnswer(securityType, securityConfig, answer);
+
+    if (result.error === 'misconfigured') {
+      return res.status(500).json({ 
+        success: false,
+        message: "Something unexpected happened while preparing your letter. Please try again in a moment. 🌙"
+      });
+    }
+    if (result.error === 'invalid_answer') {
+      return res.status(400).json({ 
+        success: false,
+        message: securityType === 'multi'
+          ? "This letter asks a few questions. Please answer each one, dear one. 💌"
+          : "Please share your answer, dear one. The letter is waiting for you. 💌"
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: "This letter has a special way of being unlocked. Please check the link and try again. ✨"
+      });
+    }
+
+    const isCorrect = result.isCorrect;
+    res.locals.securityAnswerCorrect = isCorrect;
+
+    // Letters created before salted hashing are upgraded the first time a correct answer comes in
+    if (isCorrect && needsRehash(securityConfig)) {
+      try {
+        const rehashedConfig = await rehashSecurityConfig(securityType, securityConfig, answer);
+        if (rehashedConfig) {
+          await letterRef.child('securityConfig').set(rehashedConfig);
+          console.log('🔒 Security answers re-hashed with the current scheme:', { letterId });
+        }
+      } catch (rehashError) {
+        console.error('❌ Error re-hashing security answers:', rehashError);
+        // Don't fail the validation - the legacy hashes still work
+      }
+    }
+
+    console.log('🔐 Validation result:', { isCorrect, securityType });
+    
+    // Log security validation attempt
+    await logSecurityValidation(req, letterId, isCorrect, isCorrect ? 'success' : 'incorrect_answer');
+    
+    // Resolve which recipient (if any) is unlocking the letter
+    const recipient = isCorrect ? await resolveRecipientFromToken(letter, userId, letterId, token) : null;
+
+    // Wrong answers move this token along its hints (stored server-side, so a fresh browser can't skip ahead)
+    let hintProgress = null;
+    if (!isCorrect) {
+      try {
+        hintProgress = await recordFailedAttemptForHints(db, token, userId, letterId, securityConfig);
+      } catch (hintError) {
+        console.error('❌ Error revealing hint:', hintError);
+      }
+    }
+
+    // Count wrong answers against the letter; a correct answer resets the count
+    let lockout = null;
+    try {
+      if (isCorrect) {
+        await resetFailedAttempts(letterRef, letter);
+      } else {
+        lockout = await recordFailedAttempt(letterRef, letter);
+        if (lockout.triggeredLockout) {
+          await notifySecurityLockout(req, userId, letterId, letter, token, lockout.lockedUntil);
+        }
+      }
+    } catch (lockoutError) {
+      console.error('❌ Error updating failed attempt count:', lockoutError);
+      // Don't fail the validation - the IP rate limiter still applies
+    }
+
+    // If answer is correct, update letter status to "read" and create notification
+    if (isCorrect) {
+      try {
+        const updates = buildStateTransition(letterRef, letter, 'read') || {
+          status: 'read',
+          readAt: new Date().toISOString()
+        };
+        
+        console.log('🔐 Updating letter status to "read"', { letterId, updates });
+        await letterRef.update(updates);
+        console.log('✅ Letter status updated to "read"');
+        
+        // Create notification for the sender (per recipient when the token identifies one)
+        if (recipient) {
+          await recordRecipientRead(userId, letterId, letter, recipient);
+        } else {
+          try {
+            const notificationRef = db.ref(`users/${userId}/notifications`).push();
+            await notificationRef.set({
+              type: 'letter_read',
+              letterId: letterId,
+              letterTitle: letter.introductory || 'Your Letter',
+              message: `Your letter "${letter.introductory || 'Untitled Letter'}" has been read! 💌`,
+              read: false,
+              createdAt: new Date().toISOString(),
+            });
+            console.log('✅ Notification created for letter read');
+          } catch (notificationError) {
+            console.error('❌ Error creating notification:', notificationError);
+            // Don't fail if notification creation fails
+          }
+        }
+      } catch (updateError) {
+        console.error('❌ Error updating letter status:', updateError);
+        // Don't fail the validation if status update fails, but log it
+      }
+    }
+    
+    const response = { 
+      success: true,
+      isCorrect: isCorrect,
+      message: isCorrect 
+        ? "Perfect! Your answer opens the way. The letter awaits you with open arms. 💌✨" 
+        : "That's not quite the answer this letter is looking for. Take your time, breathe, and try again with care. The right answer will come to you. 💕"
+    };
+
+    if (hintProgress && hintProgress.hints.length > 0) {
+      response.hints = hintProgress.hints;
+      response.newHint = hintProgress.newHint;
+    }
+
+    if (lockout) {
+      response.attemptsRemaining = lockout.attemptsRemaining;
+      if (lockout.lockedUntil) {
+        response.lockedUntil = lockout.lockedUntil;
+        response.message = "That's not quite it, and this letter needs to rest for a little while now. Come back a bit later, with a calm heart. 🌙";
+      }
+    }
+
+    // A correct answer earns a short-lived grant to fetch the letter body, responses and voice messages
+    if (isCorrect) {
+      const { grant, expiresAt } = createUnlockGrant({ userId, letterId, recipientId: recipient ? recipient.id : null });
+      response.unlockGrant = grant;
+      response.unlockGrantExpiresAt = expiresAt;
+    }
+    // Security: Don't log response with isCorrect in production
+    if (process.env.NODE_ENV === 'development') {
+      console.log('🔐 Sending response:', { ...response, unlockGrant: response.unlockGrant ? '[REDACTED]' : undefined });
+    } else {
+      console.log('🔐 Sending response:', { success: response.success, isCorrect: '[REDACTED]', unlockGrant: response.unlockGrant ? '[REDACTED]' : undefined });
+    }
+    res.status(200).json(response);
+    console.log('✅ Response sent successfully');
+  } catch (error) {
+    console.error("❌ Error validating security answer:", error);
+    console.error("❌ Error stack:", error.stack);
+    res.status(500).json({ 
+      success: false,
+      message: "Something unexpected happened while checking your answer. Please take a moment and try again. The letter will wait for you. 🌙"
+    });
+  }
+});
+
+// POST /api/letters/:userId/:letterId/regenerate-token - Regenerate token for an existing letter
+// Moved here before POST /:userId to prevent route conflicts
+router.post("/:userId/:letterId/regenerate-token", 
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  tokenRegenerationLimiter, // ✅ Rate limiting
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase, 
+  async (req, res) => {
+    try {
+      const { userId, letterId } = req.params;
+
+      // Verify letter exists
+      const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+      const letterSnapshot = await letterRef.once("value");
+      const letter = letterSnapshot.val();
+
+      if (!letter) {
+        return res.status(404).json({ message: "Letter not found" });
+      }
+
+      if (getLetterState(letter) === 'draft') {
+        return res.status(409).json({ message: "Drafts don't have a link yet. Schedule or deliver the letter first." });
+      }
+
+    // Multi-recipient letters regenerate one recipient's token (the primary recipient by default)
+    const recipientId = letter.recipients
+      ? (req.body.recipientId || getPrimaryRecipientId(letter))
+      : null;
+    const recipient = recipientId ? letter.recipients[recipientId] : null;
+
+    if (letter.recipients && !recipient) {
+      return res.status(404).json({ message: "Recipient not found" });
+    }
+
+    // Deactivate old token if it exists
+    const oldToken = recipient ? recipient.accessToken : letter.accessToken;
+    if (oldToken) {
+      const oldTokenRef = db.ref(`letterTokens/${oldToken}`);
+      await oldTokenRef.update({ isActive: false });
+      console.log(`🔒 Deactivated old token: ${oldToken.substring(0, 8)}...`);
+    }
+
+    // Generate and store new token mapping
+    const { token: newToken, expiresAt } = await createLetterToken(db, userId, letterId, recipientId);
+
+    // Update letter with new token and shareable link
+    // Note: Frontend will construct the full URL, we store relative path
+    const shareableLink = `/letter/${newToken}`; // Relative path, frontend will add origin
+    
+    const letterUpdates = { updatedAt: new Date().toISOString() };
+    // Keep a renewal log (the replaced token's opens still count in the letter analytics)
+    if (oldToken) {
+      letterUpdates[`tokenRenewals/${letterRef.child('tokenRenewals').push().key}`] = {
+        recipientId: recipientId || null,
+        previousToken: oldToken,
+        renewedAt: letterUpdates.updatedAt,
+        expiresAt: expiresAt
+      };
+    }
+    if (recipient) {
+      letterUpdates.recipients = {
+        ...letter.recipients,
+        [recipientId]: { ...recipient, accessToken: newToken, shareableLink }
+      };
+    }
+    // The legacy accessToken always follows the primary recipient
+    if (!recipient || oldToken === letter.accessToken) {
+      letterUpdates.accessToken = newToken;
+      letterUpdates.shareableLink = shareableLink;
+    }
+
+    await letterRef.update(letterUpdates);
+
+    console.log(`✅ Token regenerated for letter ${letterId}: ${newToken.substring(0, 8)}...`);
+
+    res.status(200).json({
+      message: "Token regenerated successfully",
+      recipientId: recipientId,
+      token: newToken,
+      shareableLink: shareableLink,
+      expiresAt: expiresAt
+    });
+  } catch (error) {
+    console.error("Error regenerating token:", error);
+    res.status(500).json({
+      message: "Error regenerating token",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/annotations - Every receiver's highlights and notes, in reading order
+// Stale ones (their passage was edited away) are included with stale: true
+router.get("/:userId/:letterId/annotations",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const letterSnapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    res.status(200).json({ success: true, letterId, annotations: listAnnotations(letter) });
+  } catch (error) {
+    console.error("Error fetching letter annotations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching letter annotations",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/reactions - Reaction summary, each recipient's reactions and the change history
+router.get("/:userId/:letterId/reactions",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const letterSnapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    const reactions = Object.entries(getLetterReactions(letter)).map(([readerKey, targets]) => {
+      const recipient = letter.recipients && letter.recipients[readerKey];
+      return {
+        recipientId: recipient ? readerKey : null,
+        name: recipient ? recipient.name || null : letter.receiverName || null,
+        reactions: targets
+      };
+    });
+
+    const history = Object.entries(letter.reactionHistory || {})
+      .map(([id, change]) => ({ id, ...change }))
+      .sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt));
+
+    res.status(200).json({
+      success: true,
+      letterId,
+      summary: buildReactionSummary(letter),
+      reactions,
+      history
+    });
+  } catch (error) {
+    console.error("Error fetching letter reactions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching letter reactions",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/analytics - Opens, time to first open, renewals, reading
+// completion per section and security attempts
+// Optional: interval=day|week|month for opensOverTime (default day)
+router.get("/:userId/:letterId/analytics",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const interval = req.query.interval || 'day';
+
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid interval. Allowed intervals: ${ANALYTICS_INTERVALS.join(', ')}`
+      });
+    }
+
+    const letterSnapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    const tokens = await Promise.all(getLetterTokenHistory(letter).map(async ({ token, recipientId }) => {
+      const tokenSnapshot = await db.ref(`letterTokens/${token}`).once("value");
+      return { token, recipientId, data: tokenSnapshot.val() };
+    }));
+
+    // Needs ".indexOn": ["letterId"] on securityAudit (see the index list in configs/firebase.js), otherwise the whole log is downloaded
+    const auditSnapshot = await db.ref('securityAudit').orderByChild('letterId').equalTo(letterId).once("value");
+    const securityEvents = [];
+    auditSnapshot.forEach((child) => {
+      securityEvents.push(child.val());
+    });
+
+    res.status(200).json({
+      success: true,
+      letterId,
+      analytics: buildLetterAnalytics({ letter, tokens, securityEvents, interval })
+    });
+  } catch (error) {
+    console.error("Error building letter analytics:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error building letter analytics",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/revisions - List the revision history of a letter (newest first)
+router.get("/:userId/:letterId/revisions",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
+    }
+
+    const revisions = await getLetterRevisions(db, userId, letterId, letter);
+    const revisionsArray = Object.keys(revisions).map(key => ({
+      id: key,
+      ...revisions[key]
+    })).sort((a, b) => (b.revisionNumber || 0) - (a.revisionNumber || 0));
+
+    res.status(200).json(revisionsArray);
+  } catch (error) {
+    console.error("Error fetching letter revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching letter revisions",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/revisions/diff?from=:revisionId&to=:revisionId|current
+// Field-level diff between two revisions (or a revision and the current letter)
+router.get("/:userId/:letterId/revisions/diff",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const from = req.query.from;
+    const to = req.query.to || 'current';
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: "The 'from' revision is required"
+      });
+    }
+
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
+    }
+
+    const revisions = await getLetterRevisions(db, userId, letterId, letter);
+    const resolveRevision = (revisionId) => (
+      revisionId === 'current' ? pickRevisionFields(letter) : revisions[revisionId]
+    );
+
+    const fromRevision = resolveRevision(from);
+    const toRevision = resolveRevision(to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found"
+      });
+    }
+
+    const changes = diffRevisionFields(fromRevision, toRevision);
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      changedFields: changes.filter(change => change.changed).map(change => change.field),
+      changes
+    });
+  } catch (error) {
+    console.error("Error diffing letter revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error diffing letter revisions",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/letters/:userId/:letterId/revisions/:revisionId/restore - Restore the content of an old revision
+// Only the revisioned content fields are restored; accessToken, responses and voiceMessages are untouched
+router.post("/:userId/:letterId/revisions/:revisionId/restore",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId, revisionId } = req.params;
+
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
+    }
+
+    const revision = (await getLetterRevisions(db, userId, letterId, letter))[revisionId];
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found"
+      });
+    }
+
+    // Snapshot the current content first so the restore itself can be undone
+    const savedRevision = await saveLetterRevision(db, userId, letterId, letter, 'restore');
+
+    const updates = {
+      ...pickRevisionFields(revision),
+      revisionCount: savedRevision.revisionNumber,
+      restoredFromRevision: revisionId,
+      updatedAt: new Date().toISOString()
+    };
+
+    await letterRef.update(updates);
+    if (updates.introductory !== letter.introductory) {
+      await reindexLetterResponses(db, userId, letterId, { ...letter, ...updates });
+    }
+    await remapLetterAnnotations(letterRef, letter, { ...letter, ...updates });
+
+    console.log(`✅ Letter ${letterId} restored to revision ${revision.revisionNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Letter restored successfully",
+      letter: { id: letterId, ...stripLetterHistory(letter), ...updates }
+    });
+  } catch (error) {
+    console.error("Error restoring letter revision:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error restoring letter revision",
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/letters/:userId/:letterId/responses/:responseId - Update a response
+router.put("/:userId/:letterId/responses/:responseId", checkFirebase, async (req, res) => {
+  try {
+    const { userId, letterId, responseId } = req.params;
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Response content is required"
+      });
+    }
+
+    // Check if letter exists
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
+    }
+
+    // Check if response exists
+    const responseRef = db.ref(`users/${userId}/letters/${letterId}/responses/${responseId}`);
+    const responseSnapshot = await responseRef.once("value");
+    const response = responseSnapshot.val();
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: "Response not found"
+      });
+    }
+
+    // Update response
+    const updates = {
+      content: content.trim(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await responseRef.update(updates);
+    await indexResponse(db, userId, letterId, letter, responseId, { ...response, ...updates });
+
+    console.log(`✅ Response updated: ${responseId} for letter ${letterId}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Response updated successfully",
+      response: {
+        id: responseId,
+        ...response,
+        ...updates
+      }
+    });
+  } catch (error) {
+    console.error("Error updating response:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating response",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letters/:userId/:letterId/responses/:responseId - Delete a response
+// IMPORTANT: This route must come BEFORE /:userId/:letterId to avoid route conflicts
+router.delete("/:userId/:letterId/responses/:responseId", checkFirebase, async (req, res) => {
+  try {
+    const { userId, letterId, responseId } = req.params;
+    
+    console.log(`🗑️ DELETE /api/letters/${userId}/${letterId}/responses/${responseId} - Deleting response`);
+
+    // Check if letter exists
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      console.log(`❌ Letter not found: ${letterId} for user ${userId}`);
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
+    }
+
+    // Check if response exists
+    const responseRef = db.ref(`users/${userId}/letters/${letterId}/responses/${responseId}`);
+    const responseSnapshot = await responseRef.once("value");
+    const response = responseSnapshot.val();
+
+    if (!response) {
+      console.log(`❌ Response not found: ${responseId} for letter ${letterId}`);
+      return res.status(404).json({
+        success: false,
+        message: "Response not found"
+      });
+    }
+
+    // Delete response
+    await responseRef.remove();
+    await removeIndexedResponse(db, userId, responseId);
+
+    console.log(`✅ Response deleted: ${responseId} for letter ${letterId}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Response deleted successfully"
+    });
+  } catch (error) {
+    console.error("❌ Error deleting response:", error);
+    console.error("Error stack:", error.stack);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting response",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/responses - Get all responses for a letter
+// Receivers pass their letter token (?token=) and only get their own responses, like in the thread
+router.get("/:userId/:letterId/responses", checkFirebase, requireLetterAccess, async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    // Check if letter exists
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
+    }
+
+    // Fetch responses
+    const responsesRef = db.ref(`users/${userId}/letters/${letterId}/responses`);
+    const responsesSnapshot = await responsesRef.once("value");
+    const responses = responsesSnapshot.val();
+
+    if (!responses) {
+      return res.status(200).json([]);
+    }
+
+    // A receiver is identified by their unlock grant or token; the only recipient of a letter needs neither
+    let recipientId = req.letterAccess.recipientId || null;
+    if (!req.letterAccess.isOwner && !recipientId) {
+      const recipient = await resolveRecipientFromToken(letter, userId, letterId, req.query.token);
+      const recipientIds = Object.keys(letter.recipients || {});
+      recipientId = recipient ? recipient.id : (recipientIds.length === 1 ? recipientIds[0] : null);
+    }
+
+    // Convert object to array
+    const responsesArray = Object.keys(responses).map(key => ({
+      id: key,
+      ...responses[key]
+    })).filter((response) => req.letterAccess.isOwner || !response.recipientId || response.recipientId === recipientId);
+
+    res.status(200).json(responsesArray);
+  } catch (error) {
+    console.error("Error fetching responses:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching responses",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/thread - The whole conversation (every recipient) for the sender, in order
+router.get("/:userId/:letterId/thread",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    const letter = snapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      messages: buildThread(letter, { author: 'sender' })
+    });
+  } catch (error) {
+    console.error("Error fetching thread:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching thread",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/pdf - Sender downloads the letter (with the whole conversation) as a PDF
+router.get("/:userId/:letterId/pdf",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/letters/${letterId}`).once("value");
+    const letter = snapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    await sendLetterPdf(res, {
+      userId,
+      letter,
+      receiverName: letter.receiverName,
+      thread: buildThread(letter, { author: 'sender' })
+    });
+  } catch (error) {
+    console.error("Error rendering letter PDF:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rendering letter PDF",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/letters/:userId/:letterId/thread - Sender writes a message
+// Body: content, plus replyTo (a message id) or recipientId to address one recipient
+router.post("/:userId/:letterId/thread",
   sanitizeBody, // ✅ Sanitize input
   validateUserIdParam, // ✅ Validate userId format
   validateLetterIdParam, // ✅ Validate letterId format
-  securityAnswerLimiter, // ✅ Rate limiting with romantic messages
-  checkFirebase, 
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
   async (req, res) => {
-  console.log('🔐 validate-security endpoint hit:', { userId: req.params.userId, letterId: req.params.letterId });
-  // Security: Don't log request body in production (may contain sensitive answer)
-  if (process.env.NODE_ENV === 'development') {
-    console.log('🔐 Request body:', { ...req.body, answer: req.body.answer ? '[REDACTED]' : undefined });
-  }
   try {
     const { userId, letterId } = req.params;
-    const { answer } = req.body; // User's submitted answer
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const snapshot = await letterRef.once("value");
+    const letter = snapshot.val();
 
-    // Security: Never log the actual answer
-    console.log('🔐 Processing validation:', { userId, letterId, hasAnswer: !!answer });
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
 
-    if (!answer) {
-      console.log('❌ No answer provided');
-      return res.status(400).json({ 
-        success: false,
-        message: "Please share your answer, dear one. The letter is waiting for you. 💌"
-      });
+    const { content, replyTo, parent, error } = normalizeThreadMessage(req.body, buildThread(letter, { author: 'sender' }));
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    // Fetch the letter
-    console.log('🔐 Fetching letter from Firebase...');
+    // A reply goes to whoever wrote the message; otherwise to the chosen recipient (or everyone)
+    let recipientId = parent ? parent.recipientId : null;
+    if (!parent && req.body.recipientId) {
+      if (!letter.recipients || !letter.recipients[req.body.recipientId]) {
+        return res.status(404).json({ success: false, message: "Recipient not found" });
+      }
+      recipientId = req.body.recipientId;
+    }
+
+    const createdAt = new Date().toISOString();
+    const message = {
+      author: 'sender',
+      authorName: null,
+      recipientId,
+      content,
+      replyTo,
+      readBy: { sender: createdAt },
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    const messageRef = letterRef.child('thread').push();
+    await messageRef.set(message);
+
+    console.log(`✅ Thread message sent by sender for letter ${letterId}:`, { messageId: messageRef.key, replyTo });
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      threadMessage: { id: messageRef.key, ...message, source: 'thread' }
+    });
+  } catch (error) {
+    console.error("Error saving thread message:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error saving thread message",
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/letters/:userId/:letterId/thread/read - Sender marks receiver messages as read
+// Body: optional messageIds (defaults to every unread message)
+router.put("/:userId/:letterId/thread/read",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
     const snapshot = await letterRef.once("value");
     const letter = snapshot.val();
 
-    console.log('🔐 Letter fetched:', { found: !!letter, hasSecurityType: !!letter?.securityType, hasSecurityConfig: !!letter?.securityConfig });
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    const messageIds = Array.isArray(req.body.messageIds) ? req.body.messageIds : null;
+    const updates = buildReadReceiptUpdates(buildThread(letter, { author: 'sender' }), 'sender', null, messageIds);
+    if (Object.keys(updates).length > 0) {
+      await letterRef.update(updates);
+    }
+
+    res.status(200).json({ success: true, markedRead: Object.keys(updates).length });
+  } catch (error) {
+    console.error("Error marking thread as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error marking thread as read",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/letters/:userId/:letterId/voice-messages - Get all voice messages for a letter
+router.get("/:userId/:letterId/voice-messages", checkFirebase, requireLetterAccess, async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    // Check if letter exists
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
 
     if (!letter) {
-      console.log('❌ Letter not found in database');
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        message: "This letter seems to have wandered away. It may have been moved or the link may have changed. 💔"
+        message: "Letter not found"
       });
     }
 
-    // Check if letter has security
-    if (!letter.securityType || !letter.securityConfig) {
-      return res.status(400).json({ 
-        success: false,
-        message: "This letter doesn't require a special answer. It's ready for you to read. 💌"
-      });
+    // Fetch voice messages
+    const voiceMessagesRef = db.ref(`users/${userId}/letters/${letterId}/voiceMessages`);
+    const voiceMessagesSnapshot = await voiceMessagesRef.once("value");
+    const voiceMessages = voiceMessagesSnapshot.val();
+
+    if (!voiceMessages) {
+      return res.status(200).json([]);
     }
 
-    const { securityType, securityConfig } = letter;
-    let isCorrect = false;
+    // Convert object to array
+    const voiceMessagesArray = Object.keys(voiceMessages).map(key => ({
+      id: key,
+      ...voiceMessages[key]
+    }));
 
-    // Validate based on security type
-    if (securityType === 'quiz') {
-      // Hash the user's answer and compare with stored hash
-      const userAnswerHash = hashAnswer(answer);
-      const storedHash = securityConfig.correctAnswerHash;
-      
-      if (!storedHash) {
-        return res.status(500).json({ 
-          success: false,
-          message: "Something unexpected happened while preparing your letter. Please try again in a moment. 🌙"
-        });
-      }
+    res.status(200).json(voiceMessagesArray);
+  } catch (error) {
+    console.error("Error fetching voice messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching voice messages",
+      error: error.message
+    });
+  }
+});
 
-      isCorrect = userAnswerHash === storedHash;
-    } else if (securityType === 'date') {
-      // For dates, normalize the date string first
-      const dateStr = String(answer).trim();
-      const userDateHash = hashAnswer(dateStr);
-      const storedHash = securityConfig.correctDateHash;
-      
-      if (!storedHash) {
-        return res.status(500).json({ 
-          success: false,
-          message: "Something unexpected happened while preparing your letter. Please try again in a moment. 🌙"
-        });
-      }
+// DELETE /api/letters/:userId/:letterId/voice-messages/:recordingId - Delete a voice message
+router.delete("/:userId/:letterId/voice-messages/:recordingId", checkFirebase, async (req, res) => {
+  try {
+    const { userId, letterId, recordingId } = req.params;
+    const { fileName } = req.body;
 
-      isCorrect = userDateHash === storedHash;
-    } else {
-      return res.status(400).json({ 
+    // Check if letter exists
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({
         success: false,
-        message: "This letter has a special way of being unlocked. Please check the link and try again. ✨"
+        message: "Letter not found"
       });
     }
 
-    console.log('🔐 Validation result:', { isCorrect, securityType });
-    
-    // Log security validation attempt
-    await logSecurityValidation(req, letterId, isCorrect, isCorrect ? 'success' : 'incorrect_answer');
-    
-    // If answer is correct, update letter status to "read" and create notification
-    if (isCorrect) {
+    // Delete from Firebase Realtime Database
+    const voiceMessageRef = db.ref(`users/${userId}/letters/${letterId}/voiceMessages/${recordingId}`);
+    await voiceMessageRef.remove();
+
+    // Delete from Firebase Storage if fileName is provided
+    if (fileName && storage) {
       try {
-        const updates = {
-          status: 'read',
-          readAt: new Date().toISOString()
-        };
-        
-        console.log('🔐 Updating letter status to "read"', { letterId, updates });
-        await letterRef.update(updates);
-        console.log('✅ Letter status updated to "read"');
-        
-        // Create notification for the sender
-        try {
-          const notificationRef = db.ref(`users/${userId}/notifications`).push();
-          await notificationRef.set({
-            type: 'letter_read',
-            letterId: letterId,
-            letterTitle: letter.introductory || 'Your Letter',
-            message: `Your letter "${letter.introductory || 'Untitled Letter'}" has been read! 💌`,
-            read: false,
-            createdAt: new Date().toISOString(),
-          });
-          console.log('✅ Notification created for letter read');
-        } catch (notificationError) {
-          console.error('❌ Error creating notification:', notificationError);
-          // Don't fail if notification creation fails
+        const fileRef = storage.file(fileName);
+        const exists = await fileRef.exists();
+        if (exists[0]) {
+          await fileRef.delete();
+          console.log(`✅ Voice message file deleted from storage: ${fileName}`);
         }
-      } catch (updateError) {
-        console.error('❌ Error updating letter status:', updateError);
-        // Don't fail the validation if status update fails, but log it
+      } catch (storageError) {
+        console.error("⚠️ Warning: Failed to delete voice message from storage:", storageError);
+        // Don't fail the request if storage deletion fails
       }
     }
-    
-    const response = { 
+
+    res.status(200).json({
       success: true,
-      isCorrect: isCorrect,
-      message: isCorrect 
-        ? "Perfect! Your answer opens the way. The letter awaits you with open arms. 💌✨" 
-        : "That's not quite the answer this letter is looking for. Take your time, breathe, and try again with care. The right answer will come to you. 💕"
-    };
-    // Security: Don't log response with isCorrect in production
-    if (process.env.NODE_ENV === 'development') {
-      console.log('🔐 Sending response:', response);
-    } else {
-      console.log('🔐 Sending response:', { success: response.success, isCorrect: '[REDACTED]' });
-    }
-    res.status(200).json(response);
-    console.log('✅ Response sent successfully');
+      message: "Voice message deleted successfully"
+    });
   } catch (error) {
-    console.error("❌ Error validating security answer:", error);
-    console.error("❌ Error stack:", error.stack);
-    res.status(500).json({ 
+    console.error("Error deleting voice message:", error);
+    res.status(500).json({
       success: false,
-      message: "Something unexpected happened while checking your answer. Please take a moment and try again. The letter will wait for you. 🌙"
+      message: "Error deleting voice message",
+      error: error.message
     });
   }
 });
 
-// POST /api/letters/:userId/:letterId/regenerate-token - Regenerate token for an existing letter
-// Moved here before POST /:userId to prevent route conflicts
-router.post("/:userId/:letterId/regenerate-token", 
-  sanitizeBody, // ✅ Sanitize input
+// GET /api/letters/:userId/:letterId/recipients - List recipients with their read status
+router.get("/:userId/:letterId/recipients",
   validateUserIdParam, // ✅ Validate userId format
   validateLetterIdParam, // ✅ Validate letterId format
-  tokenRegenerationLimiter, // ✅ Rate limiting
   verifyAuth,               // ✅ Verify user is authenticated
   verifyOwnership,          // ✅ Verify user owns the letter
-  checkFirebase, 
+  checkFirebase,
   async (req, res) => {
-    try {
-      const { userId, letterId } = req.params;
-
-      // Verify letter exists
-      const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
-      const letterSnapshot = await letterRef.once("value");
-      const letter = letterSnapshot.val();
+  try {
+    const { userId, letterId } = req.params;
 
-      if (!letter) {
-        return res.status(404).json({ message: "Letter not found" });
-      }
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letterSnapshot = await letterRef.once("value");
+    const letter = letterSnapshot.val();
 
-    // Deactivate old token if it exists
-    if (letter.accessToken) {
-      const oldTokenRef = db.ref(`letterTokens/${letter.accessToken}`);
-      await oldTokenRef.update({ isActive: false });
-      console.log(`🔒 Deactivated old token: ${letter.accessToken.substring(0, 8)}...`);
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        message: "Letter not found"
+      });
     }
 
-    // Generate new token
-    const newToken = generateToken();
-    const expiresAt = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(); // 1 year
-
-    // Store new token mapping
-    const tokenRef = db.ref(`letterTokens/${newToken}`);
-    await tokenRef.set({
-      userId: userId,
-      letterId: letterId,
-      createdAt: new Date().toISOString(),
-      expiresAt: expiresAt,
-      isActive: true
-    });
-
-    // Update letter with new token and shareable link
-    // Note: Frontend will construct the full URL, we store relative path
-    const shareableLink = `/letter/${newToken}`; // Relative path, frontend will add origin
-    
-    await letterRef.update({
-      accessToken: newToken,
-      shareableLink: shareableLink,
-      updatedAt: new Date().toISOString()
-    });
+    // Legacy letters only have a single receiver
+    if (!letter.recipients) {
+      return res.status(200).json([{
+        id: null,
+        name: letter.receiverName || "",
+        email: letter.receiverEmail || "",
+        accessToken: letter.accessToken || null,
+        status: letter.status || 'unread',
+        readAt: letter.readAt || null,
+        reaction: letter.reaction || null
+      }]);
+    }
 
-    console.log(`✅ Token regenerated for letter ${letterId}: ${newToken.substring(0, 8)}...`);
+    const recipientsArray = Object.keys(letter.recipients).map(key => ({
+      id: key,
+      ...letter.recipients[key]
+    }));
 
-    res.status(200).json({
-      message: "Token regenerated successfully",
-      token: newToken,
-      shareableLink: shareableLink,
-      expiresAt: expiresAt
-    });
+    res.status(200).json(recipientsArray);
   } catch (error) {
-    console.error("Error regenerating token:", error);
+    console.error("Error fetching recipients:", error);
     res.status(500).json({
-      message: "Error regenerating token",
+      success: false,
+      message: "Error fetching recipients",
       error: error.message
     });
   }
 });
 
-// PUT /api/letters/:userId/:letterId/responses/:responseId - Update a response
-router.put("/:userId/:letterId/responses/:responseId", checkFirebase, async (req, res) => {
+// POST /api/letters/:userId/:letterId/recipients - Add recipients to an existing letter
+// Body: { recipients: [{ name, email }] } - each new recipient gets their own token (unless the letter is a draft)
+router.post("/:userId/:letterId/recipients",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
   try {
-    const { userId, letterId, responseId } = req.params;
-    const { content } = req.body;
+    const { userId, letterId } = req.params;
 
-    if (!content || !content.trim()) {
+    const { recipients: newRecipients, error: recipientsError } = normalizeRecipients(req.body.recipients);
+    if (recipientsError) {
       return res.status(400).json({
         success: false,
-        message: "Response content is required"
+        message: recipientsError
       });
     }
 
-    // Check if letter exists
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
     const letterSnapshot = await letterRef.once("value");
     const letter = letterSnapshot.val();
@@ -611,233 +2945,417 @@ router.put("/:userId/:letterId/responses/:responseId", checkFirebase, async (req
       });
     }
 
-    // Check if response exists
-    const responseRef = db.ref(`users/${userId}/letters/${letterId}/responses/${responseId}`);
-    const responseSnapshot = await responseRef.once("value");
-    const response = responseSnapshot.val();
+    const now = new Date().toISOString();
+    let recipients = { ...(letter.recipients || {}) };
+
+    // Upgrade a legacy single-receiver letter: its receiver becomes the primary recipient
+    if (!letter.recipients) {
+      const primaryId = letterRef.child('recipients').push().key;
+      recipients[primaryId] = {
+        name: letter.receiverName || "",
+        email: letter.receiverEmail || "",
+        accessToken: letter.accessToken || null,
+        shareableLink: letter.shareableLink || null,
+        status: letter.status || 'unread',
+        readAt: letter.readAt || null,
+        addedAt: letter.createdAt || now
+      };
+      if (letter.accessToken) {
+        await db.ref(`letterTokens/${letter.accessToken}`).update({ recipientId: primaryId });
+      }
+    }
 
-    if (!response) {
-      return res.status(404).json({
+    const existingEmails = Object.values(recipients).map(recipient => recipient.email).filter(Boolean);
+    const addedIds = [];
+    newRecipients.forEach((recipient) => {
+      // Skip duplicates by email so the same person doesn't get two links
+      if (recipient.email && existingEmails.includes(recipient.email)) return;
+      const recipientId = letterRef.child('recipients').push().key;
+      recipients[recipientId] = {
+        name: recipient.name,
+        email: recipient.email,
+        status: 'unread',
+        addedAt: now
+      };
+      addedIds.push(recipientId);
+    });
+
+    if (Object.keys(recipients).length > MAX_RECIPIENTS) {
+      return res.status(400).json({
         success: false,
-        message: "Response not found"
+        message: `A letter can have at most ${MAX_RECIPIENTS} recipients`
       });
     }
 
-    // Update response
-    const updates = {
-      content: content.trim(),
-      updatedAt: new Date().toISOString()
-    };
+    // Drafts get their tokens when they are scheduled or delivered
+    if (getLetterState(letter) !== 'draft') {
+      recipients = await mintRecipientTokens(db, userId, letterId, recipients);
+    }
 
-    await responseRef.update(updates);
+    await letterRef.update({
+      recipients,
+      updatedAt: now
+    });
 
-    console.log(`✅ Response updated: ${responseId} for letter ${letterId}`);
+    console.log(`✅ Added ${addedIds.length} recipient(s) to letter ${letterId}`);
 
     res.status(200).json({
       success: true,
-      message: "Response updated successfully",
-      response: {
-        id: responseId,
-        ...response,
-        ...updates
-      }
+      message: `Added ${addedIds.length} recipient(s)`,
+      recipients: addedIds.map(recipientId => ({
+        id: recipientId,
+        ...recipients[recipientId]
+      }))
     });
   } catch (error) {
-    console.error("Error updating response:", error);
+    console.error("Error adding recipients:", error);
     res.status(500).json({
       success: false,
-      message: "Error updating response",
+      message: "Error adding recipients",
       error: error.message
     });
   }
 });
 
-// DELETE /api/letters/:userId/:letterId/responses/:responseId - Delete a response
-// IMPORTANT: This route must come BEFORE /:userId/:letterId to avoid route conflicts
-router.delete("/:userId/:letterId/responses/:responseId", checkFirebase, async (req, res) => {
+// DELETE /api/letters/:userId/:letterId/recipients/:recipientId - Remove a recipient and revoke their token
+router.delete("/:userId/:letterId/recipients/:recipientId",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
   try {
-    const { userId, letterId, responseId } = req.params;
-    
-    console.log(`🗑️ DELETE /api/letters/${userId}/${letterId}/responses/${responseId} - Deleting response`);
+    const { userId, letterId, recipientId } = req.params;
 
-    // Check if letter exists
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
     const letterSnapshot = await letterRef.once("value");
     const letter = letterSnapshot.val();
 
     if (!letter) {
-      console.log(`❌ Letter not found: ${letterId} for user ${userId}`);
       return res.status(404).json({
         success: false,
         message: "Letter not found"
       });
     }
 
-    // Check if response exists
-    const responseRef = db.ref(`users/${userId}/letters/${letterId}/responses/${responseId}`);
-    const responseSnapshot = await responseRef.once("value");
-    const response = responseSnapshot.val();
-
-    if (!response) {
-      console.log(`❌ Response not found: ${responseId} for letter ${letterId}`);
+    const recipient = letter.recipients && letter.recipients[recipientId];
+    if (!recipient) {
       return res.status(404).json({
         success: false,
-        message: "Response not found"
+        message: "Recipient not found"
       });
     }
 
-    // Delete response
-    await responseRef.remove();
+    if (Object.keys(letter.recipients).length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A letter needs at least one recipient"
+      });
+    }
 
-    console.log(`✅ Response deleted: ${responseId} for letter ${letterId}`);
+    if (recipient.accessToken) {
+      await db.ref(`letterTokens/${recipient.accessToken}`).update({ isActive: false });
+      console.log(`🔒 Deactivated token for removed recipient: ${recipient.accessToken.substring(0, 8)}...`);
+    }
+
+    const remainingRecipients = { ...letter.recipients };
+    delete remainingRecipients[recipientId];
+
+    const updates = {
+      [`recipients/${recipientId}`]: null,
+      updatedAt: new Date().toISOString()
+    };
+
+    // If the primary recipient was removed, promote the next one for older clients
+    if (recipient.accessToken && recipient.accessToken === letter.accessToken) {
+      const nextPrimary = remainingRecipients[Object.keys(remainingRecipients)[0]];
+      updates.accessToken = nextPrimary.accessToken || null;
+      updates.shareableLink = nextPrimary.shareableLink || null;
+      updates.receiverName = nextPrimary.name || "";
+      updates.receiverEmail = nextPrimary.email || "";
+    }
+
+    await letterRef.update(updates);
 
     res.status(200).json({
       success: true,
-      message: "Response deleted successfully"
+      message: "Recipient removed successfully",
+      recipientId
     });
   } catch (error) {
-    console.error("❌ Error deleting response:", error);
-    console.error("Error stack:", error.stack);
+    console.error("Error removing recipient:", error);
     res.status(500).json({
       success: false,
-      message: "Error deleting response",
+      message: "Error removing recipient",
       error: error.message
     });
   }
 });
 
-// GET /api/letters/:userId/:letterId/responses - Get all responses for a letter
-router.get("/:userId/:letterId/responses", checkFirebase, async (req, res) => {
+// Owner side of group letters: invite contributors, review and order their sections
+
+// Helper function for the owner's view of a contributor (with their invite link)
+const toContributorResponse = (contributor) => ({
+  ...contributor,
+  status: contributor.content ? 'submitted' : 'invited',
+  included: contributor.included !== false,
+  inviteLink: contributor.inviteToken ? `/contribute/${contributor.inviteToken}` : null // Relative path, frontend will add origin
+});
+
+// GET /api/letters/:userId/:letterId/contributors - List contributors and their sections in order
+router.get("/:userId/:letterId/contributors",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
   try {
     const { userId, letterId } = req.params;
+    const letter = (await db.ref(`users/${userId}/letters/${letterId}`).once("value")).val();
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
 
-    // Check if letter exists
-    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
-    const letterSnapshot = await letterRef.once("value");
-    const letter = letterSnapshot.val();
+    res.status(200).json({
+      success: true,
+      openForContributions: isOpenForContributions(letter),
+      contributors: listContributors(letter).map(toContributorResponse)
+    });
+  } catch (error) {
+    console.error("Error fetching contributors:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching contributors",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/letters/:userId/:letterId/contributors - Invite contributors while the letter is a draft or scheduled
+// Body: { contributors: [{ name, email }] } (or one { name, email }), optional sendEmail (default true).
+// Everyone gets an invite link; contributors with an email also get it by email.
+router.post("/:userId/:letterId/contributors",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+    const { contributors: invites, error } = normalizeContributorInvites(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const letter = (await letterRef.once("value")).val();
     if (!letter) {
-      return res.status(404).json({
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+    if (!isOpenForContributions(letter)) {
+      return res.status(409).json({
         success: false,
-        message: "Letter not found"
+        message: "Contributors can only be invited before the letter is sent"
+      });
+    }
+    const existingCount = Object.keys(letter.contributors || {}).length;
+    if (existingCount + invites.length > MAX_CONTRIBUTORS) {
+      return res.status(400).json({
+        success: false,
+        message: `A letter can have at most ${MAX_CONTRIBUTORS} contributors`
       });
     }
 
-    // Fetch responses
-    const responsesRef = db.ref(`users/${userId}/letters/${letterId}/responses`);
-    const responsesSnapshot = await responsesRef.once("value");
-    const responses = responsesSnapshot.val();
+    const invitedAt = new Date().toISOString();
+    const updates = {};
+    const created = [];
+    for (const [index, invite] of invites.entries()) {
+      const contributorId = letterRef.child('contributors').push().key;
+      const { inviteToken } = await createContributionInvite(db, userId, letterId, contributorId);
+      const contributor = {
+        name: invite.name,
+        email: invite.email,
+        inviteToken,
+        invitedAt,
+        order: existingCount + index,
+        included: true
+      };
+      updates[`contributors/${contributorId}`] = contributor;
+      created.push({ id: contributorId, ...contributor });
+    }
+    updates.updatedAt = invitedAt;
+    await letterRef.update(updates);
 
-    if (!responses) {
-      return res.status(200).json([]);
+    // Invitation emails are best effort - the owner can always share the link themselves
+    let emailsSent = 0;
+    const emailsFailed = [];
+    if (req.body.sendEmail !== false && req.body.sendEmail !== 'false') {
+      const ownerName = await getSenderName(db, userId);
+      for (const contributor of created.filter((item) => item.email)) {
+        try {
+          await sendMail(buildContributorInviteMailOptions({
+            recipientEmail: contributor.email,
+            contributorName: contributor.name,
+            ownerName,
+            receiverName: letter.receiverName,
+            inviteLink: getContributionLink(contributor.inviteToken)
+          }));
+          contributor.inviteEmailSentAt = new Date().toISOString();
+          await letterRef.child(`contributors/${contributor.id}/inviteEmailSentAt`).set(contributor.inviteEmailSentAt);
+          emailsSent++;
+        } catch (mailError) {
+          console.error(`⚠️ Failed to email contribution invite ${contributor.id}:`, mailError);
+          emailsFailed.push(contributor.id);
+        }
+      }
     }
 
-    // Convert object to array
-    const responsesArray = Object.keys(responses).map(key => ({
-      id: key,
-      ...responses[key]
-    }));
+    console.log(`✅ Invited ${created.length} contributor(s) to letter ${letterId}`);
 
-    res.status(200).json(responsesArray);
+    res.status(201).json({
+      success: true,
+      message: `Invited ${created.length} contributor(s)`,
+      contributors: created.map(toContributorResponse),
+      emailsSent,
+      emailsFailed
+    });
   } catch (error) {
-    console.error("Error fetching responses:", error);
+    console.error("Error inviting contributors:", error);
     res.status(500).json({
       success: false,
-      message: "Error fetching responses",
+      message: "Error inviting contributors",
       error: error.message
     });
   }
 });
 
-// GET /api/letters/:userId/:letterId/voice-messages - Get all voice messages for a letter
-router.get("/:userId/:letterId/voice-messages", checkFirebase, async (req, res) => {
+// PUT /api/letters/:userId/:letterId/contributors/order - Order the sections
+// Body: { order: [contributorId, ...] } listing every contributor once
+router.put("/:userId/:letterId/contributors/order",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
   try {
     const { userId, letterId } = req.params;
-
-    // Check if letter exists
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
-    const letterSnapshot = await letterRef.once("value");
-    const letter = letterSnapshot.val();
-
+    const letter = (await letterRef.once("value")).val();
     if (!letter) {
-      return res.status(404).json({
-        success: false,
-        message: "Letter not found"
-      });
+      return res.status(404).json({ success: false, message: "Letter not found" });
     }
 
-    // Fetch voice messages
-    const voiceMessagesRef = db.ref(`users/${userId}/letters/${letterId}/voiceMessages`);
-    const voiceMessagesSnapshot = await voiceMessagesRef.once("value");
-    const voiceMessages = voiceMessagesSnapshot.val();
-
-    if (!voiceMessages) {
-      return res.status(200).json([]);
+    const { updates, error } = buildContributorOrderUpdates(letter, req.body.order);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
+    await letterRef.update({ ...updates, updatedAt: new Date().toISOString() });
 
-    // Convert object to array
-    const voiceMessagesArray = Object.keys(voiceMessages).map(key => ({
-      id: key,
-      ...voiceMessages[key]
-    }));
-
-    res.status(200).json(voiceMessagesArray);
+    const reordered = { ...letter, contributors: { ...letter.contributors } };
+    req.body.order.forEach((id, index) => {
+      reordered.contributors[id] = { ...reordered.contributors[id], order: index };
+    });
+    res.status(200).json({
+      success: true,
+      contributors: listContributors(reordered).map(toContributorResponse)
+    });
   } catch (error) {
-    console.error("Error fetching voice messages:", error);
+    console.error("Error ordering contributors:", error);
     res.status(500).json({
       success: false,
-      message: "Error fetching voice messages",
+      message: "Error ordering contributors",
       error: error.message
     });
   }
 });
 
-// DELETE /api/letters/:userId/:letterId/voice-messages/:recordingId - Delete a voice message
-router.delete("/:userId/:letterId/voice-messages/:recordingId", checkFirebase, async (req, res) => {
+// PUT /api/letters/:userId/:letterId/contributors/:contributorId - Review a section
+// Body: { included } - sections left out stay saved but aren't shown to receivers
+router.put("/:userId/:letterId/contributors/:contributorId",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
   try {
-    const { userId, letterId, recordingId } = req.params;
-    const { fileName } = req.body;
+    const { userId, letterId, contributorId } = req.params;
+    if (typeof req.body.included !== 'boolean') {
+      return res.status(400).json({ success: false, message: "included must be true or false" });
+    }
 
-    // Check if letter exists
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
-    const letterSnapshot = await letterRef.once("value");
-    const letter = letterSnapshot.val();
-
+    const letter = (await letterRef.once("value")).val();
     if (!letter) {
-      return res.status(404).json({
-        success: false,
-        message: "Letter not found"
-      });
+      return res.status(404).json({ success: false, message: "Letter not found" });
     }
-
-    // Delete from Firebase Realtime Database
-    const voiceMessageRef = db.ref(`users/${userId}/letters/${letterId}/voiceMessages/${recordingId}`);
-    await voiceMessageRef.remove();
-
-    // Delete from Firebase Storage if fileName is provided
-    if (fileName && storage) {
-      try {
-        const fileRef = storage.file(fileName);
-        const exists = await fileRef.exists();
-        if (exists[0]) {
-          await fileRef.delete();
-          console.log(`✅ Voice message file deleted from storage: ${fileName}`);
-        }
-      } catch (storageError) {
-        console.error("⚠️ Warning: Failed to delete voice message from storage:", storageError);
-        // Don't fail the request if storage deletion fails
-      }
+    const contributor = letter.contributors && letter.contributors[contributorId];
+    if (!contributor) {
+      return res.status(404).json({ success: false, message: "Contributor not found" });
     }
 
+    const reviewedAt = new Date().toISOString();
+    await letterRef.update({
+      [`contributors/${contributorId}/included`]: req.body.included,
+      [`contributors/${contributorId}/reviewedAt`]: reviewedAt,
+      updatedAt: reviewedAt
+    });
+
     res.status(200).json({
       success: true,
-      message: "Voice message deleted successfully"
+      contributor: toContributorResponse({ id: contributorId, ...contributor, included: req.body.included, reviewedAt })
     });
   } catch (error) {
-    console.error("Error deleting voice message:", error);
+    console.error("Error reviewing contribution:", error);
     res.status(500).json({
       success: false,
-      message: "Error deleting voice message",
+      message: "Error reviewing contribution",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letters/:userId/:letterId/contributors/:contributorId - Remove a contributor, their section and invite
+router.delete("/:userId/:letterId/contributors/:contributorId",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId, contributorId } = req.params;
+    const letter = (await db.ref(`users/${userId}/letters/${letterId}`).once("value")).val();
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+    const contributor = letter.contributors && letter.contributors[contributorId];
+    if (!contributor) {
+      return res.status(404).json({ success: false, message: "Contributor not found" });
+    }
+
+    const updates = {
+      [`users/${userId}/letters/${letterId}/contributors/${contributorId}`]: null,
+      [`users/${userId}/letters/${letterId}/updatedAt`]: new Date().toISOString()
+    };
+    if (contributor.inviteToken) {
+      updates[`contributionInvites/${contributor.inviteToken}`] = null;
+    }
+    await db.ref().update(updates);
+
+    res.status(200).json({ success: true, message: "Contributor removed", contributorId });
+  } catch (error) {
+    console.error("Error removing contributor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing contributor",
       error: error.message
     });
   }
@@ -845,10 +3363,10 @@ router.delete("/:userId/:letterId/voice-messages/:recordingId", checkFirebase, a
 
 // POST /api/letters/:userId/:letterId/responses - Save a response to a letter
 // Moved here before POST /:userId to prevent route conflicts
-router.post("/:userId/:letterId/responses", checkFirebase, async (req, res) => {
+router.post("/:userId/:letterId/responses", checkFirebase, requireLetterAccess, async (req, res) => {
   try {
     const { userId, letterId } = req.params;
-    const { content, receiverName } = req.body;
+    const { content, receiverName, token } = req.body;
 
     if (!content || !content.trim()) {
       return res.status(400).json({
@@ -869,13 +3387,19 @@ router.post("/:userId/:letterId/responses", checkFirebase, async (req, res) => {
       });
     }
 
+    // Attribute the response to a recipient when the token identifies one
+    const recipient = await resolveRecipientFromToken(letter, userId, letterId, token);
+
     // Create response object
     const response = {
       content: content.trim(),
-      receiverName: receiverName || letter.receiverName || "Friend",
+      receiverName: recipient?.name || receiverName || letter.receiverName || "Friend",
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
+    if (recipient) {
+      response.recipientId = recipient.id;
+    }
 
     // Save response under responses node
     const responsesRef = db.ref(`users/${userId}/letters/${letterId}/responses`);
@@ -883,6 +3407,16 @@ router.post("/:userId/:letterId/responses", checkFirebase, async (req, res) => {
     await newResponseRef.set(response);
 
     const responseId = newResponseRef.key;
+    await indexResponse(db, userId, letterId, letter, responseId, response);
+
+    // Move the letter along its lifecycle (no-op if it is already responded)
+    const stateUpdates = buildStateTransition(letterRef, letter, 'responded');
+    if (stateUpdates) {
+      await letterRef.update(stateUpdates);
+    }
+    if (recipient) {
+      await letterRef.child(`recipients/${recipient.id}`).update({ lastRespondedAt: response.createdAt });
+    }
 
     console.log(`✅ Response saved for letter ${letterId}:`, {
       responseId,
@@ -891,23 +3425,9 @@ router.post("/:userId/:letterId/responses", checkFirebase, async (req, res) => {
     });
 
     // Create notification for sender when receiver writes back
-    try {
-      const notificationsRef = db.ref(`users/${userId}/notifications`);
-      const notificationRef = notificationsRef.push();
-      await notificationRef.set({
-        type: "letter_response",
-        letterId: letterId,
-        letterTitle: letter.introductory || letter.title || 'Your Letter',
-        receiverName: response.receiverName || letter.receiverName || 'Your loved one',
-        message: `${response.receiverName || letter.receiverName || 'Your loved one'} wrote back to your letter "${letter.introductory || letter.title || 'Untitled Letter'}"! 💌`,
-        read: false,
-        createdAt: new Date().toISOString(),
-      });
-      console.log(`✅ Notification created for letter response from ${response.receiverName}`);
-    } catch (notificationError) {
-      console.error("❌ Error creating letter response notification:", notificationError);
-      // Don't fail the request if notification creation fails
-    }
+    await notifySenderOfResponse(userId, letterId, letter, response.receiverName, {
+      recipientId: response.recipientId || null
+    });
 
     res.status(200).json({
       success: true,
@@ -927,15 +3447,8 @@ router.post("/:userId/:letterId/responses", checkFirebase, async (req, res) => {
   }
 });
 
-// POST /api/letters/:userId - Create a new letter
-// NOTE: This route must come AFTER all specific routes like /validate-security, /regenerate-token, etc.
-router.post("/:userId", 
-  sanitizeBody, // ✅ Sanitize input
-  validateUserIdParam, // ✅ Validate userId format
-  verifyAuth, 
-  verifyOwnership, 
-  checkFirebase, 
-  async (req, res) => {
+// Creates a letter from req.body - shared by POST /:userId and POST /:userId/from-template/:templateId
+const createLetter = async (req, res) => {
   // Debug: Log if this route is being hit when it shouldn't be
   if (req.path.includes('validate-security') || req.path.includes('regenerate-token') || req.path.includes('responses')) {
     console.error('⚠️ WARNING: POST /:userId route matched when it should not have! Path:', req.path);
@@ -956,13 +3469,23 @@ router.post("/:userId",
       introductoryStyle,
       mainBodyStyle,
       closingStyle,
+      recipients, // Optional list of { name, email } - each recipient gets their own token
+      unlockAt, // Optional "open when" time - before it, the token only returns a teaser
+      previewLine, // Teaser line shown while the letter is still locked
+      maxViews, // Optional number of views per token before the letter self-destructs
+      burnAfterReadingMinutes, // Optional window after the first view before the letter self-destructs
+      purgeOnBurn, // Remove the letter body (keeping metadata) once it self-destructs
       securityType, 
       securityConfig,
+      lockoutPolicy, // Optional { maxFailedAttempts, lockoutMinutes } for wrong security answers
       selectedMusic, // Legacy support - Can be a preset ID or uploaded music URL
       letterMusic, // Music for letter viewing (new field)
-      dashboardMusic // Music for dashboard (array, new field)
+      dashboardMusic, // Music for dashboard (array, new field)
+      draft // Save as a draft: no token is minted until the letter is scheduled or delivered
     } = req.body;
 
+    const isDraft = draft === true || draft === 'true';
+
     // Support both old format (single content) and new format (3-part structure)
     let finalContent = content;
     
@@ -981,6 +3504,30 @@ router.post("/:userId",
       });
     }
 
+    // Without an explicit list, the single receiver becomes the only recipient
+    let recipientList = [{ name: receiverName || "", email: receiverEmail || "" }];
+    if (recipients !== undefined) {
+      const { recipients: normalizedRecipients, error: recipientsError } = normalizeRecipients(recipients);
+      if (recipientsError) {
+        return res.status(400).json({ message: recipientsError });
+      }
+      recipientList = normalizedRecipients;
+    }
+
+    let normalizedUnlockAt = null;
+    if (unlockAt !== undefined) {
+      const { unlockAt: parsedUnlockAt, error: unlockAtError } = normalizeUnlockAt(unlockAt);
+      if (unlockAtError) {
+        return res.status(400).json({ message: unlockAtError });
+      }
+      normalizedUnlockAt = parsedUnlockAt;
+    }
+
+    const { settings: selfDestructSettings, error: selfDestructError } = normalizeSelfDestructSettings({ maxViews, burnAfterReadingMinutes, purgeOnBurn });
+    if (selfDestructError) {
+      return res.status(400).json({ message: selfDestructError });
+    }
+
     // Security: Only log full request body in development
     if (process.env.NODE_ENV === 'development') {
       console.log('📥 FULL REQUEST BODY:', JSON.stringify(req.body, null, 2));
@@ -1003,16 +3550,36 @@ router.post("/:userId",
       securityConfigType: typeof securityConfig
     });
 
+    const createdAt = new Date().toISOString();
+    const initialState = isDraft ? 'draft' : 'delivered';
     const newLetter = {
       content: finalContent.trim(),
-      receiverEmail: receiverEmail || "",
-      receiverName: receiverName || "",
+      // The first recipient doubles as the legacy single receiver
+      receiverEmail: recipientList[0].email || "",
+      receiverName: recipientList[0].name || "",
       status: "unread", // unread, read
       readAt: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
+      state: initialState, // draft, scheduled, delivered, read, responded
+      stateUpdatedAt: createdAt,
+      stateTimestamps: { [initialState]: createdAt },
+      createdAt: createdAt,
+      updatedAt: createdAt,
     };
 
+    // Remember which template the letter was made from
+    if (req.letterTemplateId) {
+      newLetter.templateId = req.letterTemplateId;
+    }
+
+    // Store "open when" settings if provided
+    if (normalizedUnlockAt) newLetter.unlockAt = normalizedUnlockAt;
+    if (previewLine) newLetter.previewLine = String(previewLine).trim().substring(0, 280);
+
+    // Store view limit / burn-after-reading settings if provided
+    Object.entries(selfDestructSettings).forEach(([field, value]) => {
+      if (value !== null) newLetter[field] = value;
+    });
+
     // Store separate parts if provided (for future use)
     if (introductory !== undefined) newLetter.introductory = introductory.trim();
     if (mainBody !== undefined) newLetter.mainBody = mainBody.trim();
@@ -1038,52 +3605,38 @@ router.post("/:userId",
     }
     
     // Save securityConfig - ALWAYS save if defined and securityType is set
-    // IMPORTANT: Hash the answers before saving for security
-    if (securityConfig !== undefined && newLetter.securityType) {
-      if (typeof securityConfig === 'object' && securityConfig !== null) {
-        // Create a secure copy of the config with hashed answers
-        const secureConfig = { ...securityConfig };
-        
-        // Hash the correct answer based on security type
-        if (newLetter.securityType === 'quiz' && secureConfig.correctAnswer) {
-          // For quiz: hash the correctAnswer
-          secureConfig.correctAnswerHash = hashAnswer(secureConfig.correctAnswer);
-          // Remove the plain text answer - NEVER save it
-          delete secureConfig.correctAnswer;
-          console.log('🔒 Hashed quiz answer (original removed)');
-        } else if (newLetter.securityType === 'date' && secureConfig.correctDate) {
-          // For date: hash the correctDate (normalize date format first)
-          const dateStr = String(secureConfig.correctDate).trim();
-          secureConfig.correctDateHash = hashAnswer(dateStr);
-          // Remove the plain text date - NEVER save it
-          delete secureConfig.correctDate;
-          console.log('🔒 Hashed date answer (original removed)');
-        }
-        
-        // Keep question and other metadata (not sensitive)
-        newLetter.securityConfig = secureConfig;
-      } else if (securityConfig !== null) {
-        // Try to parse if it's a string
+    // IMPORTANT: Answers are validated and hashed before saving - plain text answers are NEVER saved
+    if (securityConfig !== undefined && securityConfig !== null && newLetter.securityType) {
+      let parsedConfig = securityConfig;
+      if (typeof securityConfig === 'string') {
         try {
-          const parsed = typeof securityConfig === 'string' ? JSON.parse(securityConfig) : securityConfig;
-          if (typeof parsed === 'object' && !Array.isArray(parsed)) {
-            const secureConfig = { ...parsed };
-            if (newLetter.securityType === 'quiz' && secureConfig.correctAnswer) {
-              secureConfig.correctAnswerHash = hashAnswer(secureConfig.correctAnswer);
-              delete secureConfig.correctAnswer;
-            } else if (newLetter.securityType === 'date' && secureConfig.correctDate) {
-              secureConfig.correctDateHash = hashAnswer(secureConfig.correctDate);
-              delete secureConfig.correctDate;
-            }
-            newLetter.securityConfig = secureConfig;
-          } else {
-            newLetter.securityConfig = parsed;
-          }
+          parsedConfig = JSON.parse(securityConfig);
         } catch (e) {
-          console.warn('⚠️ Could not parse securityConfig, saving as-is:', typeof securityConfig);
-          newLetter.securityConfig = securityConfig;
+          parsedConfig = null;
         }
       }
+
+      const prepared = await prepareSecurityConfig(newLetter.securityType, parsedConfig);
+      if (prepared.error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid security settings: ${prepared.error}`
+        });
+      }
+      newLetter.securityConfig = prepared.config;
+      console.log('🔒 Hashed security answers (originals removed):', newLetter.securityType);
+    }
+
+    // Custom lockout policy for wrong security answers (the default applies otherwise)
+    if (lockoutPolicy !== undefined && lockoutPolicy !== null && newLetter.securityType) {
+      const { policy, error: lockoutPolicyError } = normalizeLockoutPolicy(lockoutPolicy);
+      if (lockoutPolicyError) {
+        return res.status(400).json({
+          success: false,
+          message: lockoutPolicyError
+        });
+      }
+      newLetter.lockoutPolicy = policy;
     }
     
     // Store selected music (legacy support - preset ID or uploaded music URL)
@@ -1156,6 +3709,17 @@ router.post("/:userId",
     const lettersRef = db.ref(`users/${userId}/letters`);
     const newLetterRef = lettersRef.push();
     const letterId = newLetterRef.key;
+
+    newLetter.recipients = {};
+    recipientList.forEach((recipient) => {
+      const recipientId = newLetterRef.child('recipients').push().key;
+      newLetter.recipients[recipientId] = {
+        name: recipient.name,
+        email: recipient.email,
+        status: 'unread',
+        addedAt: createdAt
+      };
+    });
     
     console.log('💾 About to save letter with ID:', letterId);
     // Security: Only log full letter object in development (contains personal content)
@@ -1175,22 +3739,17 @@ router.post("/:userId",
     
     await newLetterRef.set(newLetter);
 
-    // Generate secure token for shareable link
-    const token = generateToken();
-    const expiresAt = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(); // 1 year expiration
-    
-    // Store token mapping
-    const tokenRef = db.ref(`letterTokens/${token}`);
-    await tokenRef.set({
-      userId: userId,
-      letterId: letterId,
-      createdAt: new Date().toISOString(),
-      expiresAt: expiresAt,
-      isActive: true
-    });
-    
-    // Store token in letter for reference (optional, for revocation)
-    await newLetterRef.update({ accessToken: token });
+    // Generate secure token for shareable link (drafts stay private until they are scheduled or delivered)
+    let token = null;
+    if (!isDraft) {
+      newLetter.recipients = await mintRecipientTokens(db, userId, letterId, newLetter.recipients);
+      // The primary recipient's token is also stored as the letter's accessToken for older clients
+      token = newLetter.recipients[Object.keys(newLetter.recipients)[0]].accessToken;
+      newLetter.accessToken = token;
+
+      // Store tokens in letter for reference (optional, for revocation)
+      await newLetterRef.update({ accessToken: token, recipients: newLetter.recipients });
+    }
 
     // Query the database immediately after saving to verify
     console.log('🔍 Querying database to verify saved data...');
@@ -1257,7 +3816,16 @@ router.post("/:userId",
     res.status(201).json({ 
       message: "Letter created successfully",
       letter: responseLetter,
-      token: token // Include token in response
+      token: token, // Include token in response
+      // One token per recipient (empty for drafts)
+      tokens: Object.keys(newLetter.recipients)
+        .filter(recipientId => newLetter.recipients[recipientId].accessToken)
+        .map(recipientId => ({
+          recipientId,
+          name: newLetter.recipients[recipientId].name,
+          email: newLetter.recipients[recipientId].email,
+          token: newLetter.recipients[recipientId].accessToken
+        }))
     });
   } catch (error) {
     console.error("Error creating letter:", error);
@@ -1266,13 +3834,101 @@ router.post("/:userId",
       error: error.message 
     });
   }
-});
+};
+
+// Middleware to render a saved template into req.body, so the letter goes through
+// exactly the same validation, answer hashing and token creation as POST /:userId
+const applyLetterTemplate = async (req, res, next) => {
+  try {
+    const { userId, templateId } = req.params;
+
+    if (!/^[a-zA-Z0-9_-]{1,128}$/.test(templateId)) {
+      return res.status(400).json({ success: false, message: "Invalid template ID" });
+    }
+
+    const templateSnapshot = await db.ref(`users/${userId}/letterTemplates/${templateId}`).once("value");
+    const template = templateSnapshot.val();
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Template not found" });
+    }
+
+    const { variables, senderName, date, ...letterFields } = req.body || {};
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      return res.status(400).json({ success: false, message: "variables must be an object of placeholder values" });
+    }
+
+    // Custom placeholder values, then the built-in ones
+    const values = {};
+    Object.entries(variables || {}).forEach(([name, value]) => {
+      if (typeof value === 'string' || typeof value === 'number') {
+        values[name] = sanitizeString(String(value), MAX_PLACEHOLDER_VALUE_LENGTH);
+      }
+    });
+
+    const firstRecipient = Array.isArray(letterFields.recipients) ? letterFields.recipients[0] : null;
+    values.receiverName = letterFields.receiverName || (firstRecipient && firstRecipient.name) || values.receiverName || "";
+
+    if (senderName) {
+      values.senderName = sanitizeString(String(senderName), MAX_PLACEHOLDER_VALUE_LENGTH);
+    } else if (!values.senderName) {
+      values.senderName = await getSenderName(db, userId);
+    }
+
+    values.date = date
+      ? sanitizeString(String(date), MAX_PLACEHOLDER_VALUE_LENGTH)
+      : new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    req.body = renderTemplateToLetter(template, letterFields, values);
+    req.letterTemplateId = templateId;
+    next();
+  } catch (error) {
+    console.error("Error rendering letter template:", error);
+    res.status(500).json({
+      message: "Error creating letter from template",
+      error: error.message
+    });
+  }
+};
+
+// POST /api/letters/:userId - Create a new letter
+// NOTE: This route must come AFTER all specific routes like /validate-security, /regenerate-token, etc.
+router.post("/:userId", 
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth, 
+  verifyOwnership, 
+  checkFirebase, 
+  createLetter
+);
+
+// POST /api/letters/:userId/from-template/:templateId - Create a letter from a saved template
+// Body: the usual letter fields (they override the template), plus optional senderName, date
+// and variables ({ name: value }) for the template's {{placeholders}}
+router.post("/:userId/from-template/:templateId",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  verifyAuth,
+  verifyOwnership,
+  checkFirebase,
+  applyLetterTemplate,
+  createLetter
+);
 
 // PUT /api/letters/:userId/:letterId - Update a letter
-router.put("/:userId/:letterId", checkFirebase, async (req, res) => {
+router.put("/:userId/:letterId", optionalAuth, checkFirebase, async (req, res) => {
   try {
     const { userId, letterId } = req.params;
-    const { content, introductory, mainBody, closing, shareableLink, reaction, emailSent, emailSentTo, emailScheduled, scheduledDateTime, selectedMusic, letterMusic, dashboardMusic } = req.body;
+    const { content, introductory, mainBody, closing, shareableLink, reaction, token, unlockAt, previewLine, maxViews, burnAfterReadingMinutes, purgeOnBurn, emailSent, emailSentTo, emailScheduled, scheduledDateTime, selectedMusic, letterMusic, dashboardMusic } = req.body;
+
+    // Receivers learn the letter's ids from its token, so content, scheduling, lock and self-destruct settings need the signed-in sender
+    const ownerOnlyFields = ['content', 'introductory', 'mainBody', 'closing', 'emailScheduled', 'scheduledDateTime', 'unlockAt', 'previewLine', 'maxViews', 'burnAfterReadingMinutes', 'purgeOnBurn']
+      .filter((field) => req.body[field] !== undefined);
+    if (ownerOnlyFields.length > 0 && req.user?.uid !== userId) {
+      return res.status(req.user ? 403 : 401).json({
+        success: false,
+        message: `Only the signed-in sender can change: ${ownerOnlyFields.join(', ')}`
+      });
+    }
 
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
     const snapshot = await letterRef.once("value");
@@ -1291,6 +3947,31 @@ router.put("/:userId/:letterId", checkFirebase, async (req, res) => {
       updates.shareableLink = String(shareableLink).trim();
     }
 
+    // Save "open when" settings if provided (null clears the lock)
+    if (unlockAt !== undefined) {
+      const { unlockAt: parsedUnlockAt, error: unlockAtError } = normalizeUnlockAt(unlockAt);
+      if (unlockAtError) {
+        return res.status(400).json({
+          success: false,
+          message: unlockAtError
+        });
+      }
+      updates.unlockAt = parsedUnlockAt;
+    }
+    if (previewLine !== undefined) {
+      updates.previewLine = previewLine ? String(previewLine).trim().substring(0, 280) : null;
+    }
+
+    // Save view limit / burn-after-reading settings if provided
+    const { settings: selfDestructSettings, error: selfDestructError } = normalizeSelfDestructSettings({ maxViews, burnAfterReadingMinutes, purgeOnBurn });
+    if (selfDestructError) {
+      return res.status(400).json({
+        success: false,
+        message: selfDestructError
+      });
+    }
+    Object.assign(updates, selfDestructSettings);
+
     // Save emailSent flag if provided
     if (emailSent !== undefined) {
       updates.emailSent = Boolean(emailSent);
@@ -1298,6 +3979,10 @@ router.put("/:userId/:letterId", checkFirebase, async (req, res) => {
         updates.emailSentTo = String(emailSentTo).trim().toLowerCase();
         updates.emailSentAt = new Date().toISOString();
       }
+      // A scheduled letter whose email went out is now delivered
+      if (emailSent && getLetterState(letter) === 'scheduled') {
+        Object.assign(updates, buildStateTransition(letterRef, letter, 'delivered'));
+      }
     }
 
     // Save emailScheduled flag if provided
@@ -1368,12 +4053,29 @@ router.put("/:userId/:letterId", checkFirebase, async (req, res) => {
       }
     }
 
-    // Save reaction if provided (only save once, don't overwrite if already exists)
+    // Scheduling the email of a shared letter moves it to the scheduled state until the email goes out
+    // (drafts are scheduled through PUT /:userId/:letterId/state, which mints their tokens)
+    const schedulesEmail = updates.emailScheduled || (emailScheduled === undefined && updates.scheduledDateTime);
+    if (schedulesEmail && !updates.state && !updates.emailSent && getLetterState(letter) === 'delivered') {
+      Object.assign(updates, buildStateTransition(letterRef, letter, 'scheduled'));
+    }
+
+    // Legacy single reaction: an emoji is added to the receiver's whole-letter reactions
+    // (see PUT /token/:token/reactions); anything else only replaces the old reaction field.
+    // Reactions from a recipient token are tracked on that recipient
+    let reactionRecipient = null;
     if (reaction !== undefined && reaction !== null) {
-      // Check if reaction already exists - if it does, don't overwrite
-      if (!letter.reaction) {
-        updates.reaction = reaction;
-        updates.reactionSubmittedAt = new Date().toISOString();
+      reactionRecipient = await resolveRecipientFromToken(letter, userId, letterId, token);
+      if (!isValidEmoji(reaction)) {
+        const reactionFields = { reaction, reactionSubmittedAt: new Date().toISOString() };
+        if (reactionRecipient) {
+          updates.recipients = {
+            ...letter.recipients,
+            [reactionRecipient.id]: { ...letter.recipients[reactionRecipient.id], ...reactionFields }
+          };
+        } else {
+          Object.assign(updates, reactionFields);
+        }
       }
     }
 
@@ -1433,11 +4135,31 @@ router.put("/:userId/:letterId", checkFirebase, async (req, res) => {
       }
     }
 
+    // Keep the previous content as an immutable revision before overwriting it
+    if (hasRevisionChanges(letter, updates)) {
+      const revision = await saveLetterRevision(db, userId, letterId, letter, 'update');
+      updates.revisionCount = revision.revisionNumber;
+      console.log(`📜 Saved revision ${revision.revisionNumber} for letter ${letterId}`);
+    }
+
     await letterRef.update(updates);
+    await remapLetterAnnotations(letterRef, letter, { ...letter, ...updates });
+
+    if (reaction !== undefined && reaction !== null && isValidEmoji(reaction)) {
+      const readerKey = getReaderKey('receiver', reactionRecipient ? reactionRecipient.id : null);
+      const current = ((getLetterReactions(letter)[readerKey] || {}).letter || []).map((entry) => entry.emoji);
+      const emoji = [...current.filter((item) => item !== reaction), reaction].slice(-MAX_REACTIONS_PER_TARGET);
+      await saveLetterReaction(userId, letterId, { ...letter, ...updates }, letterRef, { recipient: reactionRecipient, target: 'letter', emoji });
+    }
+
+    // Responses are listed with the letter's title (its introductory line)
+    if (updates.introductory !== undefined && updates.introductory !== letter.introductory) {
+      await reindexLetterResponses(db, userId, letterId, { ...letter, ...updates });
+    }
 
     res.status(200).json({ 
       message: "Letter updated successfully",
-      letter: { id: letterId, ...letter, ...updates }
+      letter: { id: letterId, ...stripPrivateLetterFields({ ...letter, ...updates }) }
     });
   } catch (error) {
     console.error("Error updating letter:", error);
@@ -1464,14 +4186,19 @@ router.put("/:userId/:letterId/mark-read", checkFirebase, async (req, res) => {
     const updates = {
       status: "read",
       readAt: new Date().toISOString(),
+      ...buildStateTransition(letterRef, letter, 'read'),
       updatedAt: new Date().toISOString(),
     };
 
     await letterRef.update(updates);
 
+    // Track which recipient read the letter (if the request carries their token)
+    const recipient = await resolveRecipientFromToken(letter, userId, letterId, req.body?.token);
+    await recordRecipientRead(userId, letterId, letter, recipient);
+
     res.status(200).json({ 
       message: "Letter marked as read",
-      letter: { id: letterId, ...letter, ...updates }
+      letter: { id: letterId, ...stripPrivateLetterFields(letter), ...updates }
     });
   } catch (error) {
     console.error("Error marking letter as read:", error);
@@ -1482,35 +4209,242 @@ router.put("/:userId/:letterId/mark-read", checkFirebase, async (req, res) => {
   }
 });
 
-router.delete("/:userId/:letterId", checkFirebase, async (req, res) => {
+// PUT /api/letters/:userId/:letterId/state - Move a letter to a new lifecycle state
+// Senders can only schedule or deliver; read/responded are set by receiver actions.
+// Leaving the draft state mints the letter's token, so drafts are never shareable.
+router.put("/:userId/:letterId/state",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
   try {
     const { userId, letterId } = req.params;
+    const { state, scheduledDateTime } = req.body;
+
+    if (!SENDER_SETTABLE_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid state. Allowed states: ${SENDER_SETTABLE_STATES.join(', ')}`
+      });
+    }
 
     const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
     const snapshot = await letterRef.once("value");
     const letter = snapshot.val();
 
     if (!letter) {
-      return res.status(404).json({ message: "Letter not found" });
+      return res.status(404).json({ success: false, message: "Letter not found" });
     }
 
-    // Delete the associated letter token if it exists
-    if (letter.accessToken) {
-      try {
-        const tokenRef = db.ref(`letterTokens/${letter.accessToken}`);
-        await tokenRef.remove();
-        console.log(`✅ Deleted token for letter ${letterId}: ${letter.accessToken.substring(0, 8)}...`);
-      } catch (tokenError) {
-        console.error("Error deleting letter token:", tokenError);
-        // Continue with letter deletion even if token deletion fails
+    const currentState = getLetterState(letter);
+    const updates = buildStateTransition(letterRef, letter, state);
+
+    if (!updates) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move a letter from "${currentState}" to "${state}"`,
+        currentState
+      });
+    }
+
+    // Scheduling requires a valid future date/time
+    if (state === 'scheduled') {
+      const scheduledDate = new Date(scheduledDateTime);
+      if (!scheduledDateTime || isNaN(scheduledDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "A valid scheduled date/time is required to schedule a letter"
+        });
+      }
+      if (scheduledDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Scheduled date and time must be in the future"
+        });
+      }
+      updates.scheduledDateTime = scheduledDateTime;
+      updates.emailScheduled = true;
+    }
+
+    // The scheduler delivers a scheduled letter by email, so it needs someone to email
+    const emailRecipients = letter.recipients
+      ? Object.entries(letter.recipients).filter(([, recipient]) => recipient.email).map(([id]) => id)
+      : (letter.receiverEmail ? [null] : []);
+    if (state === 'scheduled' && emailRecipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add a recipient email before scheduling this letter"
+      });
+    }
+
+    // Mint the tokens when the letter leaves the draft state
+    let token = letter.accessToken || null;
+    if (letter.recipients) {
+      updates.recipients = await mintRecipientTokens(db, userId, letterId, letter.recipients);
+      token = token || updates.recipients[getPrimaryRecipientId(letter)].accessToken;
+    } else if (!token) {
+      ({ token } = await createLetterToken(db, userId, letterId));
+    }
+    if (!letter.accessToken) {
+      updates.accessToken = token;
+      updates.shareableLink = `/letter/${token}`; // Relative path, frontend will add origin
+    }
+
+    // Queue one email per recipient for the scheduler (see jobs/emailScheduler.js)
+    if (state === 'scheduled') {
+      const senderName = await getSenderName(db, userId);
+      const recipients = updates.recipients || {};
+      for (const recipientId of emailRecipients) {
+        const recipient = recipientId ? recipients[recipientId] : { name: letter.receiverName, email: letter.receiverEmail, accessToken: token };
+        await scheduleLetterEmail(db, {
+          recipientEmail: recipient.email,
+          recipientName: recipient.name,
+          senderName,
+          shareableLink: getLetterLink(recipient.accessToken),
+          letterTitle: letter.previewLine || letter.introductory || 'A letter for you',
+          scheduledDateTime,
+          userId,
+          letterId,
+        });
       }
     }
 
-    await letterRef.remove();
+    updates.updatedAt = new Date().toISOString();
+    await letterRef.update(updates);
+
+    console.log(`✅ Letter ${letterId} moved from ${currentState} to ${state}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Letter is now ${state}`,
+      letter: { id: letterId, ...stripLetterHistory(letter), ...updates },
+      token
+    });
+  } catch (error) {
+    console.error("Error updating letter state:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating letter state",
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/letters/:userId/:letterId/security-lockout - Change how many wrong answers lock the letter, and for how long
+router.put("/:userId/:letterId/security-lockout",
+  sanitizeBody, // ✅ Sanitize input
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const snapshot = await letterRef.once("value");
+    const letter = snapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    // Fields left out keep their current value
+    const { policy, error } = normalizeLockoutPolicy(req.body, getLockoutPolicy(letter));
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await letterRef.update({ lockoutPolicy: policy, updatedAt: new Date().toISOString() });
+
+    res.status(200).json({
+      success: true,
+      message: "Lockout policy updated",
+      lockoutPolicy: policy
+    });
+  } catch (error) {
+    console.error("Error updating lockout policy:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating lockout policy",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letters/:userId/:letterId/security-lockout - Unlock a letter locked after too many wrong answers
+router.delete("/:userId/:letterId/security-lockout",
+  validateUserIdParam, // ✅ Validate userId format
+  validateLetterIdParam, // ✅ Validate letterId format
+  verifyAuth,               // ✅ Verify user is authenticated
+  verifyOwnership,          // ✅ Verify user owns the letter
+  checkFirebase,
+  async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const snapshot = await letterRef.once("value");
+    const letter = snapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ success: false, message: "Letter not found" });
+    }
+
+    const wasLocked = !!getActiveLockout(letter);
+    await clearLockout(letterRef);
+
+    await logSecurityEvent('security_lockout_cleared', {
+      letterId,
+      userId,
+      wasLocked,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? "Letter unlocked" : "Failed attempts reset",
+      wasLocked
+    });
+  } catch (error) {
+    console.error("Error clearing security lockout:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error clearing security lockout",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/letters/:userId/:letterId - Move a letter to the trash (restore with POST /:userId/trash/:letterId/restore)
+router.delete("/:userId/:letterId", checkFirebase, async (req, res) => {
+  try {
+    const { userId, letterId } = req.params;
+
+    const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+    const snapshot = await letterRef.once("value");
+    const letter = snapshot.val();
+
+    if (!letter) {
+      return res.status(404).json({ message: "Letter not found" });
+    }
+
+    // Soft delete: the letter moves to the trash (tokens deactivated) and is purged after the retention period
+    const { deletedAt, purgeAfter, cancelledEmails } = await moveLetterToTrash(db, userId, letterId, letter);
+    await reindexLetterResponses(db, userId, letterId, null);
+
+    console.log(`🗑️ Letter ${letterId} moved to trash (purge after ${purgeAfter})`);
 
     res.status(200).json({ 
-      message: "Letter deleted successfully",
-      letterId: letterId
+      message: "Letter moved to trash",
+      letterId: letterId,
+      deletedAt,
+      purgeAfter,
+      cancelledEmails
     });
   } catch (error) {
     console.error("Error deleting letter:", error);
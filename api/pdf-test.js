@@ -1,20 +1,24 @@
 // pdf-test.js - Test endpoint for PDF generation (for Postman testing)
 const express = require("express");
 const router = express.Router();
+const { renderLetterPdf, canRenderLetterPdf } = require("../utils/letterPdf");
 
 /**
  * POST /api/pdf-test/generate
- * Test endpoint for PDF generation
+ * Test endpoint for PDF generation - renders the given text with the letter PDF renderer
+ * (real letters are exported with GET /api/letters/:userId/:letterId/pdf)
  * Body: {
+ *   introductory: "Dear Faith,",
  *   mainBody: "Letter content...",
+ *   closing: "Love,",
  *   recipientName: "Faith",
  *   senderName: "Elgen",
- *   useTemplate: true/false
+ *   style: 0
  * }
  */
 router.post("/generate", async (req, res) => {
   try {
-    const { mainBody, recipientName = "Faith", senderName = "Elgen", useTemplate = true } = req.body;
+    const { introductory, mainBody, closing, recipientName = "Faith", senderName = "Elgen", style = 0 } = req.body;
 
     if (!mainBody) {
       return res.status(400).json({
@@ -23,21 +27,31 @@ router.post("/generate", async (req, res) => {
       });
     }
 
-    // Note: This is a server-side test endpoint
-    // In production, PDF generation happens on the client side
-    // This endpoint is just for testing the logic
-    
-    res.status(200).json({
-      success: true,
-      message: "PDF test endpoint",
-      data: {
-        mainBody: mainBody.substring(0, 100) + "...",
-        recipientName,
-        senderName,
-        useTemplate,
-        note: "PDF generation happens on client-side. Use this to test parameters."
-      }
-    });
+    const pdfOptions = {
+      letter: {
+        introductory,
+        mainBody,
+        closing,
+        introductoryStyle: style,
+        mainBodyStyle: style,
+        closingStyle: style,
+        createdAt: new Date().toISOString(),
+      },
+      senderName,
+      receiverName: recipientName,
+    };
+    if (!canRenderLetterPdf(pdfOptions)) {
+      return res.status(422).json({
+        success: false,
+        message: "The PDF fonts can't print some of this text (only Western European text is supported)",
+      });
+    }
+
+    const pdf = await renderLetterPdf(pdfOptions);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", 'inline; filename="pdf-test.pdf"');
+    res.status(200).send(pdf);
   } catch (error) {
     console.error("❌ Error in PDF test endpoint:", error);
     res.status(500).json({
@@ -67,8 +67,13 @@ router.post("/link", checkFirebase, async (req, res) => {
       });
     }
 
-    // Verify receiver email matches
-    if (letter.receiverEmail && letter.receiverEmail.toLowerCase().trim() !== receiverEmail.toLowerCase().trim()) {
+    // Verify receiver email matches (any recipient of a multi-recipient letter)
+    const letterEmails = [
+      letter.receiverEmail,
+      ...Object.values(letter.recipients || {}).map(recipient => recipient.email)
+    ].filter(Boolean).map(email => email.toLowerCase().trim());
+
+    if (letterEmails.length > 0 && !letterEmails.includes(receiverEmail.toLowerCase().trim())) {
       return res.status(403).json({
         success: false,
         error: "Email does not match the letter receiver"
@@ -150,6 +155,11 @@ router.get("/letters/:userId", checkFirebase, async (req, res) => {
     // Convert to array and enrich with letter data
     const lettersArray = await Promise.all(
       Object.entries(receivedLetters).map(async ([letterId, receivedData]) => {
+        // The sender deleted this letter - only the tombstone is left
+        if (receivedData.deletedBySender) {
+          return { id: letterId, ...receivedData, token: null };
+        }
+
         try {
           // Fetch full letter data from sender
           const letterRef = db.ref(`users/${receivedData.senderUserId}/letters/${letterId}`);
@@ -240,8 +250,12 @@ router.post("/check-email", checkFirebase, async (req, res) => {
 
       const letters = userData.letters;
       for (const [letterId, letter] of Object.entries(letters)) {
-        if (letter && letter.receiverEmail && 
-            letter.receiverEmail.toLowerCase().trim() === email.toLowerCase().trim()) {
+        const letterEmails = letter ? [
+          letter.receiverEmail,
+          ...Object.values(letter.recipients || {}).map(recipient => recipient.email)
+        ].filter(Boolean).map(letterEmail => letterEmail.toLowerCase().trim()) : [];
+
+        if (letterEmails.includes(email.toLowerCase().trim())) {
           matchingLetters.push({
             letterId,
             senderUserId,
@@ -0,0 +1,328 @@
+// API endpoints for recurring letters (users/{userId}/recurringLetters)
+// A rule re-sends a letter or a template every year or month; see utils/recurringLetters.js
+const express = require("express");
+const router = express.Router();
+const { db } = require("../configs/firebase");
+const { verifyAuth, verifyOwnership } = require("../middleware/auth");
+const { sanitizeBody, validateUserIdParam } = require("../middleware/validation");
+const { prepareSecurityConfig } = require("../utils/securityChallenges");
+const { moveLetterToTrash } = require("../utils/letterTrash");
+const { getLetterState } = require("../utils/letterState");
+const {
+  DEFAULT_UPCOMING_COUNT,
+  MAX_UPCOMING_COUNT,
+  getQueueKey,
+  normalizeRecurrenceRule,
+  isValidOccurrenceDate,
+  getRuleRecipients,
+  getUpcomingOccurrences,
+  scheduleNextRun,
+} = require("../utils/recurringLetters");
+
+// Middleware to check if Firebase is initialized
+const checkFirebase = (req, res, next) => {
+  if (!db) {
+    return res.status(500).json({
+      message: "Firebase is not initialized. Please check your environment variables.",
+      error: "Firebase Admin SDK not configured"
+    });
+  }
+  next();
+};
+
+// Rule, letter and template ids are Firebase push keys
+const ID_PATTERN = /^[a-zA-Z0-9_-]{1,128}$/;
+
+const validateRuleIdParam = (req, res, next) => {
+  if (!ID_PATTERN.test(req.params.ruleId || '')) {
+    return res.status(400).json({ success: false, message: "Invalid recurring letter ID" });
+  }
+  next();
+};
+
+// Every recurring letter route is for the owner only
+const ownerOnly = [validateUserIdParam, verifyAuth, verifyOwnership, checkFirebase];
+
+// The hashed security answers of a template rule stay on the server
+const toRuleResponse = (id, rule, count = DEFAULT_UPCOMING_COUNT) => {
+  const { securityConfig, ...fields } = rule;
+  return {
+    id,
+    ...fields,
+    upcoming: getUpcomingOccurrences(rule, new Date(), count),
+  };
+};
+
+// An occurrence needs someone to email it to
+const hasRecipientEmail = (recipients) => recipients.some((recipient) => recipient.email);
+
+// GET /api/recurring-letters/:userId - List a user's recurring letters with their next occurrences
+router.get("/:userId", ...ownerOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const snapshot = await db.ref(`users/${userId}/recurringLetters`).once("value");
+    const rules = snapshot.val() || {};
+
+    const rulesArray = Object.entries(rules)
+      .map(([id, rule]) => toRuleResponse(id, rule))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.status(200).json({ success: true, recurringLetters: rulesArray });
+  } catch (error) {
+    console.error("❌ Error fetching recurring letters:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching recurring letters",
+      error: error.message
+    });
+  }
+});
+
+// GET /api/recurring-letters/:userId/:ruleId?count= - One recurring letter and up to 24 upcoming occurrences
+router.get("/:userId/:ruleId", ...ownerOnly, validateRuleIdParam, async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+    const count = req.query.count === undefined ? DEFAULT_UPCOMING_COUNT : Number(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_UPCOMING_COUNT) {
+      return res.status(400).json({ success: false, message: `count must be between 1 and ${MAX_UPCOMING_COUNT}` });
+    }
+
+    const snapshot = await db.ref(`users/${userId}/recurringLetters/${ruleId}`).once("value");
+    const rule = snapshot.val();
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Recurring letter not found" });
+    }
+
+    res.status(200).json({ success: true, recurringLetter: toRuleResponse(ruleId, rule, count) });
+  } catch (error) {
+    console.error("❌ Error fetching recurring letter:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching recurring letter",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/recurring-letters/:userId - Make a letter or a template recurring
+// Body: letterId or templateId, frequency (yearly|monthly), month (yearly), day, time (HH:MM, default 09:00),
+// timezone (default UTC), optional endsAt and recipients. Template rules also take variables, senderName
+// and the securityConfig answers when the template has a security challenge.
+router.post("/:userId", sanitizeBody, ...ownerOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { letterId, templateId, securityConfig } = req.body;
+
+    if (!letterId === !templateId) {
+      return res.status(400).json({ success: false, message: "Provide either letterId or templateId" });
+    }
+    if (!ID_PATTERN.test(letterId || templateId)) {
+      return res.status(400).json({ success: false, message: letterId ? "Invalid letter ID" : "Invalid template ID" });
+    }
+
+    const { rule, error } = normalizeRecurrenceRule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    rule.letterId = letterId || null;
+    rule.templateId = templateId || null;
+
+    if (letterId) {
+      const letter = (await db.ref(`users/${userId}/letters/${letterId}`).once("value")).val();
+      if (!letter) {
+        return res.status(404).json({ success: false, message: "Letter not found" });
+      }
+      if (!hasRecipientEmail(getRuleRecipients(rule, letter))) {
+        return res.status(400).json({ success: false, message: "A recurring letter needs at least one recipient email" });
+      }
+    } else {
+      const template = (await db.ref(`users/${userId}/letterTemplates/${templateId}`).once("value")).val();
+      if (!template) {
+        return res.status(404).json({ success: false, message: "Template not found" });
+      }
+      if (!rule.recipients || !hasRecipientEmail(rule.recipients)) {
+        return res.status(400).json({ success: false, message: "A recurring letter needs at least one recipient email" });
+      }
+
+      // The answers are hashed once here and reused by every occurrence
+      if (template.securityType) {
+        const prepared = await prepareSecurityConfig(template.securityType, { ...(template.securityConfig || {}), ...(securityConfig || {}) });
+        if (prepared.error) {
+          return res.status(400).json({ success: false, message: `Invalid security settings: ${prepared.error}` });
+        }
+        rule.securityType = template.securityType;
+        rule.securityConfig = prepared.config;
+      }
+    }
+
+    const now = new Date().toISOString();
+    rule.createdAt = now;
+    rule.updatedAt = now;
+
+    const ruleRef = db.ref(`users/${userId}/recurringLetters`).push();
+    const { nextOccurrenceAt, queueUpdates } = scheduleNextRun(userId, ruleRef.key, rule);
+    rule.nextOccurrenceAt = nextOccurrenceAt;
+    await db.ref().update({
+      [`users/${userId}/recurringLetters/${ruleRef.key}`]: rule,
+      ...queueUpdates,
+    });
+
+    console.log(`✅ Recurring letter created for user ${userId}:`, { ruleId: ruleRef.key, frequency: rule.frequency });
+
+    res.status(201).json({
+      success: true,
+      message: "Recurring letter created",
+      recurringLetter: toRuleResponse(ruleRef.key, rule)
+    });
+  } catch (error) {
+    console.error("❌ Error creating recurring letter:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating recurring letter",
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/recurring-letters/:userId/:ruleId - Edit the schedule, recipients or variables, or pause/resume
+// (status: paused|active). Occurrences that were already prepared keep their letter - skip them to cancel.
+router.put("/:userId/:ruleId", sanitizeBody, ...ownerOnly, validateRuleIdParam, async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+    const ruleRef = db.ref(`users/${userId}/recurringLetters/${ruleId}`);
+    const existing = (await ruleRef.once("value")).val();
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Recurring letter not found" });
+    }
+
+    const { rule: settings, error } = normalizeRecurrenceRule(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    // Letter rules without their own recipients keep sending to the letter's
+    if ((existing.templateId || settings.recipients) && !hasRecipientEmail(settings.recipients || [])) {
+      return res.status(400).json({ success: false, message: "A recurring letter needs at least one recipient email" });
+    }
+
+    const rule = { ...existing, ...settings, updatedAt: new Date().toISOString() };
+    if (rule.status === 'active') rule.pausedReason = null;
+    const { nextOccurrenceAt, queueUpdates } = scheduleNextRun(userId, ruleId, rule);
+    rule.nextOccurrenceAt = nextOccurrenceAt;
+
+    const updates = { ...queueUpdates };
+    Object.keys(settings).concat(['updatedAt', 'pausedReason', 'nextOccurrenceAt']).forEach((field) => {
+      updates[`users/${userId}/recurringLetters/${ruleId}/${field}`] = rule[field] === undefined ? null : rule[field];
+    });
+    await db.ref().update(updates);
+
+    res.status(200).json({
+      success: true,
+      message: rule.status === 'paused' ? "Recurring letter paused" : "Recurring letter updated",
+      recurringLetter: toRuleResponse(ruleId, rule)
+    });
+  } catch (error) {
+    console.error("❌ Error updating recurring letter:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating recurring letter",
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/recurring-letters/:userId/:ruleId/occurrences/:date - Skip one occurrence ({ skip: true }) or bring it back
+// Skipping an occurrence that was already prepared moves its letter to the trash and cancels its emails.
+router.put("/:userId/:ruleId/occurrences/:date", sanitizeBody, ...ownerOnly, validateRuleIdParam, async (req, res) => {
+  try {
+    const { userId, ruleId, date } = req.params;
+    const { skip } = req.body;
+    if (!isValidOccurrenceDate(date)) {
+      return res.status(400).json({ success: false, message: "Occurrence date must be YYYY-MM-DD" });
+    }
+    if (typeof skip !== 'boolean') {
+      return res.status(400).json({ success: false, message: "skip must be true or false" });
+    }
+
+    const ruleRef = db.ref(`users/${userId}/recurringLetters/${ruleId}`);
+    const rule = (await ruleRef.once("value")).val();
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Recurring letter not found" });
+    }
+
+    const occurrence = getUpcomingOccurrences(rule, new Date(), MAX_UPCOMING_COUNT).find((item) => item.date === date);
+    if (!occurrence) {
+      return res.status(404).json({ success: false, message: "No upcoming occurrence on that date" });
+    }
+
+    const updates = {};
+    let cancelledEmails = 0;
+    if (skip && occurrence.letterId && !occurrence.skipped) {
+      const letter = (await db.ref(`users/${userId}/letters/${occurrence.letterId}`).once("value")).val();
+      if (letter && getLetterState(letter) !== 'scheduled') {
+        return res.status(409).json({ success: false, message: "This occurrence has already been sent" });
+      }
+      if (letter) {
+        ({ cancelledEmails } = await moveLetterToTrash(db, userId, occurrence.letterId, letter));
+      }
+    }
+    if (!skip && occurrence.letterId && occurrence.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: "This occurrence's letter was moved to the trash - restore it from there to send it again"
+      });
+    }
+
+    rule.skippedOccurrences = { ...(rule.skippedOccurrences || {}), [date]: skip || null };
+    const { nextOccurrenceAt, queueUpdates } = scheduleNextRun(userId, ruleId, rule);
+    Object.assign(updates, queueUpdates, {
+      [`users/${userId}/recurringLetters/${ruleId}/skippedOccurrences/${date}`]: skip || null,
+      [`users/${userId}/recurringLetters/${ruleId}/nextOccurrenceAt`]: nextOccurrenceAt,
+      [`users/${userId}/recurringLetters/${ruleId}/updatedAt`]: new Date().toISOString(),
+    });
+    await db.ref().update(updates);
+    rule.nextOccurrenceAt = nextOccurrenceAt;
+
+    res.status(200).json({
+      success: true,
+      message: skip ? "Occurrence skipped" : "Occurrence will be sent",
+      cancelledEmails,
+      recurringLetter: toRuleResponse(ruleId, rule)
+    });
+  } catch (error) {
+    console.error("❌ Error updating recurring letter occurrence:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating recurring letter occurrence",
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/recurring-letters/:userId/:ruleId - Stop a recurring letter (letters it already created are kept)
+router.delete("/:userId/:ruleId", ...ownerOnly, validateRuleIdParam, async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+    const ruleRef = db.ref(`users/${userId}/recurringLetters/${ruleId}`);
+    const snapshot = await ruleRef.once("value");
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({ success: false, message: "Recurring letter not found" });
+    }
+
+    await db.ref().update({
+      [`users/${userId}/recurringLetters/${ruleId}`]: null,
+      [`recurringLetterQueue/${getQueueKey(userId, ruleId)}`]: null,
+    });
+
+    res.status(200).json({ success: true, message: "Recurring letter deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting recurring letter:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting recurring letter",
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
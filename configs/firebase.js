@@ -80,6 +80,16 @@ admin.initializeApp({
 // FIREBASE_CLIENT_EMAIL=firebase-adminsdk-xxxxx@your-project.iam.gserviceaccount.com
 // FIREBASE_DATABASE_URL=https://your-project-default-rtdb.firebaseio.com
 
+// Realtime Database indexes the server's queries use. Merge these ".indexOn" entries into the
+// project's existing rules (don't replace the rules - they also hold the .read/.write access rules):
+//   users/$userId/letters          ["createdAt"]
+//   users/$userId/responseIndex    ["createdAt", "letterId"]
+//   users/$userId/notifications    ["createdAt", "type", "letterId"]
+//   securityAudit                  ["letterId"]
+//   letterTrashQueue               ["deletedAt"]
+//   recurringLetterQueue           ["nextRunAt"]
+// Without them the queries still work, but download the whole list and filter it on the server.
+
 if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_PRIVATE_KEY) {
   try {
     console.log("🔧 Initializing Firebase Admin SDK...");
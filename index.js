@@ -8,9 +8,12 @@ const emailVerificationRoutes = require("./api/email-verification");
 const authRoutes = require("./api/auth");
 const receiverDataRoutes = require("./api/receiver-data");
 const lettersRoutes = require("./api/letters");
+const letterTemplatesRoutes = require("./api/letter-templates");
+const recurringLettersRoutes = require("./api/recurring-letters");
 const musicUploadRoutes = require("./api/music-upload");
 const letterEmailRoutes = require("./api/letter-email");
 const voiceUploadRoutes = require("./api/voice-upload");
+const imageUploadRoutes = require("./api/image-upload");
 const audioProxyRoutes = require("./api/audio-proxy");
 const notificationsRoutes = require("./api/notifications");
 const gamePrizesRoutes = require("./api/game-prizes");
@@ -18,6 +21,8 @@ const quizzesRoutes = require("./api/quizzes");
 const gamesRoutes = require("./api/games");
 const receiverAccountsRoutes = require("./api/receiver-accounts");
 const { initializeEmailScheduler } = require("./jobs/emailScheduler");
+const { initializeTrashPurge } = require("./jobs/trashPurge");
+const { initializeRecurringLetters } = require("./jobs/recurringLetters");
 require('dotenv').config();
 
 const app = express();
@@ -91,7 +96,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Unlock-Grant'],
   exposedHeaders: ['Content-Type', 'Authorization'],
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 }));
@@ -104,7 +109,7 @@ app.use((req, res, next) => {
     if (!origin || origin.startsWith('http://localhost:') || origin.startsWith('http://127.0.0.1:')) {
       res.header('Access-Control-Allow-Origin', origin || '*');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Unlock-Grant');
       res.header('Access-Control-Allow-Credentials', 'true');
       return res.sendStatus(200);
     }
@@ -114,7 +119,7 @@ app.use((req, res, next) => {
     if (isAllowed) {
       res.header('Access-Control-Allow-Origin', origin);
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Unlock-Grant');
       res.header('Access-Control-Allow-Credentials', 'true');
       return res.sendStatus(200);
     }
@@ -137,9 +142,12 @@ app.use("/api/email-verification", emailVerificationRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/receiver-data", receiverDataRoutes);
 app.use("/api/letters", lettersRoutes);
+app.use("/api/letter-templates", letterTemplatesRoutes);
+app.use("/api/recurring-letters", recurringLettersRoutes);
 app.use("/api/music-upload", musicUploadRoutes);
 app.use("/api/letter-email", letterEmailRoutes);
 app.use("/api/voice-upload", voiceUploadRoutes);
+app.use("/api/image-upload", imageUploadRoutes);
 app.use("/api/audio-proxy", audioProxyRoutes);
 // Security: Disable debug/test endpoints in production
 if (NODE_ENV === 'development') {
@@ -155,6 +163,10 @@ app.use("/api/receiver-accounts", receiverAccountsRoutes);
 // Cron job endpoint (handled by Express, not separate Vercel function)
 const emailSchedulerHandler = require("./api/cron/email-scheduler");
 app.get("/api/cron/email-scheduler", emailSchedulerHandler);
+const trashPurgeHandler = require("./api/cron/trash-purge");
+app.get("/api/cron/trash-purge", trashPurgeHandler);
+const recurringLettersHandler = require("./api/cron/recurring-letters");
+app.get("/api/cron/recurring-letters", recurringLettersHandler);
 
 // Log registered routes for debugging (only in development)
 if (NODE_ENV === 'development') {
@@ -186,6 +198,10 @@ if (process.env.VERCEL !== '1') {
     
     // Initialize email scheduler cron job (only for traditional server)
     initializeEmailScheduler();
+    // Permanently delete letters that have been in the trash past the retention period
+    initializeTrashPurge();
+    // Prepare the next letter of recurring (yearly/monthly) letters a day ahead
+    initializeRecurringLetters();
   });
 } else {
   // In Vercel, initialize scheduler on cold start
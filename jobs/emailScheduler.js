@@ -2,6 +2,7 @@
 const cron = require('node-cron');
 const { sendMail } = require('../configs/mailer');
 const { db } = require('../configs/firebase');
+const { markScheduledLetterDelivered } = require('../utils/letterState');
 require('dotenv').config();
 
 /**
@@ -34,12 +35,15 @@ async function sendScheduledEmail(emailData, emailId) {
     // Send the email using stored mailOptions (Resend API or SMTP)
     await sendMail(emailData.mailOptions);
 
-    // Security: Anonymize email in production logs
-    const logEmail = process.env.NODE_ENV === 'development' 
-      ? emailData.recipientEmail 
-      : `${emailData.recipientEmail.split('@')[0]}@***`;
     console.log(`✅ Scheduled email sent successfully to: ${logEmail} (ID: ${emailId})`);
 
+    // Move the letter from scheduled to delivered (don't fail the send if this fails)
+    try {
+      await markScheduledLetterDelivered(db, emailData.userId, emailData.letterId);
+    } catch (stateError) {
+      console.error(`⚠️ Error marking letter delivered for email ${emailId}:`, stateError);
+    }
+
     // Delete the email from scheduledEmails node after successful send
     if (db) {
       const emailRef = db.ref(`scheduledEmails/${emailId}`);
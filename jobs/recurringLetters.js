@@ -0,0 +1,56 @@
+// recurringLetters.js - Cron job to prepare the next letter of every recurring letter rule
+const cron = require('node-cron');
+const { db } = require('../configs/firebase');
+const { processDueRecurringLetters } = require('../utils/recurringLetters');
+require('dotenv').config();
+
+/**
+ * Clone the letters of occurrences due in the next day and queue their emails
+ */
+async function prepareRecurringLetters() {
+  if (!db) {
+    console.warn('⚠️ Database not available. Skipping recurring letters.');
+    return null;
+  }
+
+  try {
+    const result = await processDueRecurringLetters(db);
+    if (result.prepared > 0 || result.failed > 0) {
+      console.log(`🔁 Recurring letters: ${result.prepared} letter(s) prepared, ${result.failed} failed`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Error preparing recurring letters:', error);
+    return null;
+  }
+}
+
+/**
+ * Initialize the recurring letters cron job
+ * Runs every hour; each occurrence is prepared a day before it is sent by the email scheduler
+ */
+function initializeRecurringLetters() {
+  if (!db) {
+    console.warn('⚠️ Database not available. Recurring letters will not start.');
+    return null;
+  }
+
+  console.log('⏰ Initializing recurring letters (runs every hour)...');
+
+  // At minute 30 of every hour: '0 30 * * * *' (second, minute, hour, day, month, weekday)
+  const cronJob = cron.schedule('0 30 * * * *', async () => {
+    await prepareRecurringLetters();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('✅ Recurring letters initialized successfully');
+
+  return cronJob;
+}
+
+module.exports = {
+  initializeRecurringLetters,
+  prepareRecurringLetters
+};
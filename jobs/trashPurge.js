@@ -0,0 +1,56 @@
+// trashPurge.js - Cron job to permanently delete letters that have been in the trash too long
+const cron = require('node-cron');
+const { db, storage } = require('../configs/firebase');
+const { purgeExpiredTrash, getTrashRetentionDays } = require('../utils/letterTrash');
+require('dotenv').config();
+
+/**
+ * Purge expired trash (letters, tokens and storage files)
+ */
+async function purgeTrash() {
+  if (!db) {
+    console.warn('⚠️ Database not available. Skipping trash purge.');
+    return null;
+  }
+
+  try {
+    const result = await purgeExpiredTrash(db, storage);
+    if (result.purged > 0 || result.failed > 0) {
+      console.log(`🗑️ Trash purge: ${result.purged} letter(s) purged, ${result.failed} failed`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Error purging trash:', error);
+    return null;
+  }
+}
+
+/**
+ * Initialize the trash purge cron job
+ * Runs every hour; letters are purged TRASH_RETENTION_DAYS (default 30) days after they were trashed
+ */
+function initializeTrashPurge() {
+  if (!db) {
+    console.warn('⚠️ Database not available. Trash purge will not start.');
+    return null;
+  }
+
+  console.log(`⏰ Initializing trash purge (runs every hour, retention ${getTrashRetentionDays()} days)...`);
+
+  // At minute 15 of every hour: '0 15 * * * *' (second, minute, hour, day, month, weekday)
+  const cronJob = cron.schedule('0 15 * * * *', async () => {
+    await purgeTrash();
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  console.log('✅ Trash purge initialized successfully');
+
+  return cronJob;
+}
+
+module.exports = {
+  initializeTrashPurge,
+  purgeTrash
+};
@@ -103,5 +103,28 @@ const verifyOwnership = (req, res, next) => {
   next();
 };
 
-module.exports = { verifyAuth, verifyOwnership };
+/**
+ * Middleware that reads the Firebase ID token when one is sent, for routes that also serve anonymous callers.
+ * Sets req.user like verifyAuth when the token is valid; never rejects the request.
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ') || !admin) {
+    return next();
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.split('Bearer ')[1]);
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email,
+      emailVerified: decodedToken.email_verified || false
+    };
+  } catch (error) {
+    console.warn('Optional auth token ignored:', error.message);
+  }
+  next();
+};
+
+module.exports = { verifyAuth, verifyOwnership, optionalAuth };
 
@@ -0,0 +1,167 @@
+// dateAnswers.js - Parse date-type security answers into a canonical calendar date (YYYY-MM-DD)
+
+// Order of day, month and year in all-numeric dates such as 02/03/2020
+const DATE_ORDERS = ['MDY', 'DMY', 'YMD'];
+const DEFAULT_DATE_ORDER = 'MDY';
+
+// Regions that write numeric dates month-first or year-first (everything else is day-first)
+const MDY_REGIONS = ['US', 'PH', 'FM', 'MH', 'PW', 'AS', 'GU', 'MP', 'PR', 'UM', 'VI', 'BZ'];
+const YMD_REGIONS = ['CN', 'JP', 'KR', 'KP', 'TW', 'HU', 'LT', 'MN', 'IR'];
+const YMD_LANGUAGES = ['zh', 'ja', 'ko', 'hu', 'lt', 'mn', 'fa'];
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+// Map a locale such as "en-US" or "fil-PH" to a numeric date order
+const dateOrderFromLocale = (locale) => {
+  if (typeof locale !== 'string' || !locale.trim()) return null;
+  const [language, ...subtags] = locale.trim().replace(/_/g, '-').split('-');
+  const region = subtags.find((tag) => /^[a-zA-Z]{2}$/.test(tag));
+  if (region) {
+    const upper = region.toUpperCase();
+    if (MDY_REGIONS.includes(upper)) return 'MDY';
+    if (YMD_REGIONS.includes(upper)) return 'YMD';
+    return 'DMY';
+  }
+  if (YMD_LANGUAGES.includes(language.toLowerCase())) return 'YMD';
+  // A bare "en" keeps the app's original month-first default
+  return language.toLowerCase() === 'en' ? DEFAULT_DATE_ORDER : 'DMY';
+};
+
+/**
+ * Work out the date order a sender chose, from an explicit dateOrder or a dateLocale.
+ * Returns { order } or { error } for an unknown dateOrder.
+ */
+const resolveDateOrder = (dateOrder, dateLocale) => {
+  if (dateOrder !== undefined && dateOrder !== null && dateOrder !== '') {
+    const order = String(dateOrder).trim().toUpperCase();
+    if (!DATE_ORDERS.includes(order)) {
+      return { error: `dateOrder must be one of: ${DATE_ORDERS.join(', ')}` };
+    }
+    return { order };
+  }
+  return { order: dateOrderFromLocale(dateLocale) || DEFAULT_DATE_ORDER };
+};
+
+// Two-digit years are read as 1950-2049
+const expandYear = (year) => {
+  if (year.length === 4) return Number(year);
+  if (year.length === 2) {
+    const value = Number(year);
+    return value < 50 ? 2000 + value : 1900 + value;
+  }
+  return NaN;
+};
+
+const isRealDate = (year, month, day) => {
+  if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) return false;
+  if (year < 1 || month < 1 || month > 12 || day < 1) return false;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCFullYear(year);
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const formatDate = (year, month, day) => {
+  if (!isRealDate(year, month, day)) return null;
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Lowercase, drop ordinal suffixes and filler words, and turn separators into single spaces
+const tokenizeDate = (input) => {
+  return String(input)
+    .trim()
+    .toLowerCase()
+    .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+    .replace(/\b(of|the)\b/g, ' ')
+    .replace(/[,]/g, ' ')
+    .split(/[\s/.\-]+/)
+    .filter(Boolean);
+};
+
+// Numeric dates like 14/02/2020, 2/14/20 or 2020.02.14
+const parseNumericDate = (parts, order) => {
+  if (parts.length !== 3 || !parts.every((part) => /^\d+$/.test(part))) return null;
+
+  // A four-digit first part is always year-month-day
+  if (parts[0].length === 4) {
+    return formatDate(Number(parts[0]), Number(parts[1]), Number(parts[2]));
+  }
+
+  const year = expandYear(parts[2]);
+  let first = Number(parts[0]);
+  let second = Number(parts[1]);
+  if (order === 'YMD' && parts[0].length === 2 && parts[2].length <= 2) {
+    // Two-digit year first, e.g. 20/02/14 in a year-first locale
+    return formatDate(expandYear(parts[0]), second, Number(parts[2]));
+  }
+
+  // Only fall back to the sender's order when both readings are possible
+  if (first > 12 && second <= 12) return formatDate(year, second, first);
+  if (second > 12 && first <= 12) return formatDate(year, first, second);
+  return order === 'DMY' ? formatDate(year, second, first) : formatDate(year, first, second);
+};
+
+// Dates with a month name like "Feb 14, 2020", "14th of February 2020" or "2020 Feb 14"
+const parseNamedMonthDate = (parts) => {
+  if (parts.length !== 3) return null;
+  const monthIndex = parts.findIndex((part) => MONTHS[part] !== undefined);
+  if (monthIndex === -1) return null;
+
+  const month = MONTHS[parts[monthIndex]];
+  const numbers = parts.filter((_, index) => index !== monthIndex);
+  if (!numbers.every((part) => /^\d+$/.test(part))) return null;
+
+  // The four-digit number is the year; otherwise the year is the last number
+  let yearPart = numbers.find((part) => part.length === 4);
+  let dayPart;
+  if (yearPart) {
+    dayPart = numbers.find((part) => part !== yearPart) || yearPart;
+  } else {
+    [dayPart, yearPart] = numbers;
+  }
+  if (dayPart.length > 2) return null;
+  return formatDate(expandYear(yearPart), month, Number(dayPart));
+};
+
+/**
+ * Parse a date answer into YYYY-MM-DD, or null when it isn't a recognizable date.
+ * ISO timestamps keep only their date part.
+ */
+const parseDateAnswer = (input, order = DEFAULT_DATE_ORDER) => {
+  if (input === undefined || input === null) return null;
+  const raw = String(input).trim();
+  if (!raw || raw.length > 64) return null;
+
+  const isoMatch = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s].*)?$/);
+  if (isoMatch) return formatDate(Number(isoMatch[1]), Number(isoMatch[2]), Number(isoMatch[3]));
+
+  const parts = tokenizeDate(raw);
+  return parseNumericDate(parts, order) || parseNamedMonthDate(parts);
+};
+
+// True when a numeric date reads differently depending on the day/month order
+const isAmbiguousDateAnswer = (input) => {
+  const parts = tokenizeDate(input);
+  if (parts.length !== 3 || !parts.every((part) => /^\d+$/.test(part)) || parts[0].length === 4) return false;
+  return parseNumericDate(parts, 'MDY') !== parseNumericDate(parts, 'DMY');
+};
+
+module.exports = {
+  DATE_ORDERS,
+  DEFAULT_DATE_ORDER,
+  resolveDateOrder,
+  parseDateAnswer,
+  isAmbiguousDateAnswer,
+};
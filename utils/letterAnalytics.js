@@ -0,0 +1,139 @@
+// letterAnalytics.js - Per-letter analytics from the token access logs and the security audit log
+const { summarizeReading } = require('./readingEvents');
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Start of the day/week (Monday)/month an ISO timestamp falls in, as YYYY-MM-DD (UTC)
+const getPeriodStart = (timestamp, interval) => {
+  const date = new Date(timestamp);
+  if (interval === 'month') {
+    date.setUTCDate(1);
+  } else if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().substring(0, 10);
+};
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+// When the letter went out: the email send time, else the time it was delivered (shared)
+const getLetterSentAt = (letter = {}) => (
+  letter.emailSentAt || (letter.stateTimestamps && letter.stateTimestamps.delivered) || null
+);
+
+/**
+ * Every token a letter has had: current ones and the ones replaced by a renewal.
+ * Returns [{ token, recipientId }].
+ */
+const getLetterTokenHistory = (letter = {}) => {
+  const tokens = new Map();
+  if (letter.accessToken) tokens.set(letter.accessToken, null);
+  Object.entries(letter.recipients || {}).forEach(([recipientId, recipient]) => {
+    if (recipient.accessToken) tokens.set(recipient.accessToken, recipientId);
+  });
+  Object.values(letter.tokenRenewals || {}).forEach((renewal) => {
+    if (renewal.previousToken && !tokens.has(renewal.previousToken)) {
+      tokens.set(renewal.previousToken, renewal.recipientId || null);
+    }
+  });
+  return [...tokens.entries()].map(([token, recipientId]) => ({ token, recipientId }));
+};
+
+// Opens counted from access log entries; unique opens are distinct anonymized IP buckets
+const summarizeOpens = (opens) => {
+  const sorted = [...opens].sort((a, b) => new Date(a.accessedAt) - new Date(b.accessedAt));
+  return {
+    total: sorted.length,
+    unique: new Set(sorted.map((open) => open.ip || 'unknown')).size,
+    firstOpenedAt: sorted.length ? sorted[0].accessedAt : null,
+    lastOpenedAt: sorted.length ? sorted[sorted.length - 1].accessedAt : null,
+  };
+};
+
+const summarizeSecurity = (letter, securityEvents) => {
+  const attempts = securityEvents
+    .filter((event) => event.eventType === 'security_validation')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const passed = attempts.filter((event) => event.success === true);
+  const lockout = letter.securityLockout || {};
+
+  return {
+    challenge: letter.securityType || null,
+    attempted: attempts.length > 0,
+    passed: passed.length > 0,
+    attempts: attempts.length,
+    failedAttempts: attempts.length - passed.length,
+    firstPassedAt: passed.length ? passed[0].timestamp : null,
+    lastAttemptAt: attempts.length ? attempts[attempts.length - 1].timestamp : null,
+    lockouts: lockout.lockoutCount || 0,
+  };
+};
+
+/**
+ * Build a letter's analytics.
+ * `tokens` is [{ token, recipientId, data }] with the letterTokens records (including accessLog and readingEvents),
+ * `securityEvents` the letter's securityAudit entries.
+ */
+const buildLetterAnalytics = ({ letter, tokens, securityEvents = [], interval = 'day' }) => {
+  const opens = tokens.flatMap(({ recipientId, data }) => (
+    Object.values((data && data.accessLog) || {})
+      .filter((entry) => entry && entry.accessedAt)
+      .map((entry) => ({ accessedAt: entry.accessedAt, ip: entry.ip || null, recipientId }))
+  ));
+
+  const openSummary = summarizeOpens(opens);
+  const sentAt = getLetterSentAt(letter);
+
+  const periods = new Map();
+  opens.forEach((open) => {
+    const period = getPeriodStart(open.accessedAt, interval);
+    if (!periods.has(period)) periods.set(period, []);
+    periods.get(period).push(open);
+  });
+  const opensOverTime = [...periods.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, periodOpens]) => ({
+      period,
+      opens: periodOpens.length,
+      uniqueOpens: new Set(periodOpens.map((open) => open.ip || 'unknown')).size,
+    }));
+
+  const recipients = Object.entries(letter.recipients || {}).map(([recipientId, recipient]) => ({
+    recipientId,
+    name: recipient.name || null,
+    ...summarizeOpens(opens.filter((open) => open.recipientId === recipientId)),
+  }));
+
+  const renewals = Object.values(letter.tokenRenewals || {})
+    .map((renewal) => ({
+      recipientId: renewal.recipientId || null,
+      renewedAt: renewal.renewedAt,
+      expiresAt: renewal.expiresAt || null,
+    }))
+    .sort((a, b) => new Date(a.renewedAt) - new Date(b.renewedAt));
+
+  const reading = summarizeReading(tokens.map(({ recipientId, data }) => ({
+    readerKey: recipientId || 'receiver',
+    events: Object.values((data && data.readingEvents) || {}),
+  })));
+
+  return {
+    sentAt,
+    opens: openSummary,
+    timeToFirstOpenMinutes: sentAt && openSummary.firstOpenedAt
+      ? Math.max(minutesBetween(sentAt, openSummary.firstOpenedAt), 0)
+      : null,
+    interval,
+    opensOverTime,
+    ...(recipients.length > 0 && { recipients }),
+    renewals,
+    reading,
+    security: summarizeSecurity(letter, securityEvents),
+  };
+};
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  getLetterTokenHistory,
+  buildLetterAnalytics,
+};
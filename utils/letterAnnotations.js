@@ -0,0 +1,132 @@
+// letterAnnotations.js - Receiver highlights and margin notes on the letter text
+//
+// Annotations live in letters/{id}/annotations/{annotationId}, anchored by section and character
+// offsets [start, end) with the highlighted text kept as `quote`. When the sender edits a section
+// the anchors are moved along with the text, or marked stale when the passage no longer exists.
+const { READING_SECTIONS } = require('./readingEvents');
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_QUOTE_LENGTH = 2000;
+const MAX_ANNOTATIONS_PER_READER = 100;
+
+const getSectionText = (letter, section) => (letter && typeof letter[section] === 'string' ? letter[section] : '');
+
+const normalizeNote = (note) => {
+  if (note === undefined || note === null) return { note: null };
+  if (typeof note !== 'string') return { error: 'note must be text' };
+  const trimmed = note.trim();
+  if (trimmed.length > MAX_NOTE_LENGTH) {
+    return { error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { note: trimmed || null };
+};
+
+/**
+ * Validate a new annotation against the letter text.
+ * Returns { section, start, end, quote, note } or { error }.
+ */
+const normalizeAnnotationInput = (letter, { section = 'mainBody', start, end, note } = {}) => {
+  if (!READING_SECTIONS.includes(section)) {
+    return { error: `section must be one of: ${READING_SECTIONS.join(', ')}` };
+  }
+  const text = getSectionText(letter, section);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length) {
+    return { error: `start and end must be character offsets within the ${section} (0-${text.length}) with start before end` };
+  }
+  if (end - start > MAX_QUOTE_LENGTH) {
+    return { error: `A highlight can be at most ${MAX_QUOTE_LENGTH} characters` };
+  }
+  const quote = text.slice(start, end);
+  if (!quote.trim()) {
+    return { error: 'The highlighted passage is empty' };
+  }
+
+  const { note: normalizedNote, error } = normalizeNote(note);
+  if (error) return { error };
+  return { section, start, end, quote, note: normalizedNote };
+};
+
+// A reader's annotations, or everyone's when readerKey is null, in reading order
+const listAnnotations = (letter = {}, readerKey = null) => Object.entries(letter.annotations || {})
+  .map(([id, annotation]) => ({ id, ...annotation, stale: annotation.stale === true }))
+  .filter((annotation) => !readerKey || annotation.readerKey === readerKey)
+  .sort((a, b) => (
+    READING_SECTIONS.indexOf(a.section) - READING_SECTIONS.indexOf(b.section)
+    || a.start - b.start
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  ));
+
+// Occurrence of quote in text closest to the old offset, or -1
+const findNearestQuote = (text, quote, near) => {
+  let best = -1;
+  let index = text.indexOf(quote);
+  while (index !== -1) {
+    if (best === -1 || Math.abs(index - near) < Math.abs(best - near)) best = index;
+    index = text.indexOf(quote, index + 1);
+  }
+  return best;
+};
+
+/**
+ * New anchor for an annotation after its section changed from oldText to newText.
+ * Text before the first change keeps its offsets and text after the last change shifts with it;
+ * a passage inside the edited span is searched for by its quote. Returns { start, end } or null.
+ */
+const remapAnchor = (annotation, oldText, newText) => {
+  const { start, end, quote } = annotation;
+  if (!annotation.stale) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+    if (end <= prefix) return { start, end };
+    if (start >= oldText.length - suffix) {
+      const shift = newText.length - oldText.length;
+      return { start: start + shift, end: end + shift };
+    }
+  }
+
+  const found = quote ? findNearestQuote(newText, quote, start) : -1;
+  return found === -1 ? null : { start: found, end: found + quote.length };
+};
+
+/**
+ * Updates (relative to the letter ref) that re-map or mark stale the annotations of every
+ * section that changed between oldLetter and newLetter. Stale annotations whose passage is
+ * back get their anchor again.
+ */
+const buildAnnotationRemapUpdates = (oldLetter, newLetter) => {
+  const updates = {};
+  const now = new Date().toISOString();
+  listAnnotations(oldLetter).forEach((annotation) => {
+    const oldText = getSectionText(oldLetter, annotation.section);
+    const newText = getSectionText(newLetter, annotation.section);
+    if (oldText === newText) return;
+
+    const anchor = remapAnchor(annotation, oldText, newText);
+    const prefix = `annotations/${annotation.id}`;
+    if (anchor) {
+      if (anchor.start !== annotation.start) updates[`${prefix}/start`] = anchor.start;
+      if (anchor.end !== annotation.end) updates[`${prefix}/end`] = anchor.end;
+      if (annotation.stale) {
+        updates[`${prefix}/stale`] = null;
+        updates[`${prefix}/staleAt`] = null;
+      }
+    } else if (!annotation.stale) {
+      updates[`${prefix}/stale`] = true;
+      updates[`${prefix}/staleAt`] = now;
+    }
+  });
+  return updates;
+};
+
+module.exports = {
+  MAX_ANNOTATIONS_PER_READER,
+  normalizeNote,
+  normalizeAnnotationInput,
+  listAnnotations,
+  buildAnnotationRemapUpdates,
+};
@@ -0,0 +1,370 @@
+// letterArchive.js - Account export (JSON or Markdown) and import of letters
+//
+// An archive holds each letter with its recipients, responses (thread messages included),
+// reactions, contributors' sections and voice message references. Tokens are never exported: imported letters get fresh ones.
+// Security answers are only ever exported hashed (salted scrypt), so they still work after an import.
+const { sanitizeString, isValidEmail } = require('../middleware/validation');
+const { getThreadMessages } = require('./letterThread');
+const { REACTION_TARGETS, isValidEmoji, getEmojiKey, getLetterReactions } = require('./letterReactions');
+const { getLetterState } = require('./letterState');
+const { listContributors } = require('./letterContributors');
+const { normalizeHashedSecurityConfig } = require('./securityChallenges');
+const { normalizeLockoutPolicy } = require('./securityLockout');
+
+const ARCHIVE_FORMAT = 'dearly-letters';
+const ARCHIVE_VERSION = 1;
+const EXPORT_FORMATS = ['json', 'markdown'];
+const MAX_IMPORT_LETTERS = 500;
+
+// Letter fields copied as they are (content, presentation and delivery settings)
+const LETTER_EXPORT_FIELDS = [
+  'createdAt', 'updatedAt', 'status', 'readAt', 'stateTimestamps',
+  'content', 'introductory', 'mainBody', 'closing',
+  'introductoryStyle', 'mainBodyStyle', 'closingStyle',
+  'selectedMusic', 'letterMusic', 'dashboardMusic',
+  'unlockAt', 'previewLine', 'maxViews', 'burnAfterReadingMinutes', 'purgeOnBurn',
+  'securityType', 'securityConfig', 'lockoutPolicy',
+  'receiverName', 'receiverEmail', 'templateId',
+];
+
+const SAFE_KEY_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * One letter as it appears in an archive
+ */
+const buildLetterExport = (letterId, letter) => {
+  const entry = { id: letterId, state: getLetterState(letter) };
+  LETTER_EXPORT_FIELDS.forEach((field) => {
+    if (letter[field] !== undefined && letter[field] !== null) entry[field] = letter[field];
+  });
+
+  entry.recipients = Object.entries(letter.recipients || {}).map(([recipientId, recipient]) => ({
+    id: recipientId,
+    name: recipient.name || '',
+    email: recipient.email || '',
+    status: recipient.status || 'unread',
+    readAt: recipient.readAt || null,
+  }));
+
+  entry.responses = getThreadMessages(letter).map((message) => ({
+    id: message.id,
+    source: message.source,
+    author: message.author,
+    authorName: message.authorName || null,
+    recipientId: message.recipientId,
+    content: message.content,
+    replyTo: message.replyTo,
+    createdAt: message.createdAt,
+    updatedAt: message.updatedAt || message.createdAt,
+  }));
+
+  entry.reactions = [];
+  Object.entries(getLetterReactions(letter)).forEach(([readerKey, targets]) => {
+    const recipientId = letter.recipients && letter.recipients[readerKey] ? readerKey : null;
+    Object.entries(targets).forEach(([target, emojis]) => {
+      emojis.forEach(({ emoji, reactedAt }) => {
+        entry.reactions.push({ recipientId, target, emoji, reactedAt: reactedAt || null });
+      });
+    });
+  });
+
+  // Sections of a group letter (contributors who never wrote anything are left out)
+  entry.contributions = listContributors(letter)
+    .filter((contributor) => contributor.content)
+    .map((contributor) => ({
+      id: contributor.id,
+      name: contributor.name || '',
+      signature: contributor.signature || contributor.name || '',
+      content: contributor.content,
+      included: contributor.included !== false,
+      submittedAt: contributor.submittedAt || null,
+    }));
+
+  entry.voiceMessages = Object.entries(letter.voiceMessages || {}).map(([voiceMessageId, voiceMessage]) => ({
+    id: voiceMessageId,
+    fileName: voiceMessage.fileName || null,
+    url: voiceMessage.url || null,
+    receiverName: voiceMessage.receiverName || null,
+    uploadedAt: voiceMessage.uploadedAt || null,
+    size: voiceMessage.size || null,
+    mimeType: voiceMessage.mimeType || null,
+  }));
+
+  return entry;
+};
+
+/**
+ * The archive for all of a user's letters, oldest first
+ */
+const buildArchive = (userId, letters = {}) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: new Date().toISOString(),
+  userId,
+  letters: Object.entries(letters)
+    .map(([letterId, letter]) => buildLetterExport(letterId, letter))
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0)),
+});
+
+const formatMarkdownDate = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? `${date.toISOString().replace('T', ' ').substring(0, 16)} UTC` : '';
+};
+
+const REACTION_TARGET_NAMES = { letter: 'the letter', introductory: 'the opening', mainBody: 'the body', closing: 'the closing' };
+
+/**
+ * Human-readable version of an archive
+ */
+const renderArchiveMarkdown = (archive) => {
+  const lines = [
+    '# Dearly letters',
+    '',
+    `Exported ${formatMarkdownDate(archive.exportedAt)} - ${archive.letters.length} letter${archive.letters.length === 1 ? '' : 's'}`,
+  ];
+
+  archive.letters.forEach((letter) => {
+    const title = String(letter.introductory || '').split('\n')[0].trim() || 'Untitled letter';
+    const to = letter.recipients.length > 0
+      ? letter.recipients.map((recipient) => [recipient.name, recipient.email && `<${recipient.email}>`].filter(Boolean).join(' ')).join(', ')
+      : [letter.receiverName, letter.receiverEmail && `<${letter.receiverEmail}>`].filter(Boolean).join(' ');
+
+    lines.push('', '---', '', `## ${title}`, '');
+    lines.push(`- Written: ${formatMarkdownDate(letter.createdAt)}`);
+    if (to) lines.push(`- To: ${to}`);
+    lines.push(`- State: ${letter.state}`);
+    if (letter.unlockAt) lines.push(`- Opens: ${formatMarkdownDate(letter.unlockAt)}`);
+    if (letter.securityType) lines.push(`- Protected by a ${letter.securityType} question`);
+
+    const sections = [letter.introductory, letter.mainBody, letter.closing].filter((section) => section && section.trim());
+    lines.push('', ...(sections.length > 0 ? sections : [letter.content || '']).flatMap((section) => [section.trim(), '']));
+
+    const contributions = (letter.contributions || []).filter((contribution) => contribution.included);
+    if (contributions.length > 0) {
+      lines.push('### Contributions', '');
+      contributions.forEach((contribution) => {
+        lines.push(String(contribution.content || '').trim(), '', `*- ${contribution.signature || contribution.name}*`, '');
+      });
+    }
+
+    if (letter.responses.length > 0) {
+      lines.push('### Responses', '');
+      letter.responses.forEach((response) => {
+        const name = response.author === 'sender' ? 'You' : response.authorName || 'Receiver';
+        const quote = String(response.content || '').split('\n').map((line) => `> ${line}`).join('\n');
+        lines.push(`**${name}** - ${formatMarkdownDate(response.createdAt)}${response.replyTo ? ' (reply)' : ''}`, '', quote, '');
+      });
+    }
+
+    if (letter.reactions.length > 0) {
+      lines.push('### Reactions', '');
+      REACTION_TARGETS.forEach((target) => {
+        const emoji = letter.reactions.filter((reaction) => reaction.target === target).map((reaction) => reaction.emoji);
+        if (emoji.length > 0) lines.push(`- On ${REACTION_TARGET_NAMES[target]}: ${emoji.join(' ')}`);
+      });
+      lines.push('');
+    }
+
+    if (letter.voiceMessages.length > 0) {
+      lines.push('### Voice messages', '');
+      letter.voiceMessages.forEach((voiceMessage) => {
+        lines.push(`- ${voiceMessage.fileName || voiceMessage.id}${voiceMessage.uploadedAt ? ` (${formatMarkdownDate(voiceMessage.uploadedAt)})` : ''}${voiceMessage.url ? ` - ${voiceMessage.url}` : ''}`);
+      });
+      lines.push('');
+    }
+  });
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+};
+
+/**
+ * Check an uploaded archive. Returns { letters } or { error }.
+ */
+const normalizeArchive = (archive) => {
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+    return { error: `Not a ${ARCHIVE_FORMAT} archive` };
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    return { error: `Unsupported archive version: ${archive.version}` };
+  }
+  if (!Array.isArray(archive.letters) || archive.letters.length === 0) {
+    return { error: 'The archive has no letters' };
+  }
+  if (archive.letters.length > MAX_IMPORT_LETTERS) {
+    return { error: `An import can hold at most ${MAX_IMPORT_LETTERS} letters` };
+  }
+  return { letters: archive.letters };
+};
+
+const textField = (value, maxLength = 1000) => (typeof value === 'string' ? sanitizeString(value, maxLength) : undefined);
+const dateField = (value) => (typeof value === 'string' && !Number.isNaN(new Date(value).getTime()) ? new Date(value).toISOString() : undefined);
+const keyOf = (id, newKey) => (typeof id === 'string' && SAFE_KEY_PATTERN.test(id) ? id : newKey());
+
+/**
+ * Letter record for an archive entry, without tokens (minted by the caller).
+ * Scheduled letters come back as drafts since their scheduled emails aren't part of the archive.
+ * `newKey` creates push keys. Returns { letter } or { error }.
+ */
+const buildImportedLetter = (entry, newKey) => {
+  if (!entry || typeof entry !== 'object') {
+    return { error: 'Not a letter' };
+  }
+
+  const introductory = textField(entry.introductory, 50000);
+  const mainBody = textField(entry.mainBody, 50000);
+  const closing = textField(entry.closing, 50000);
+  const parts = [introductory, mainBody, closing].filter((part) => part && part.trim());
+  const content = parts.length > 0 ? parts.join('\n\n') : textField(entry.content, 50000);
+  if (!content || !content.trim()) {
+    return { error: 'Letter content is required' };
+  }
+
+  const now = new Date().toISOString();
+  const createdAt = dateField(entry.createdAt) || now;
+  const state = ['draft', 'delivered', 'read', 'responded'].includes(entry.state) ? entry.state : 'draft';
+
+  const letter = {
+    content: content.trim(),
+    status: entry.status === 'read' ? 'read' : 'unread',
+    readAt: dateField(entry.readAt) || null,
+    state,
+    stateUpdatedAt: now,
+    stateTimestamps: { [state]: (entry.stateTimestamps && dateField(entry.stateTimestamps[state])) || createdAt },
+    createdAt,
+    updatedAt: now,
+    importedFrom: { letterId: typeof entry.id === 'string' ? entry.id.substring(0, 128) : null, importedAt: now },
+  };
+  if (introductory !== undefined) letter.introductory = introductory.trim();
+  if (mainBody !== undefined) letter.mainBody = mainBody.trim();
+  if (closing !== undefined) letter.closing = closing.trim();
+
+  ['introductoryStyle', 'mainBodyStyle', 'closingStyle', 'maxViews', 'burnAfterReadingMinutes'].forEach((field) => {
+    if (Number.isFinite(entry[field])) letter[field] = entry[field];
+  });
+  ['selectedMusic', 'letterMusic', 'previewLine', 'templateId'].forEach((field) => {
+    const value = textField(entry[field]);
+    if (value) letter[field] = value;
+  });
+  if (Array.isArray(entry.dashboardMusic)) {
+    letter.dashboardMusic = entry.dashboardMusic.map((music) => textField(music)).filter(Boolean);
+  }
+  if (entry.purgeOnBurn === true) letter.purgeOnBurn = true;
+  if (dateField(entry.unlockAt)) letter.unlockAt = dateField(entry.unlockAt);
+  // Security answers are only accepted hashed with the current scheme, so an archive can't
+  // smuggle in plain-text answers or hashes the server can't check
+  if (entry.securityType && entry.securityConfig) {
+    const { config, error } = normalizeHashedSecurityConfig(entry.securityType, entry.securityConfig);
+    if (error) {
+      return { error: `Invalid security settings: ${error}` };
+    }
+    letter.securityType = entry.securityType;
+    letter.securityConfig = config;
+    const { policy } = entry.lockoutPolicy ? normalizeLockoutPolicy(entry.lockoutPolicy) : {};
+    if (policy) letter.lockoutPolicy = policy;
+  }
+
+  // Recipients keep their ids so responses and reactions still point at them
+  letter.recipients = {};
+  const recipients = Array.isArray(entry.recipients) && entry.recipients.length > 0
+    ? entry.recipients
+    : [{ name: entry.receiverName, email: entry.receiverEmail }];
+  recipients.slice(0, 50).forEach((recipient) => {
+    const email = (textField(recipient && recipient.email, 320) || '').toLowerCase();
+    letter.recipients[keyOf(recipient && recipient.id, newKey)] = {
+      name: textField(recipient && recipient.name, 200) || '',
+      email: isValidEmail(email) ? email : '',
+      status: recipient && recipient.status === 'read' ? 'read' : 'unread',
+      readAt: dateField(recipient && recipient.readAt) || null,
+      addedAt: createdAt,
+    };
+  });
+  const [primaryRecipient] = Object.values(letter.recipients);
+  letter.receiverName = primaryRecipient.name;
+  letter.receiverEmail = primaryRecipient.email;
+
+  (Array.isArray(entry.responses) ? entry.responses : []).forEach((response) => {
+    const messageContent = response && textField(response.content, 10000);
+    if (!messageContent) return;
+    const messageId = keyOf(response.id, newKey);
+    const recipientId = letter.recipients[response.recipientId] ? response.recipientId : null;
+    const messageCreatedAt = dateField(response.createdAt) || now;
+    if (response.source === 'responses') {
+      letter.responses = letter.responses || {};
+      letter.responses[messageId] = {
+        content: messageContent,
+        receiverName: textField(response.authorName, 200) || letter.receiverName || 'Anonymous',
+        recipientId,
+        createdAt: messageCreatedAt,
+        updatedAt: dateField(response.updatedAt) || messageCreatedAt,
+      };
+    } else {
+      letter.thread = letter.thread || {};
+      letter.thread[messageId] = {
+        author: response.author === 'sender' ? 'sender' : 'receiver',
+        authorName: textField(response.authorName, 200) || null,
+        recipientId,
+        content: messageContent,
+        replyTo: typeof response.replyTo === 'string' && SAFE_KEY_PATTERN.test(response.replyTo) ? response.replyTo : null,
+        createdAt: messageCreatedAt,
+        updatedAt: dateField(response.updatedAt) || messageCreatedAt,
+      };
+    }
+  });
+
+  (Array.isArray(entry.reactions) ? entry.reactions : []).forEach((reaction) => {
+    if (!reaction || !REACTION_TARGETS.includes(reaction.target) || !isValidEmoji(reaction.emoji)) return;
+    const readerKey = letter.recipients[reaction.recipientId] ? reaction.recipientId : 'receiver';
+    letter.reactions = letter.reactions || {};
+    letter.reactions[readerKey] = letter.reactions[readerKey] || {};
+    letter.reactions[readerKey][reaction.target] = letter.reactions[readerKey][reaction.target] || {};
+    letter.reactions[readerKey][reaction.target][getEmojiKey(reaction.emoji)] = {
+      emoji: reaction.emoji,
+      reactedAt: dateField(reaction.reactedAt) || now,
+    };
+  });
+
+  // Contributors come back with their sections but without invite links
+  (Array.isArray(entry.contributions) ? entry.contributions : []).slice(0, 50).forEach((contribution, index) => {
+    const contributionContent = contribution && textField(contribution.content, 5000);
+    if (!contributionContent) return;
+    const submittedAt = dateField(contribution.submittedAt) || createdAt;
+    letter.contributors = letter.contributors || {};
+    letter.contributors[keyOf(contribution.id, newKey)] = {
+      name: textField(contribution.name, 100) || textField(contribution.signature, 100) || 'A friend',
+      email: '',
+      inviteToken: null,
+      invitedAt: submittedAt,
+      order: index,
+      included: contribution.included !== false,
+      content: contributionContent,
+      signature: textField(contribution.signature, 100) || textField(contribution.name, 100) || 'A friend',
+      submittedAt,
+      updatedAt: submittedAt,
+    };
+  });
+
+  // Voice messages are references to files of the original letter: the copy never deletes them
+  (Array.isArray(entry.voiceMessages) ? entry.voiceMessages : []).forEach((voiceMessage) => {
+    if (!voiceMessage || (!textField(voiceMessage.fileName) && !textField(voiceMessage.url))) return;
+    letter.voiceMessages = letter.voiceMessages || {};
+    letter.voiceMessages[keyOf(voiceMessage.id, newKey)] = {
+      url: textField(voiceMessage.url) || null,
+      fileName: textField(voiceMessage.fileName) || null,
+      receiverName: textField(voiceMessage.receiverName, 200) || null,
+      uploadedAt: dateField(voiceMessage.uploadedAt) || null,
+      size: Number.isFinite(voiceMessage.size) ? voiceMessage.size : null,
+      mimeType: textField(voiceMessage.mimeType, 100) || null,
+      imported: true,
+    };
+  });
+
+  return { letter };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildArchive,
+  renderArchiveMarkdown,
+  normalizeArchive,
+  buildImportedLetter,
+};
@@ -0,0 +1,129 @@
+// letterContributors.js - Group letters: contributors invited by the owner, each writing a signed section
+//
+// Contributors live in letters/{id}/contributors/{contributorId} together with their section. They
+// don't need an account: each one gets an invite token (contributionInvites/{token}, like letterTokens)
+// to write, edit or withdraw their section until the letter is sent. The owner reviews the sections
+// (included or not) and orders them; receivers see the included ones under each contributor's name.
+const crypto = require('crypto');
+const { sanitizeString, isValidEmail } = require('../middleware/validation');
+const { getLetterState } = require('./letterState');
+
+const MAX_CONTRIBUTORS = 50;
+const MAX_CONTRIBUTION_LENGTH = 5000;
+const MAX_NAME_LENGTH = 100;
+// Invites stay valid for 90 days - and only while the letter hasn't been sent
+const INVITE_LIFETIME_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Sections can be written while the owner is still preparing the letter
+const isOpenForContributions = (letter) => ['draft', 'scheduled'].includes(getLetterState(letter));
+
+/**
+ * Validate invitations ({ contributors: [{ name, email }] } or a single { name, email }).
+ * Returns { contributors } or { error }.
+ */
+const normalizeContributorInvites = (body = {}) => {
+  const inputs = Array.isArray(body.contributors) ? body.contributors : [body];
+  if (inputs.length === 0) {
+    return { error: 'At least one contributor is required' };
+  }
+  if (inputs.length > MAX_CONTRIBUTORS) {
+    return { error: `A letter can have at most ${MAX_CONTRIBUTORS} contributors` };
+  }
+
+  const contributors = [];
+  for (const input of inputs) {
+    const name = sanitizeString(String(input?.name || ''), MAX_NAME_LENGTH);
+    const email = sanitizeString(String(input?.email || ''), 320).toLowerCase();
+    if (!name) {
+      return { error: 'Each contributor needs a name' };
+    }
+    if (email && !isValidEmail(email)) {
+      return { error: `Invalid contributor email: ${email}` };
+    }
+    contributors.push({ name, email });
+  }
+  return { contributors };
+};
+
+/**
+ * Validate a contributor's section. The signature defaults to the name the owner invited them with.
+ * Returns { content, signature } or { error }.
+ */
+const normalizeContribution = ({ content, signature } = {}, contributor = {}) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'Your section needs some words' };
+  }
+  if (content.trim().length > MAX_CONTRIBUTION_LENGTH) {
+    return { error: `A section can be at most ${MAX_CONTRIBUTION_LENGTH} characters` };
+  }
+  if (signature !== undefined && signature !== null && typeof signature !== 'string') {
+    return { error: 'signature must be text' };
+  }
+  const signedAs = sanitizeString(signature || '', MAX_NAME_LENGTH) || contributor.name || 'A friend';
+  return { content: content.trim(), signature: signedAs };
+};
+
+/**
+ * Mint an invite token for a contributor and store its mapping in contributionInvites
+ */
+const createContributionInvite = async (db, userId, letterId, contributorId) => {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITE_LIFETIME_MS).toISOString();
+  await db.ref(`contributionInvites/${inviteToken}`).set({
+    userId,
+    letterId,
+    contributorId,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    isActive: true,
+  });
+  return { inviteToken, expiresAt };
+};
+
+// Contributors in the owner's order (invitation order until they have been reordered)
+const listContributors = (letter = {}) => Object.entries(letter.contributors || {})
+  .map(([id, contributor]) => ({ id, ...contributor }))
+  .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || new Date(a.invitedAt) - new Date(b.invitedAt));
+
+// The signed sections receivers see: written and not left out by the owner, in order
+const getFinalContributions = (letter) => listContributors(letter)
+  .filter((contributor) => contributor.content && contributor.included !== false)
+  .map((contributor) => ({
+    id: contributor.id,
+    name: contributor.signature || contributor.name,
+    content: contributor.content,
+  }));
+
+/**
+ * Updates (relative to the letter ref) that put the contributors in the given order.
+ * `order` must list every contributor id once. Returns { updates } or { error }.
+ */
+const buildContributorOrderUpdates = (letter, order) => {
+  const ids = Object.keys(letter.contributors || {});
+  if (!Array.isArray(order) || order.length !== ids.length || new Set(order).size !== ids.length
+    || !order.every((id) => ids.includes(id))) {
+    return { error: 'order must list every contributor id exactly once' };
+  }
+  const updates = {};
+  order.forEach((id, index) => {
+    updates[`contributors/${id}/order`] = index;
+  });
+  return { updates };
+};
+
+// Every invite token of a letter (for deletion)
+const getContributionInviteTokens = (letter = {}) => Object.values(letter.contributors || {})
+  .map((contributor) => contributor.inviteToken)
+  .filter(Boolean);
+
+module.exports = {
+  MAX_CONTRIBUTORS,
+  isOpenForContributions,
+  normalizeContributorInvites,
+  normalizeContribution,
+  createContributionInvite,
+  listContributors,
+  getFinalContributions,
+  buildContributorOrderUpdates,
+  getContributionInviteTokens,
+};
@@ -0,0 +1,185 @@
+// letterDeletion.js - Everything that has to go (or be tombstoned) when a letter is deleted
+//
+// A letter leaves data outside its own node: tokens, contributor invites, files in storage, scheduled
+// emails, the sender's notifications, the response index, the revision history and receivers'
+// receivedLetters entries.
+// Contributions themselves live in the letter node and go with it.
+const { deleteLetterImages } = require('./letterImages');
+const { reindexLetterResponses } = require('./responseIndex');
+const { getContributionInviteTokens } = require('./letterContributors');
+const { deleteLetterRevisions } = require('./letterRevisions');
+
+// Why a scheduled email was cancelled - emails cancelled by the trash are resumed on restore
+const CANCELLED_BY_TRASH = 'letter_trashed';
+const CANCELLED_BY_DELETION = 'letter_deleted';
+
+// Every token of a letter: the legacy single token, one per recipient and the ones replaced by renewals
+const getLetterTokens = (letter = {}) => [...new Set([
+  letter.accessToken,
+  ...Object.values(letter.recipients || {}).map((recipient) => recipient.accessToken),
+  ...Object.values(letter.tokenRenewals || {}).map((renewal) => renewal.previousToken),
+].filter(Boolean))];
+
+// Scheduled emails of a letter. Older entries have no userId/letterId and are matched by their link.
+const findScheduledEmails = async (db, userId, letterId, letter = {}) => {
+  const snapshot = await db.ref('scheduledEmails').once('value');
+  return Object.entries(snapshot.val() || {}).filter(([, email]) => (
+    (email.userId === userId && email.letterId === letterId)
+    || (!email.letterId && letter.shareableLink && email.shareableLink === letter.shareableLink)
+  ));
+};
+
+/**
+ * Cancel the letter's pending scheduled emails (they would send a dead link). Returns the count.
+ */
+const cancelScheduledEmails = async (db, userId, letterId, letter, reason = CANCELLED_BY_DELETION) => {
+  const emails = await findScheduledEmails(db, userId, letterId, letter);
+  const cancelledAt = new Date().toISOString();
+  const updates = {};
+  emails
+    .filter(([, email]) => email.status === 'pending')
+    .forEach(([emailId]) => {
+      updates[`${emailId}/status`] = 'cancelled';
+      updates[`${emailId}/cancelReason`] = reason;
+      updates[`${emailId}/cancelledAt`] = cancelledAt;
+    });
+
+  const count = Object.keys(updates).length / 3;
+  if (count > 0) {
+    await db.ref('scheduledEmails').update(updates);
+  }
+  return count;
+};
+
+/**
+ * Put emails cancelled by the trash back in the queue after a restore (overdue ones go out on the next run)
+ */
+const resumeScheduledEmails = async (db, userId, letterId, letter) => {
+  const emails = await findScheduledEmails(db, userId, letterId, letter);
+  const updates = {};
+  emails
+    .filter(([, email]) => email.status === 'cancelled' && email.cancelReason === CANCELLED_BY_TRASH)
+    .forEach(([emailId]) => {
+      updates[`${emailId}/status`] = 'pending';
+      updates[`${emailId}/cancelReason`] = null;
+      updates[`${emailId}/cancelledAt`] = null;
+    });
+
+  const count = Object.keys(updates).length / 3;
+  if (count > 0) {
+    await db.ref('scheduledEmails').update(updates);
+  }
+  return count;
+};
+
+/**
+ * Remove everything a letter left behind outside its own node. The letter node itself is not touched.
+ * Each step is attempted even if an earlier one fails; failures are listed in the report.
+ * Returns { tokens, contributionInvites, storageFiles, scheduledEmails, notifications, receivedLetters, errors }.
+ */
+const deleteLetterData = async (db, storage, userId, letterId, letter = {}) => {
+  const report = {
+    tokens: 0,
+    contributionInvites: 0,
+    storageFiles: 0,
+    scheduledEmails: 0,
+    notifications: 0,
+    receivedLetters: 0,
+    errors: [],
+  };
+  const step = async (name, operation) => {
+    try {
+      await operation();
+    } catch (error) {
+      console.error(`⚠️ Warning: Failed to clean up ${name} of letter ${letterId}:`, error);
+      report.errors.push(name);
+    }
+  };
+
+  // Tokens, and the receiver accounts that linked the letter through them (tombstoned so the
+  // receiver sees that the sender deleted it instead of a broken entry)
+  await step('tokens', async () => {
+    const deletedAt = new Date().toISOString();
+    for (const token of getLetterTokens(letter)) {
+      const tokenRef = db.ref(`letterTokens/${token}`);
+      const tokenData = (await tokenRef.once('value')).val();
+      if (!tokenData) continue;
+
+      if (tokenData.linkedToAccount) {
+        const receivedRef = db.ref(`users/${tokenData.linkedToAccount}/receivedLetters/${letterId}`);
+        const received = (await receivedRef.once('value')).val();
+        if (received && received.senderUserId === userId && !received.deletedBySender) {
+          await receivedRef.update({ status: 'deleted', deletedBySender: true, letterDeletedAt: deletedAt, originalToken: null });
+          report.receivedLetters++;
+        }
+      }
+
+      await tokenRef.remove();
+      report.tokens++;
+    }
+  });
+
+  await step('contributionInvites', async () => {
+    const updates = {};
+    getContributionInviteTokens(letter).forEach((inviteToken) => {
+      updates[inviteToken] = null;
+    });
+    report.contributionInvites = Object.keys(updates).length;
+    if (report.contributionInvites > 0) {
+      await db.ref('contributionInvites').update(updates);
+    }
+  });
+
+  await step('storageFiles', async () => {
+    if (!storage) return;
+    // Imported voice messages point at the original letter's files, which aren't this letter's to delete
+    const voiceFiles = Object.values(letter.voiceMessages || {})
+      .filter((voiceMessage) => !voiceMessage.imported)
+      .map((voiceMessage) => voiceMessage.fileName)
+      .filter(Boolean);
+    for (const fileName of voiceFiles) {
+      await storage.file(fileName).delete({ ignoreNotFound: true });
+      report.storageFiles++;
+    }
+    report.storageFiles += (await deleteLetterImages(storage, userId, letterId)).length;
+  });
+
+  await step('scheduledEmails', async () => {
+    const emails = await findScheduledEmails(db, userId, letterId, letter);
+    const updates = {};
+    emails.forEach(([emailId]) => {
+      updates[emailId] = null;
+    });
+    if (emails.length > 0) {
+      await db.ref('scheduledEmails').update(updates);
+    }
+    report.scheduledEmails = emails.length;
+  });
+
+  await step('notifications', async () => {
+    const notificationsRef = db.ref(`users/${userId}/notifications`);
+    const snapshot = await notificationsRef.orderByChild('letterId').equalTo(letterId).once('value');
+    const updates = {};
+    snapshot.forEach((child) => {
+      updates[child.key] = null;
+    });
+    report.notifications = Object.keys(updates).length;
+    if (report.notifications > 0) {
+      await notificationsRef.update(updates);
+    }
+  });
+
+  await step('responseIndex', () => reindexLetterResponses(db, userId, letterId, null));
+
+  await step('revisions', () => deleteLetterRevisions(db, userId, letterId));
+
+  return report;
+};
+
+module.exports = {
+  CANCELLED_BY_TRASH,
+  getLetterTokens,
+  cancelScheduledEmails,
+  resumeScheduledEmails,
+  deleteLetterData,
+};
@@ -0,0 +1,222 @@
+// letterEmail.js - The "a letter is waiting for you" email: mail options, scheduling and the sender's name
+// (plus the invitation to write a section of a group letter)
+require('dotenv').config();
+
+/**
+ * Mail options for a letter email (the link to open the letter)
+ */
+const buildLetterMailOptions = ({ recipientEmail, recipientName, senderName, shareableLink }) => {
+  const receiverName = recipientName || "there";
+  const sender = senderName || "Someone special";
+
+  // Plain text version for better deliverability
+  const textContent = `Hello ${receiverName},
+
+${sender} has a special letter for you on Dearly.
+
+Open your letter here: ${shareableLink}
+
+Made with ❤️ by ${sender} for ${receiverName}
+
+If you didn't expect this email, you can safely ignore it.`;
+
+  // Custom Dearly email template
+  const mailOptions = {
+    from: `"Dearly 💌" <${process.env.EMAIL_USER}>`,
+    to: recipientEmail,
+    subject: `${sender} has a letter for you`,
+    text: textContent,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>A letter for you</title>
+      </head>
+      <body style="margin: 0; padding: 0; font-family: 'Georgia', 'Times New Roman', serif; background: linear-gradient(135deg, #fef3f2 0%, #fce7f3 50%, #fae8ff 100%);">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, #fef3f2 0%, #fce7f3 50%, #fae8ff 100%); padding: 40px 20px;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: linear-gradient(135deg, rgba(254, 243, 242, 0.95) 0%, rgba(252, 231, 243, 0.95) 100%); border-radius: 16px; overflow: hidden; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2); backdrop-filter: blur(10px);">
+                <!-- Header -->
+                <tr>
+                  <td align="center" style="padding: 40px 30px 30px; background: linear-gradient(135deg, rgba(236, 72, 153, 0.1) 0%, rgba(251, 113, 133, 0.1) 100%);">
+                    <div style="text-align: center;">
+                      <h1 style="color: #ec4899; font-size: 36px; margin: 0; font-weight: bold; letter-spacing: 2px;">Dearly</h1>
+                      <p style="color: #9f1239; font-size: 14px; margin: 8px 0 0; font-style: italic; letter-spacing: 1px;">Express your heart, beautifully</p>
+                    </div>
+                  </td>
+                </tr>
+
+                <!-- Main Content -->
+                <tr>
+                  <td style="padding: 40px 30px;">
+                    <div style="background: white; border-radius: 12px; padding: 40px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.08);">
+                      <!-- Greeting -->
+                      <h2 style="color: #1f2937; font-size: 28px; margin: 0 0 20px; font-weight: normal; line-height: 1.4;">
+                        Hello ${receiverName} 💕
+                      </h2>
+
+                      <!-- Romantic Message (replacing the introductory statement) -->
+                      <p style="color: #4b5563; font-size: 17px; line-height: 1.8; margin: 0 0 24px; font-style: italic;">
+                        In the quiet moments between heartbeats, someone has poured their heart into words meant only for you.
+                      </p>
+
+                      <p style="color: #4b5563; font-size: 17px; line-height: 1.8; margin: 0 0 24px; font-style: italic;">
+                        A letter awaits, carrying emotions that words alone cannot express. It's a piece of someone's soul, wrapped in digital parchment, waiting to touch your heart.
+                      </p>
+
+                      <p style="color: #6b7280; font-size: 16px; line-height: 1.7; margin: 0 0 40px; font-style: italic; text-align: center;">
+                        ✨ Open it when you're ready to feel something beautiful ✨
+                      </p>
+
+                      <!-- CTA Button -->
+                      <div style="text-align: center; margin: 40px 0;">
+                        <a href="${shareableLink}" 
+                           style="display: inline-block; background: linear-gradient(135deg, #ec4899 0%, #f472b6 100%); color: white; padding: 18px 48px; border-radius: 12px; text-decoration: none; font-weight: 600; font-size: 18px; box-shadow: 0 6px 20px rgba(236, 72, 153, 0.4); transition: transform 0.2s;">
+                          Open Your Letter 💌
+                        </a>
+                      </div>
+
+                      <!-- Alternative Link - More Visible -->
+                      <div style="margin: 32px 0 0; padding: 20px; background: linear-gradient(135deg, #fef3f2 0%, #fce7f3 100%); border-radius: 8px; border: 2px solid #ec4899;">
+                        <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 0 0 12px; text-align: center; font-weight: 600;">
+                          Or copy and paste this link:
+                        </p>
+                        <p style="color: #ec4899; font-size: 14px; word-break: break-all; background: white; padding: 16px; border-radius: 8px; margin: 0; text-align: center; border: 1px solid #fce7f3; font-family: 'Courier New', monospace; line-height: 1.6;">
+                          <a href="${shareableLink}" style="color: #ec4899; text-decoration: underline;">${shareableLink}</a>
+                        </p>
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+
+                <!-- Footer - Better Contrast -->
+                <tr>
+                  <td align="center" style="padding: 30px; background: rgba(255, 255, 255, 0.9); border-top: 1px solid rgba(236, 72, 153, 0.2);">
+                    <p style="color: #4b5563; font-size: 14px; margin: 0; line-height: 1.8; font-weight: 500;">
+                      Made with <span style="color: #ec4899; font-size: 16px;">❤️</span> by <strong style="color: #ec4899;">${sender}</strong> for <strong style="color: #ec4899;">${receiverName}</strong>
+                    </p>
+                    <p style="color: #9ca3af; font-size: 12px; margin: 8px 0 0; line-height: 1.6;">
+                      If you didn't expect this email, you can safely ignore it.
+                    </p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+  };
+
+  return mailOptions;
+};
+
+/**
+ * Store a letter email in scheduledEmails for the email scheduler. Returns the scheduled email id.
+ * userId/letterId let the scheduler mark the letter delivered once it is sent.
+ */
+const scheduleLetterEmail = async (db, { recipientEmail, recipientName, senderName, shareableLink, letterTitle, scheduledDateTime, userId = null, letterId = null, ...extra }) => {
+  const scheduledEmailId = `scheduled_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  await db.ref('scheduledEmails').child(scheduledEmailId).set({
+    recipientEmail,
+    recipientName,
+    senderName,
+    shareableLink,
+    letterTitle,
+    scheduledDateTime,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    mailOptions: buildLetterMailOptions({ recipientEmail, recipientName, senderName, shareableLink }), // Full mail options for sending later
+    userId,
+    letterId,
+    ...extra,
+  });
+  return scheduledEmailId;
+};
+
+// Absolute link to a letter, for emails sent by the server itself
+const getLetterLink = (token) => {
+  const CLIENT_URL = process.env.CLIENT_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5173');
+  return `${CLIENT_URL}/letter/${token}`;
+};
+
+/**
+ * Mail options for an invitation to write a section of a group letter
+ */
+const buildContributorInviteMailOptions = ({ recipientEmail, contributorName, ownerName, receiverName, inviteLink }) => {
+  const name = contributorName || "there";
+  const owner = ownerName || "A friend";
+  const forWhom = receiverName ? ` for ${receiverName}` : "";
+
+  const textContent = `Hello ${name},
+
+${owner} is writing a letter${forWhom} on Dearly and would love a few words from you.
+
+Write your part here: ${inviteLink}
+
+No account needed - your section will be signed with your name.
+
+If you didn't expect this email, you can safely ignore it.`;
+
+  return {
+    from: `"Dearly 💌" <${process.env.EMAIL_USER}>`,
+    to: recipientEmail,
+    subject: `${owner} invited you to write in a letter${forWhom}`,
+    text: textContent,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Write in a letter</title>
+      </head>
+      <body style="margin: 0; padding: 40px 20px; font-family: 'Georgia', 'Times New Roman', serif; background: #fce7f3;">
+        <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);">
+          <h1 style="color: #ec4899; font-size: 32px; margin: 0 0 24px; text-align: center;">Dearly</h1>
+          <h2 style="color: #1f2937; font-size: 24px; margin: 0 0 16px; font-weight: normal;">Hello ${name} 💕</h2>
+          <p style="color: #4b5563; font-size: 17px; line-height: 1.7; margin: 0 0 24px;">
+            <strong style="color: #ec4899;">${owner}</strong> is writing a letter${forWhom} and would love a few words from you.
+            No account needed - your section will be signed with your name.
+          </p>
+          <div style="text-align: center; margin: 32px 0;">
+            <a href="${inviteLink}" style="display: inline-block; background: linear-gradient(135deg, #ec4899 0%, #f472b6 100%); color: white; padding: 16px 40px; border-radius: 12px; text-decoration: none; font-weight: 600; font-size: 17px;">
+              Write your part ✍️
+            </a>
+          </div>
+          <p style="color: #6b7280; font-size: 13px; margin: 0; word-break: break-all;">Or copy and paste this link: ${inviteLink}</p>
+          <p style="color: #9ca3af; font-size: 12px; margin: 24px 0 0; text-align: center;">If you didn't expect this email, you can safely ignore it.</p>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+};
+
+// Absolute link to the page where a contributor writes their section
+const getContributionLink = (inviteToken) => {
+  const CLIENT_URL = process.env.CLIENT_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:5173');
+  return `${CLIENT_URL}/contribute/${inviteToken}`;
+};
+
+// The sender's display name from their profile ("" if it isn't set)
+const getSenderName = async (db, userId) => {
+  const [firstNameSnapshot, lastNameSnapshot] = await Promise.all([
+    db.ref(`users/${userId}/firstName`).once("value"),
+    db.ref(`users/${userId}/lastName`).once("value"),
+  ]);
+  return `${firstNameSnapshot.val() || ''} ${lastNameSnapshot.val() || ''}`.trim();
+};
+
+module.exports = {
+  buildLetterMailOptions,
+  scheduleLetterEmail,
+  getLetterLink,
+  buildContributorInviteMailOptions,
+  getContributionLink,
+  getSenderName,
+};
@@ -0,0 +1,176 @@
+// letterImages.js - Photo attachments on letters (users/{userId}/letters/{letterId}/images)
+//
+// Files live in Firebase Storage under letter-images/{userId}/{letterId}/ and are private:
+// receivers get short-lived signed URLs from the token endpoint.
+const { Jimp } = require('jimp');
+
+const MAX_IMAGES_PER_LETTER = 10;
+const MAX_IMAGE_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_CAPTION_LENGTH = 500;
+// Refuse to decode anything bigger than this (the decoder is pure JS and keeps the bitmap in memory)
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+// Stored images are scaled down to fit these bounds
+const MAX_IMAGE_DIMENSION = 2048;
+const THUMBNAIL_DIMENSION = 400;
+const SIGNED_URL_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const IMAGE_TYPES = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+};
+
+/**
+ * Detect the image type from the file's magic bytes (the client's mime type is not trusted).
+ * Returns 'jpeg', 'png' or null.
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  return null;
+};
+
+// Read the dimensions from the PNG header or the JPEG frame marker without decoding the image
+const readImageDimensions = (buffer, type) => {
+  if (type === 'png') {
+    if (buffer.length < 24) return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+/**
+ * Validate and re-encode an uploaded image. Re-encoding drops every metadata block
+ * (EXIF including GPS location), the orientation is applied to the pixels when decoding.
+ * Returns { type, image, thumbnail, width, height } with encoded buffers, or { error }.
+ */
+const processImage = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    return { error: 'Invalid image. Only JPEG and PNG images are allowed.' };
+  }
+
+  const dimensions = readImageDimensions(buffer, type);
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    return { error: 'The image could not be read' };
+  }
+  if (dimensions.width * dimensions.height > MAX_IMAGE_PIXELS) {
+    return { error: 'The image resolution is too large' };
+  }
+
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (decodeError) {
+    return { error: 'The image could not be read' };
+  }
+
+  if (image.bitmap.width > MAX_IMAGE_DIMENSION || image.bitmap.height > MAX_IMAGE_DIMENSION) {
+    image.scaleToFit({ w: MAX_IMAGE_DIMENSION, h: MAX_IMAGE_DIMENSION });
+  }
+  const thumbnail = image.clone().scaleToFit({ w: THUMBNAIL_DIMENSION, h: THUMBNAIL_DIMENSION });
+
+  const { mimeType } = IMAGE_TYPES[type];
+  const options = type === 'jpeg' ? { quality: 90 } : {};
+  return {
+    type,
+    width: image.bitmap.width,
+    height: image.bitmap.height,
+    image: await image.getBuffer(mimeType, options),
+    thumbnail: await thumbnail.getBuffer(mimeType, type === 'jpeg' ? { quality: 80 } : {}),
+  };
+};
+
+// Storage folder holding every image of a letter
+const getLetterImagesPrefix = (userId, letterId) => `letter-images/${userId}/${letterId}/`;
+
+const getImageFileNames = (userId, letterId, imageId, type) => {
+  const { extension } = IMAGE_TYPES[type];
+  const prefix = getLetterImagesPrefix(userId, letterId);
+  return {
+    fileName: `${prefix}${imageId}.${extension}`,
+    thumbnailFileName: `${prefix}${imageId}-thumb.${extension}`,
+  };
+};
+
+// Validate a caption from a request body. Returns { caption } or { error }.
+const normalizeCaption = (caption) => {
+  if (caption === undefined || caption === null) return { caption: '' };
+  if (typeof caption !== 'string') return { error: 'caption must be a string' };
+  if (caption.trim().length > MAX_CAPTION_LENGTH) {
+    return { error: `Captions can be at most ${MAX_CAPTION_LENGTH} characters` };
+  }
+  return { caption: caption.trim() };
+};
+
+/**
+ * A letter's images in display order
+ */
+const getOrderedImages = (letter = {}) => (
+  Object.entries(letter.images || {})
+    .map(([id, image]) => ({ id, ...image }))
+    .sort((a, b) => (a.order - b.order) || new Date(a.uploadedAt) - new Date(b.uploadedAt))
+);
+
+/**
+ * Public view of the letter's images with signed URLs for the image and its thumbnail
+ */
+const getSignedImageUrls = async (storage, letter) => {
+  const images = getOrderedImages(letter);
+  if (!storage || images.length === 0) return [];
+
+  const expires = Date.now() + SIGNED_URL_TTL_MS;
+  const signedUrl = async (fileName) => {
+    const [url] = await storage.file(fileName).getSignedUrl({ action: 'read', expires });
+    return url;
+  };
+
+  return Promise.all(images.map(async (image) => ({
+    id: image.id,
+    caption: image.caption || '',
+    order: image.order,
+    width: image.width,
+    height: image.height,
+    mimeType: image.mimeType,
+    url: await signedUrl(image.fileName),
+    thumbnailUrl: await signedUrl(image.thumbnailFileName),
+    urlExpiresAt: new Date(expires).toISOString(),
+  })));
+};
+
+/**
+ * Delete every stored image of a letter (also catches files whose database entry is gone).
+ * Returns the names of the deleted files.
+ */
+const deleteLetterImages = async (storage, userId, letterId) => {
+  if (!storage) return [];
+  const [files] = await storage.getFiles({ prefix: getLetterImagesPrefix(userId, letterId) });
+  for (const file of files) {
+    await file.delete({ ignoreNotFound: true });
+  }
+  return files.map((file) => file.name);
+};
+
+module.exports = {
+  MAX_IMAGES_PER_LETTER,
+  MAX_IMAGE_FILE_SIZE,
+  IMAGE_TYPES,
+  detectImageType,
+  processImage,
+  getImageFileNames,
+  normalizeCaption,
+  getOrderedImages,
+  getSignedImageUrls,
+  deleteLetterImages,
+};
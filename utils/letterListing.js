@@ -0,0 +1,205 @@
+// letterListing.js - Filters, search and cursor pagination for letter and response listings
+const { LETTER_STATES, getLetterState } = require('./letterState');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+// How many entries are read per query while filling a filtered page
+const SCAN_BATCH_SIZE = 50;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cursors are opaque to clients: base64url of the last item's { createdAt, id }
+const encodeCursor = (item) => Buffer.from(JSON.stringify({ c: item.createdAt || null, i: item.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof i !== 'string' || !i || (c !== null && typeof c !== 'string')) return null;
+    return { createdAt: c, id: i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse a from/to query value into an ISO string (a plain date covers that whole day)
+const parseDateBound = (value, endOfDay) => {
+  const text = String(value).trim();
+  const date = DATE_ONLY_PATTERN.test(text)
+    ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const parseBoolean = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+/**
+ * Validate the paging options shared by every listing: limit, cursor, from, to.
+ * `paginate` is false when the client asked for neither limit nor cursor (legacy full listing).
+ * Returns { options } or { error }.
+ */
+const parsePagingQuery = (query = {}) => {
+  const options = { paginate: query.limit !== undefined || query.cursor !== undefined };
+
+  options.limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor' };
+  }
+
+  if (query.from !== undefined) {
+    options.from = parseDateBound(query.from, false);
+    if (!options.from) return { error: 'from must be a date' };
+  }
+  if (query.to !== undefined) {
+    options.to = parseDateBound(query.to, true);
+    if (!options.to) return { error: 'to must be a date' };
+  }
+  if (options.from && options.to && options.from > options.to) {
+    return { error: 'from must be before to' };
+  }
+
+  return { options };
+};
+
+/**
+ * Validate the letter listing query: the paging options plus state (alias status), receiver,
+ * hasResponse and q (search). Returns { options } or { error }.
+ */
+const parseLetterListingQuery = (query = {}) => {
+  const { options, error } = parsePagingQuery(query);
+  if (error) return { error };
+
+  // Lifecycle filter: ?state=draft or ?state=scheduled,delivered
+  const stateQuery = query.state !== undefined ? query.state : query.status;
+  if (stateQuery !== undefined) {
+    options.states = String(stateQuery).split(',').map((state) => state.trim()).filter(Boolean);
+    if (options.states.some((state) => !LETTER_STATES.includes(state))) {
+      return { error: `Invalid state filter. Allowed states: ${LETTER_STATES.join(', ')}` };
+    }
+  }
+
+  if (query.receiver !== undefined && String(query.receiver).trim()) {
+    options.receiver = String(query.receiver).trim().toLowerCase().substring(0, MAX_SEARCH_LENGTH);
+  }
+
+  if (query.hasResponse !== undefined) {
+    options.hasResponse = parseBoolean(query.hasResponse);
+    if (options.hasResponse === undefined) return { error: 'hasResponse must be true or false' };
+  }
+
+  if (query.q !== undefined && String(query.q).trim()) {
+    options.search = String(query.q).trim().toLowerCase();
+    if (options.search.length > MAX_SEARCH_LENGTH) {
+      return { error: `Search text can be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+  }
+
+  return { options };
+};
+
+// A response is a legacy response or a receiver message in the thread
+const hasLetterResponse = (letter = {}) => (
+  Object.keys(letter.responses || {}).length > 0
+  || Object.values(letter.thread || {}).some((message) => message && message.author === 'receiver')
+);
+
+const includesText = (value, text) => typeof value === 'string' && value.toLowerCase().includes(text);
+
+/**
+ * Check a letter against the listing filters (the date range is applied by the query itself)
+ */
+const matchesLetterFilters = (letter, options) => {
+  if (options.states && !options.states.includes(getLetterState(letter))) return false;
+
+  if (options.receiver) {
+    const recipients = Object.values(letter.recipients || {});
+    const receiverMatches = [letter.receiverName, letter.receiverEmail, ...recipients.flatMap((recipient) => [recipient.name, recipient.email])]
+      .some((value) => includesText(value, options.receiver));
+    if (!receiverMatches) return false;
+  }
+
+  if (options.hasResponse !== undefined && hasLetterResponse(letter) !== options.hasResponse) return false;
+
+  if (options.search && !includesText(letter.introductory, options.search) && !includesText(letter.mainBody, options.search)) {
+    return false;
+  }
+
+  return true;
+};
+
+const isWithinDateRange = (item, options) => (
+  (!options.from || (item.createdAt && item.createdAt >= options.from))
+  && (!options.to || (item.createdAt && item.createdAt <= options.to))
+);
+
+/**
+ * Read one page (newest first) from a list ordered by createdAt, e.g. users/{userId}/letters.
+ * Entries are read in batches with a createdAt query until the page is full, so a filtered page
+ * only reads as far back as it needs. Needs ".indexOn": ["createdAt"] on the list in the database rules (see configs/firebase.js).
+ * Returns { items, nextCursor } (nextCursor is null on the last page).
+ */
+const fetchNewestFirstPage = async (listRef, options, matches = () => true) => {
+  const items = [];
+  let cursor = options.cursor || null;
+  let exhausted = false;
+
+  while (items.length <= options.limit && !exhausted) {
+    let query = listRef.orderByChild('createdAt');
+    if (options.from) query = query.startAt(options.from);
+    if (cursor) {
+      query = query.endAt(cursor.createdAt, cursor.id);
+    } else if (options.to) {
+      query = query.endAt(options.to);
+    }
+
+    const batchSize = SCAN_BATCH_SIZE + (cursor ? 1 : 0);
+    const snapshot = await query.limitToLast(batchSize).once('value');
+    const batch = [];
+    snapshot.forEach((child) => {
+      batch.push({ id: child.key, ...child.val() });
+    });
+    exhausted = batch.length < batchSize;
+
+    // endAt is inclusive, so the previous batch's last entry comes back first
+    const entries = batch.reverse().filter((entry) => !cursor || entry.id !== cursor.id);
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      cursor = { createdAt: entry.createdAt || null, id: entry.id };
+      if (isWithinDateRange(entry, options) && matches(entry)) {
+        items.push(entry);
+        if (items.length > options.limit) break;
+      }
+    }
+  }
+
+  // One extra item was read to know whether there is a next page
+  const hasMore = items.length > options.limit;
+  const pageItems = items.slice(0, options.limit);
+  return {
+    items: pageItems,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1]) : null,
+  };
+};
+
+module.exports = {
+  parsePagingQuery,
+  parseLetterListingQuery,
+  matchesLetterFilters,
+  isWithinDateRange,
+  hasLetterResponse,
+  fetchNewestFirstPage,
+};
@@ -0,0 +1,157 @@
+// letterPdf.js - Server-side PDF rendering of a letter (sections, stationery and conversation thread)
+const PDFDocument = require('pdfkit');
+
+// Stationery styles, indexed by the letter's introductoryStyle / mainBodyStyle / closingStyle.
+// The page colours follow the main body's style; each section uses its own font and ink.
+const STATIONERY_STYLES = [
+  { name: 'classic', font: 'Times-Roman', ink: '#1f2937', accent: '#ec4899', paper: '#fffdf7' },
+  { name: 'romantic', font: 'Times-Italic', ink: '#9f1239', accent: '#ec4899', paper: '#fff1f2' },
+  { name: 'modern', font: 'Helvetica', ink: '#111827', accent: '#6366f1', paper: '#ffffff' },
+  { name: 'typewriter', font: 'Courier', ink: '#292524', accent: '#78716c', paper: '#fafaf9' },
+  { name: 'garden', font: 'Times-Roman', ink: '#14532d', accent: '#16a34a', paper: '#f0fdf4' },
+];
+
+const PAGE_MARGIN = 64;
+
+const getStationeryStyle = (style) => {
+  const index = Number.isInteger(Number(style)) ? Math.abs(Number(style)) : 0;
+  return STATIONERY_STYLES[index % STATIONERY_STYLES.length];
+};
+
+// The built-in PDF fonts only cover Latin-1 (plus typographic quotes and dashes), so emoji and
+// other characters they can't draw are dropped instead of being printed as garbage
+const toPdfText = (text) => String(text || '')
+  .replace(/[^\t\n\r\x20-\x7e\xa0-\xff–—‘’“”•…]/gu, '')
+  .replace(/[ \t]+\n/g, '\n')
+  .trim();
+
+// Letters and digits the built-in fonts don't cover (Cyrillic, Greek, CJK, most of Latin Extended, ...). Dropping them
+// would leave an empty PDF, so letters containing them are refused (see canRenderLetterPdf)
+const UNRENDERABLE_TEXT = /(?![\x00-\xff])[\p{L}\p{N}]/u;
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+/**
+ * Render a letter to a PDF.
+ * `thread` is the output of buildThread() for whoever is exporting (sender or one receiver).
+ * `contributions` are the signed sections of a group letter (getFinalContributions()).
+ * Resolves with the PDF as a Buffer.
+ */
+const renderLetterPdf = ({ letter, senderName, receiverName, thread = [], contributions = [] }) => new Promise((resolve, reject) => {
+  const pageStyle = getStationeryStyle(letter.mainBodyStyle);
+  // Letters have no title field - the introductory line doubles as the title (as in notifications)
+  const title = toPdfText(letter.introductory).split('\n')[0].substring(0, 120) || 'A letter for you';
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: title,
+      Author: toPdfText(senderName) || 'Dearly',
+      Creator: 'Dearly',
+    },
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  // Paint the stationery on every page, including the ones added by text overflow
+  const paintPage = () => {
+    doc.save()
+      .rect(0, 0, doc.page.width, doc.page.height).fill(pageStyle.paper)
+      .lineWidth(2)
+      .rect(PAGE_MARGIN / 2, PAGE_MARGIN / 2, doc.page.width - PAGE_MARGIN, doc.page.height - PAGE_MARGIN)
+      .stroke(pageStyle.accent)
+      .restore();
+    doc.x = PAGE_MARGIN;
+    doc.y = PAGE_MARGIN;
+  };
+  doc.on('pageAdded', paintPage);
+  paintPage();
+
+  const writeSection = (text, style, options = {}) => {
+    const content = toPdfText(text);
+    if (!content) return;
+    const { font, ink } = getStationeryStyle(style);
+    doc.font(font).fontSize(options.fontSize || 13).fillColor(ink)
+      .text(content, { align: options.align || 'left', lineGap: 4, paragraphGap: 6 });
+    doc.moveDown(1.2);
+  };
+
+  const heading = toPdfText(receiverName) ? `For ${toPdfText(receiverName)}` : 'A letter for you';
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(pageStyle.accent).text(heading, { align: 'center' });
+  const dateLine = formatDate(letter.createdAt);
+  if (dateLine) {
+    doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#6b7280').text(dateLine, { align: 'center' });
+  }
+  doc.moveDown(2);
+
+  writeSection(letter.introductory, letter.introductoryStyle);
+  writeSection(letter.mainBody, letter.mainBodyStyle);
+  writeSection(letter.closing, letter.closingStyle);
+  if (senderName) {
+    writeSection(senderName, letter.closingStyle, { align: 'right' });
+  }
+
+  // Group letters: each contributor's section, signed with their name
+  contributions.forEach((contribution) => {
+    writeSection(contribution.content, letter.mainBodyStyle);
+    writeSection(`- ${contribution.name}`, letter.closingStyle, { align: 'right', fontSize: 12 });
+  });
+
+  const messages = thread.filter((message) => toPdfText(message.content));
+  if (messages.length > 0) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(pageStyle.accent).text('Conversation');
+    doc.moveDown(1);
+
+    messages.forEach((message) => {
+      const author = message.author === 'sender'
+        ? (senderName || 'Sender')
+        : (message.authorName || receiverName || 'Receiver');
+      const indent = Math.min(message.depth || 0, 4) * 18;
+
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#374151')
+        .text(`${toPdfText(author)}  ·  ${formatDate(message.createdAt)}`, PAGE_MARGIN + indent, doc.y);
+      doc.font(pageStyle.font).fontSize(11).fillColor(pageStyle.ink)
+        .text(toPdfText(message.content), PAGE_MARGIN + indent, doc.y, {
+          width: doc.page.width - PAGE_MARGIN * 2 - indent,
+          lineGap: 2,
+        });
+      doc.moveDown(0.8);
+    });
+  }
+
+  doc.end();
+});
+
+/**
+ * Check whether every word of a letter can be drawn with the built-in fonts (emoji and symbols are simply left out).
+ * Takes the same options as renderLetterPdf.
+ */
+const canRenderLetterPdf = ({ letter, senderName, receiverName, thread = [], contributions = [] }) => {
+  const texts = [
+    letter.introductory, letter.mainBody, letter.closing, senderName, receiverName,
+    ...contributions.flatMap((contribution) => [contribution.content, contribution.name]),
+    ...thread.flatMap((message) => [message.content, message.authorName]),
+  ];
+  return !texts.some((text) => UNRENDERABLE_TEXT.test(String(text || '')));
+};
+
+// File name for a letter's PDF download (letter-<introductory>.pdf)
+const getLetterPdfFileName = (letter) => {
+  const slug = String(letter.introductory || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+  return `letter${slug ? `-${slug}` : ''}.pdf`;
+};
+
+module.exports = {
+  STATIONERY_STYLES,
+  renderLetterPdf,
+  canRenderLetterPdf,
+  getLetterPdfFileName,
+};
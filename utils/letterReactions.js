@@ -0,0 +1,151 @@
+// letterReactions.js - Emoji reactions from receivers, on the whole letter or on one of its sections
+//
+// Current reactions live in letters/{id}/reactions/{readerKey}/{target}/{emojiKey} and every change
+// is appended to letters/{id}/reactionHistory. readerKey is the recipient id ("receiver" for
+// single-receiver letters, see letterThread.js). Letters from before reactions keep their single
+// `reaction` field, which is read as a whole-letter reaction.
+const { READING_SECTIONS } = require('./readingEvents');
+const { getReaderKey } = require('./letterThread');
+
+const REACTION_TARGETS = ['letter', ...READING_SECTIONS];
+const MAX_REACTIONS_PER_TARGET = 5;
+
+// One emoji: a pictograph with its modifiers (or a ZWJ sequence of them), a flag or a keycap
+const EMOJI_PATTERN = /^(?:\p{Regional_Indicator}{2}|[#*0-9]\ufe0f?\u20e3|\p{Extended_Pictographic}[\ufe0f\p{Emoji_Modifier}]*(?:\u200d\p{Extended_Pictographic}[\ufe0f\p{Emoji_Modifier}]*)*)$/u;
+
+const isValidEmoji = (emoji) => typeof emoji === 'string' && emoji.length <= 32 && EMOJI_PATTERN.test(emoji);
+
+// Database key for an emoji (its code points), since keys can't be arbitrary strings
+const getEmojiKey = (emoji) => [...emoji].map((char) => char.codePointAt(0).toString(16)).join('-');
+
+/**
+ * Validate a reaction change. Returns { target, emoji: [...] } (deduplicated) or { error }.
+ */
+const normalizeReactionInput = ({ target = 'letter', emoji } = {}) => {
+  if (!REACTION_TARGETS.includes(target)) {
+    return { error: `target must be one of: ${REACTION_TARGETS.join(', ')}` };
+  }
+  const list = Array.isArray(emoji) ? emoji : [emoji];
+  if (emoji === undefined || emoji === null) {
+    return { error: 'emoji is required (an empty list removes your reactions)' };
+  }
+  if (!list.every(isValidEmoji)) {
+    return { error: 'Each reaction must be a single emoji' };
+  }
+  const unique = [...new Set(list)];
+  if (unique.length > MAX_REACTIONS_PER_TARGET) {
+    return { error: `You can react with up to ${MAX_REACTIONS_PER_TARGET} emoji at a time` };
+  }
+  return { target, emoji: unique };
+};
+
+/**
+ * Every reader's reactions: { readerKey: { target: [{ emoji, reactedAt }] } }.
+ * Legacy single reactions are included for readers who haven't reacted since.
+ */
+const getLetterReactions = (letter = {}) => {
+  const reactions = {};
+  Object.entries(letter.reactions || {}).forEach(([readerKey, targets]) => {
+    reactions[readerKey] = {};
+    Object.entries(targets || {}).forEach(([target, emojis]) => {
+      const list = Object.values(emojis || {})
+        .filter((entry) => entry && typeof entry === 'object')
+        .sort((a, b) => new Date(a.reactedAt) - new Date(b.reactedAt));
+      if (list.length > 0) reactions[readerKey][target] = list;
+    });
+  });
+
+  const addLegacy = (readerKey, reaction, reactedAt) => {
+    if (reaction && !reactions[readerKey]) {
+      reactions[readerKey] = { letter: [{ emoji: reaction, reactedAt: reactedAt || null }] };
+    }
+  };
+  if (letter.recipients) {
+    Object.entries(letter.recipients).forEach(([recipientId, recipient]) => {
+      addLegacy(recipientId, recipient.reaction, recipient.reactionSubmittedAt);
+    });
+  } else {
+    addLegacy(getReaderKey('receiver'), letter.reaction, letter.reactionSubmittedAt);
+  }
+  return reactions;
+};
+
+/**
+ * Count reactions per target: { total, targets: { letter: [{ emoji, count }], introductory: [...] } }
+ */
+const buildReactionSummary = (letter) => {
+  const counts = {};
+  let total = 0;
+  Object.values(getLetterReactions(letter)).forEach((targets) => {
+    Object.entries(targets).forEach(([target, emojis]) => {
+      counts[target] = counts[target] || {};
+      emojis.forEach(({ emoji }) => {
+        counts[target][emoji] = (counts[target][emoji] || 0) + 1;
+        total++;
+      });
+    });
+  });
+
+  const targets = {};
+  REACTION_TARGETS.filter((target) => counts[target]).forEach((target) => {
+    targets[target] = Object.entries(counts[target])
+      .map(([emoji, count]) => ({ emoji, count }))
+      .sort((a, b) => b.count - a.count);
+  });
+  return { total, targets };
+};
+
+/**
+ * Updates (relative to the letter ref) that set a reader's reactions on a target to `emoji`,
+ * with a history entry per added or removed emoji. `newHistoryKey` creates push keys.
+ * Returns { updates, added, removed }.
+ */
+const buildReactionUpdates = (letter, { recipientId = null, target, emoji }, newHistoryKey) => {
+  const readerKey = getReaderKey('receiver', recipientId);
+  const current = (getLetterReactions(letter)[readerKey] || {})[target] || [];
+  const currentEmoji = current.map((entry) => entry.emoji);
+  const added = emoji.filter((item) => !currentEmoji.includes(item));
+  const removed = currentEmoji.filter((item) => !emoji.includes(item));
+
+  const now = new Date().toISOString();
+  const updates = {};
+  const reactions = {};
+  emoji.forEach((item) => {
+    const existing = current.find((entry) => entry.emoji === item);
+    reactions[getEmojiKey(item)] = { emoji: item, reactedAt: existing && existing.reactedAt ? existing.reactedAt : now };
+  });
+  updates[`reactions/${readerKey}/${target}`] = emoji.length > 0 ? reactions : null;
+
+  // A legacy reaction only counts while the reader has no reactions node - carry it over
+  const legacyLetterReactions = (getLetterReactions(letter)[readerKey] || {}).letter;
+  if (target !== 'letter' && legacyLetterReactions && !(letter.reactions && letter.reactions[readerKey])) {
+    legacyLetterReactions.forEach((entry) => {
+      updates[`reactions/${readerKey}/letter/${getEmojiKey(entry.emoji)}`] = entry;
+    });
+  }
+
+  [...added.map((item) => ['added', item]), ...removed.map((item) => ['removed', item])].forEach(([action, item]) => {
+    updates[`reactionHistory/${newHistoryKey()}`] = { readerKey, recipientId, target, emoji: item, action, changedAt: now };
+  });
+
+  // Keep the legacy field on the latest whole-letter reaction for clients that still read it
+  if (target === 'letter') {
+    const legacyReaction = emoji.length > 0 ? emoji[emoji.length - 1] : null;
+    const prefix = recipientId ? `recipients/${recipientId}/` : '';
+    updates[`${prefix}reaction`] = legacyReaction;
+    updates[`${prefix}reactionSubmittedAt`] = legacyReaction ? now : null;
+  }
+
+  return { updates, added, removed };
+};
+
+module.exports = {
+  REACTION_TARGETS,
+  MAX_REACTIONS_PER_TARGET,
+  isValidEmoji,
+  getEmojiKey,
+  normalizeReactionInput,
+  getLetterReactions,
+  buildReactionSummary,
+  buildReactionUpdates,
+};
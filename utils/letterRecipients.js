@@ -0,0 +1,37 @@
+// letterRecipients.js - Validation of a letter's recipient list ({ name, email })
+const { sanitizeString, isValidEmail } = require('../middleware/validation');
+
+// Maximum number of recipients a single letter can be sent to
+const MAX_RECIPIENTS = 50;
+
+// Helper function to validate and clean a list of recipients ({ name, email })
+// Returns { recipients } or { error } with a message suitable for a 400 response
+const normalizeRecipients = (recipients) => {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return { error: "At least one recipient is required" };
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    return { error: `A letter can have at most ${MAX_RECIPIENTS} recipients` };
+  }
+
+  const normalized = [];
+  for (const recipient of recipients) {
+    const name = sanitizeString(String(recipient?.name || ''), 200);
+    const email = sanitizeString(String(recipient?.email || ''), 320).toLowerCase();
+
+    if (!name && !email) {
+      return { error: "Each recipient needs a name or an email" };
+    }
+    if (email && !isValidEmail(email)) {
+      return { error: `Invalid recipient email: ${email}` };
+    }
+    normalized.push({ name, email });
+  }
+
+  return { recipients: normalized };
+};
+
+module.exports = {
+  MAX_RECIPIENTS,
+  normalizeRecipients,
+};
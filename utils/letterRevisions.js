@@ -0,0 +1,91 @@
+// letterRevisions.js - Helpers for keeping an immutable revision history of letter content
+//
+// Revisions live in letterRevisions/{userId}/{letterId}, outside the letter, so reading a letter never
+// downloads its whole edit history. Letters edited before that keep theirs in letters/{id}/revisions.
+
+// Letter fields captured in every revision (everything else on the letter is left untouched)
+const REVISION_FIELDS = ['content', 'introductory', 'mainBody', 'closing'];
+
+/**
+ * Pick the revisioned fields from a letter (missing fields become null)
+ */
+const pickRevisionFields = (letter = {}) => {
+  const fields = {};
+  REVISION_FIELDS.forEach((field) => {
+    fields[field] = letter[field] !== undefined ? letter[field] : null;
+  });
+  return fields;
+};
+
+/**
+ * Check whether applying `updates` would change any revisioned field of `letter`
+ */
+const hasRevisionChanges = (letter = {}, updates = {}) => {
+  return REVISION_FIELDS.some((field) => (
+    updates[field] !== undefined && (updates[field] ?? null) !== (letter[field] ?? null)
+  ));
+};
+
+const getRevisionsRef = (db, userId, letterId) => db.ref(`letterRevisions/${userId}/${letterId}`);
+
+/**
+ * Save the current content of a letter as a new immutable revision.
+ * Revisions are only ever pushed, never updated, so the history cannot be rewritten.
+ * Returns the new revision (with id) so callers can reference it.
+ */
+const saveLetterRevision = async (db, userId, letterId, letter, reason = 'update') => {
+  const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+
+  // Reserve the next revision number atomically so concurrent edits don't collide
+  const counterResult = await letterRef.child('revisionCount').transaction((current) => (current || 0) + 1);
+  const revisionNumber = counterResult.snapshot.val();
+
+  const revision = {
+    ...pickRevisionFields(letter),
+    revisionNumber,
+    reason,
+    createdAt: new Date().toISOString(),
+  };
+
+  const revisionRef = getRevisionsRef(db, userId, letterId).push();
+  await revisionRef.set(revision);
+
+  return { id: revisionRef.key, ...revision };
+};
+
+/**
+ * All revisions of a letter as { revisionId: revision } (including the ones older letters keep on the letter)
+ */
+const getLetterRevisions = async (db, userId, letterId, letter = {}) => {
+  const snapshot = await getRevisionsRef(db, userId, letterId).once('value');
+  return { ...(letter.revisions || {}), ...(snapshot.val() || {}) };
+};
+
+// Remove a letter's revision history (when the letter is deleted or its content purged)
+const deleteLetterRevisions = (db, userId, letterId) => getRevisionsRef(db, userId, letterId).remove();
+
+/**
+ * Build a field-level diff between two revisions (or a revision and the current letter)
+ */
+const diffRevisionFields = (from = {}, to = {}) => {
+  return REVISION_FIELDS.map((field) => {
+    const before = from[field] ?? null;
+    const after = to[field] ?? null;
+    return {
+      field,
+      changed: before !== after,
+      from: before,
+      to: after,
+    };
+  });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  pickRevisionFields,
+  hasRevisionChanges,
+  saveLetterRevision,
+  getLetterRevisions,
+  deleteLetterRevisions,
+  diffRevisionFields,
+};
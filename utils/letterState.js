@@ -0,0 +1,117 @@
+// letterState.js - Letter lifecycle: draft → scheduled → delivered → read → responded
+
+const LETTER_STATES = ['draft', 'scheduled', 'delivered', 'read', 'responded'];
+
+// Allowed transitions per state. Receiver-driven states (read, responded) may be reached
+// from any shared state, since a receiver can open a link before the email goes out.
+const LETTER_STATE_TRANSITIONS = {
+  draft: ['scheduled', 'delivered'],
+  scheduled: ['delivered', 'read', 'responded'],
+  delivered: ['read', 'responded'],
+  read: ['responded'],
+  responded: [],
+};
+
+// States a sender may move a letter into explicitly (the rest are set by receiver actions)
+const SENDER_SETTABLE_STATES = ['scheduled', 'delivered'];
+
+const isValidLetterState = (state) => LETTER_STATES.includes(state);
+
+/**
+ * Get the lifecycle state of a letter.
+ * Letters created before the lifecycle existed have no `state`, so derive it from the legacy fields.
+ */
+const getLetterState = (letter = {}) => {
+  if (isValidLetterState(letter.state)) return letter.state;
+  if (letter.responses && Object.keys(letter.responses).length > 0) return 'responded';
+  if (letter.status === 'read' || letter.readAt) return 'read';
+  if (letter.emailScheduled && !letter.emailSent) return 'scheduled';
+  return 'delivered';
+};
+
+const canTransitionLetterState = (fromState, toState) => {
+  return (LETTER_STATE_TRANSITIONS[fromState] || []).includes(toState);
+};
+
+/**
+ * Build the database updates for moving a letter to a new state.
+ * Returns null when the transition is not allowed, so callers can decide whether that is an error.
+ * The updates record the new state, a timestamp per state and an entry in the state history.
+ */
+const buildStateTransition = (letterRef, letter, toState) => {
+  const fromState = getLetterState(letter);
+  // A delivered letter can still be scheduled as long as its email hasn't gone out
+  const isUnsentSchedule = fromState === 'delivered' && toState === 'scheduled' && !letter.emailSent;
+  if (!isUnsentSchedule && !canTransitionLetterState(fromState, toState)) {
+    return null;
+  }
+
+  const changedAt = new Date().toISOString();
+  const historyKey = letterRef.child('stateHistory').push().key;
+
+  const updates = {
+    state: toState,
+    stateUpdatedAt: changedAt,
+    stateTimestamps: { ...(letter.stateTimestamps || {}), [toState]: changedAt },
+    stateHistory: {
+      ...(letter.stateHistory || {}),
+      [historyKey]: { from: fromState, to: toState, changedAt },
+    },
+  };
+
+  // Keep the legacy read fields in sync for older clients
+  if (toState === 'read' || (toState === 'responded' && letter.status !== 'read')) {
+    updates.status = 'read';
+    updates.readAt = letter.readAt || changedAt;
+  }
+
+  return updates;
+};
+
+/**
+ * Mark a scheduled letter as delivered once its scheduled email has been sent.
+ * Safe to call for letters in any state - only scheduled letters are moved.
+ */
+const markScheduledLetterDelivered = async (db, userId, letterId) => {
+  if (!db || !userId || !letterId) return false;
+
+  const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+  const snapshot = await letterRef.once('value');
+  const letter = snapshot.val();
+
+  if (!letter || getLetterState(letter) !== 'scheduled') return false;
+
+  const updates = buildStateTransition(letterRef, letter, 'delivered');
+  await letterRef.update({ ...updates, emailSent: true, emailSentAt: updates.stateUpdatedAt });
+  return true;
+};
+
+/**
+ * Mark a shared letter as scheduled once an email for it has been queued.
+ * Drafts (no link yet) and letters that can't be scheduled any more (already sent, read...) are left alone.
+ */
+const markLetterScheduled = async (db, userId, letterId, scheduledDateTime) => {
+  if (!db || !userId || !letterId) return false;
+
+  const letterRef = db.ref(`users/${userId}/letters/${letterId}`);
+  const snapshot = await letterRef.once('value');
+  const letter = snapshot.val();
+  if (!letter || getLetterState(letter) === 'draft') return false;
+
+  const updates = getLetterState(letter) === 'scheduled' ? {} : buildStateTransition(letterRef, letter, 'scheduled');
+  if (!updates) return false;
+
+  await letterRef.update({ ...updates, emailScheduled: true, scheduledDateTime });
+  return true;
+};
+
+module.exports = {
+  LETTER_STATES,
+  SENDER_SETTABLE_STATES,
+  isValidLetterState,
+  getLetterState,
+  canTransitionLetterState,
+  buildStateTransition,
+  markScheduledLetterDelivered,
+  markLetterScheduled,
+};
@@ -0,0 +1,139 @@
+// letterTemplates.js - Reusable letter templates with {{placeholder}} rendering
+const { normalizeLockoutPolicy } = require('./securityLockout');
+
+// Text fields that may contain placeholders
+const TEMPLATE_TEXT_FIELDS = ['introductory', 'mainBody', 'closing', 'previewLine'];
+// Style and music defaults copied onto letters created from a template
+const TEMPLATE_DEFAULT_FIELDS = ['introductoryStyle', 'mainBodyStyle', 'closingStyle', 'selectedMusic', 'letterMusic', 'dashboardMusic'];
+// Security config keys that hold answers - a template only keeps the questions, hints and settings
+const ANSWER_KEY_PATTERN = /hash|salt|^correct|^accepted/i;
+
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_PLACEHOLDER_VALUE_LENGTH = 200;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+/**
+ * Replace {{name}} placeholders with values. Unknown placeholders are left as they are,
+ * so the sender can still spot and fill them in.
+ */
+const renderPlaceholders = (text, values) => {
+  if (typeof text !== 'string') return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => (
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  ));
+};
+
+// List the placeholder names used in a template's text fields
+const getTemplatePlaceholders = (template) => {
+  const names = new Set();
+  TEMPLATE_TEXT_FIELDS.forEach((field) => {
+    if (typeof template[field] !== 'string') return;
+    for (const match of template[field].matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  });
+  return [...names];
+};
+
+// Remove answers from a security config (including inside multi-question challenges)
+const stripAnswers = (config) => {
+  const stripped = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (!ANSWER_KEY_PATTERN.test(key)) stripped[key] = value;
+  });
+  if (stripped.questions) {
+    const questions = Array.isArray(stripped.questions) ? stripped.questions : Object.values(stripped.questions);
+    stripped.questions = questions.map((question) => (question && typeof question === 'object' ? stripAnswers(question) : question));
+  }
+  return stripped;
+};
+
+/**
+ * Validate a template from a request body. Returns { template } with only the known fields, or { error }.
+ * With `partial` (updates) missing fields are simply left out.
+ */
+const normalizeTemplate = (body, { partial = false } = {}) => {
+  const template = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Template name is required' };
+    template.name = name.substring(0, MAX_TEMPLATE_NAME_LENGTH);
+  }
+
+  TEMPLATE_TEXT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      template[field] = body[field] === null ? null : String(body[field]);
+    }
+  });
+  if (!partial && !template.introductory && !template.mainBody && !template.closing) {
+    return { error: 'A template needs at least one of introductory, mainBody or closing' };
+  }
+
+  for (const field of TEMPLATE_DEFAULT_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field.endsWith('Style') && body[field] !== null) {
+      const style = Number(body[field]);
+      if (!Number.isInteger(style)) return { error: `${field} must be a number` };
+      template[field] = style;
+    } else {
+      template[field] = body[field];
+    }
+  }
+
+  if (body.securityType !== undefined) {
+    template.securityType = body.securityType ? String(body.securityType).trim() : null;
+  }
+  if (body.securityConfig !== undefined) {
+    if (body.securityConfig !== null && (typeof body.securityConfig !== 'object' || Array.isArray(body.securityConfig))) {
+      return { error: 'securityConfig must be an object' };
+    }
+    // Answers are given (and hashed) per letter, never stored in a template
+    template.securityConfig = body.securityConfig ? stripAnswers(body.securityConfig) : null;
+  }
+  if (body.lockoutPolicy !== undefined) {
+    if (body.lockoutPolicy === null) {
+      template.lockoutPolicy = null;
+    } else {
+      const { policy, error } = normalizeLockoutPolicy(body.lockoutPolicy);
+      if (error) return { error };
+      template.lockoutPolicy = policy;
+    }
+  }
+
+  return { template };
+};
+
+/**
+ * Build the body of a new letter from a template and the values of the from-template request.
+ * Request fields override the template's defaults; the security answers come from the request.
+ */
+const renderTemplateToLetter = (template, body, values) => {
+  const letter = {};
+
+  TEMPLATE_DEFAULT_FIELDS.forEach((field) => {
+    if (template[field] !== undefined && template[field] !== null) letter[field] = template[field];
+  });
+  TEMPLATE_TEXT_FIELDS.forEach((field) => {
+    if (template[field]) letter[field] = renderPlaceholders(template[field], values);
+  });
+
+  if (template.securityType) {
+    letter.securityType = template.securityType;
+    letter.securityConfig = { ...(template.securityConfig || {}), ...(body.securityConfig || {}) };
+  }
+  if (template.lockoutPolicy) {
+    letter.lockoutPolicy = template.lockoutPolicy;
+  }
+
+  return { ...letter, ...body, ...(letter.securityConfig ? { securityConfig: letter.securityConfig } : {}) };
+};
+
+module.exports = {
+  MAX_PLACEHOLDER_VALUE_LENGTH,
+  renderPlaceholders,
+  getTemplatePlaceholders,
+  normalizeTemplate,
+  renderTemplateToLetter,
+};
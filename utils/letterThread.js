@@ -0,0 +1,115 @@
+// letterThread.js - Conversation thread between the sender and the receivers of a letter
+//
+// Receiver responses written before threads existed stay in letters/{id}/responses and are read
+// as top-level receiver messages; every newer message (either side) lives in letters/{id}/thread.
+
+const MAX_THREAD_MESSAGE_LENGTH = 10000;
+
+// readBy key for a reader: "sender", the recipient id, or "receiver" for single-receiver letters
+const getReaderKey = (author, recipientId = null) => (author === 'sender' ? 'sender' : (recipientId || 'receiver'));
+
+/**
+ * Merge legacy responses and thread messages into one list ordered by creation time
+ */
+const getThreadMessages = (letter = {}) => {
+  const responses = Object.entries(letter.responses || {}).map(([id, response]) => ({
+    id,
+    author: 'receiver',
+    authorName: response.receiverName || null,
+    recipientId: response.recipientId || null,
+    content: response.content,
+    replyTo: null,
+    readBy: response.readBy || {},
+    createdAt: response.createdAt,
+    updatedAt: response.updatedAt || response.createdAt,
+    source: 'responses',
+  }));
+
+  const threadMessages = Object.entries(letter.thread || {}).map(([id, message]) => ({
+    id,
+    ...message,
+    recipientId: message.recipientId || null,
+    replyTo: message.replyTo || null,
+    readBy: message.readBy || {},
+    source: 'thread',
+  }));
+
+  return [...responses, ...threadMessages].sort((a, b) => (
+    new Date(a.createdAt) - new Date(b.createdAt) || a.id.localeCompare(b.id)
+  ));
+};
+
+// With several recipients each one only sees their own conversation (plus messages to everyone)
+const isVisibleTo = (message, recipientId) => !recipientId || !message.recipientId || message.recipientId === recipientId;
+
+/**
+ * Build the thread as seen by one side: ordered messages with reply depth and reply counts.
+ * `recipientId` limits the thread to one recipient's conversation (receivers of multi-recipient letters).
+ */
+const buildThread = (letter, { author, recipientId = null } = {}) => {
+  const messages = getThreadMessages(letter).filter((message) => isVisibleTo(message, recipientId));
+  const byId = new Map(messages.map((message) => [message.id, message]));
+  const readerKey = getReaderKey(author, recipientId);
+
+  const depthOf = (message, seen = new Set()) => {
+    if (!message.replyTo || !byId.has(message.replyTo) || seen.has(message.id)) return 0;
+    seen.add(message.id);
+    return depthOf(byId.get(message.replyTo), seen) + 1;
+  };
+
+  // isRead is from the viewer's side (their own messages count as read); readBy has the other side's receipts
+  return messages.map((message) => ({
+    ...message,
+    depth: depthOf(message),
+    replyCount: messages.filter((other) => other.replyTo === message.id).length,
+    isOwn: message.author === author,
+    isRead: message.author === author || !!message.readBy[readerKey],
+  }));
+};
+
+/**
+ * Validate a new message from a request body. Returns { content, replyTo } or { error }.
+ */
+const normalizeThreadMessage = ({ content, replyTo }, visibleMessages) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'Message content is required' };
+  }
+  if (content.trim().length > MAX_THREAD_MESSAGE_LENGTH) {
+    return { error: `Messages can be at most ${MAX_THREAD_MESSAGE_LENGTH} characters` };
+  }
+
+  let parent = null;
+  if (replyTo !== undefined && replyTo !== null && replyTo !== '') {
+    parent = visibleMessages.find((message) => message.id === replyTo);
+    if (!parent) return { error: 'The message you are replying to was not found' };
+  }
+
+  return { content: content.trim(), replyTo: parent ? parent.id : null, parent };
+};
+
+/**
+ * Multi-path updates marking messages as read by one side (only messages written by the other side)
+ */
+const buildReadReceiptUpdates = (messages, author, recipientId, messageIds = null) => {
+  const readerKey = getReaderKey(author, recipientId);
+  const readAt = new Date().toISOString();
+  const updates = {};
+
+  messages
+    .filter((message) => message.author !== author)
+    .filter((message) => !messageIds || messageIds.includes(message.id))
+    .filter((message) => !message.readBy[readerKey])
+    .forEach((message) => {
+      updates[`${message.source}/${message.id}/readBy/${readerKey}`] = readAt;
+    });
+
+  return updates;
+};
+
+module.exports = {
+  getReaderKey,
+  getThreadMessages,
+  buildThread,
+  normalizeThreadMessage,
+  buildReadReceiptUpdates,
+};
@@ -0,0 +1,50 @@
+// letterTokens.js - Minting the secure tokens (letterTokens/{token}) that open a letter
+const crypto = require('crypto');
+
+// Tokens stay valid for a year
+const TOKEN_LIFETIME_MS = 365 * 24 * 60 * 60 * 1000;
+
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Mint a token for a letter and store its mapping in letterTokens.
+ * recipientId ties the token to one recipient of a multi-recipient letter.
+ */
+const createLetterToken = async (db, userId, letterId, recipientId = null) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + TOKEN_LIFETIME_MS).toISOString();
+
+  await db.ref(`letterTokens/${token}`).set({
+    userId: userId,
+    letterId: letterId,
+    recipientId: recipientId,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt,
+    isActive: true
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Mint a token for every recipient that doesn't have one yet.
+ * Returns the updated recipients map (the caller persists it).
+ */
+const mintRecipientTokens = async (db, userId, letterId, recipients = {}) => {
+  const updatedRecipients = { ...recipients };
+  for (const [recipientId, recipient] of Object.entries(recipients)) {
+    if (recipient.accessToken) continue;
+    const { token } = await createLetterToken(db, userId, letterId, recipientId);
+    updatedRecipients[recipientId] = {
+      ...recipient,
+      accessToken: token,
+      shareableLink: `/letter/${token}` // Relative path, frontend will add origin
+    };
+  }
+  return updatedRecipients;
+};
+
+module.exports = {
+  createLetterToken,
+  mintRecipientTokens,
+};
@@ -0,0 +1,134 @@
+// letterTrash.js - Soft delete for letters: users/{userId}/trash, restore and the scheduled purge
+//
+// A trashed letter is moved out of users/{userId}/letters (so every letter route treats it as gone)
+// and its tokens are deactivated. letterTrashQueue/{userId}:{letterId} lists trashed letters by
+// deletedAt so the purge job can find expired ones without reading every user.
+const { CANCELLED_BY_TRASH, getLetterTokens, cancelScheduledEmails, resumeScheduledEmails, deleteLetterData } = require('./letterDeletion');
+
+// Days a letter stays in the trash before it is purged (TRASH_RETENTION_DAYS overrides it)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const getTrashRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+const getPurgeAfter = (deletedAt) => new Date(
+  new Date(deletedAt).getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000
+).toISOString();
+
+const getQueueKey = (userId, letterId) => `${userId}:${letterId}`;
+
+/**
+ * Move a letter to the trash, deactivate its tokens and cancel its pending scheduled emails.
+ * Tokens that were already inactive are left alone, so a restore doesn't revive revoked links.
+ */
+const moveLetterToTrash = async (db, userId, letterId, letter) => {
+  const deletedAt = new Date().toISOString();
+  const updates = {
+    [`users/${userId}/trash/${letterId}`]: { ...letter, deletedAt },
+    [`users/${userId}/letters/${letterId}`]: null,
+    [`letterTrashQueue/${getQueueKey(userId, letterId)}`]: { userId, letterId, deletedAt },
+  };
+
+  for (const token of getLetterTokens(letter)) {
+    const tokenSnapshot = await db.ref(`letterTokens/${token}`).once('value');
+    const tokenData = tokenSnapshot.val();
+    if (tokenData && tokenData.isActive !== false) {
+      updates[`letterTokens/${token}/isActive`] = false;
+      updates[`letterTokens/${token}/deactivatedByTrash`] = true;
+    }
+  }
+
+  await db.ref().update(updates);
+  const cancelledEmails = await cancelScheduledEmails(db, userId, letterId, letter, CANCELLED_BY_TRASH);
+  return { deletedAt, purgeAfter: getPurgeAfter(deletedAt), cancelledEmails };
+};
+
+/**
+ * Move a trashed letter back to the user's letters and reactivate the tokens the trash deactivated.
+ * Returns the restored letter, or null if it isn't in the trash.
+ */
+const restoreLetterFromTrash = async (db, userId, letterId) => {
+  const trashSnapshot = await db.ref(`users/${userId}/trash/${letterId}`).once('value');
+  const trashed = trashSnapshot.val();
+  if (!trashed) return null;
+
+  const { deletedAt, ...letter } = trashed;
+  letter.restoredAt = new Date().toISOString();
+
+  const updates = {
+    [`users/${userId}/letters/${letterId}`]: letter,
+    [`users/${userId}/trash/${letterId}`]: null,
+    [`letterTrashQueue/${getQueueKey(userId, letterId)}`]: null,
+  };
+
+  for (const token of getLetterTokens(letter)) {
+    const tokenSnapshot = await db.ref(`letterTokens/${token}`).once('value');
+    const tokenData = tokenSnapshot.val();
+    if (tokenData && tokenData.deactivatedByTrash) {
+      updates[`letterTokens/${token}/isActive`] = true;
+      updates[`letterTokens/${token}/deactivatedByTrash`] = null;
+    }
+  }
+
+  await db.ref().update(updates);
+  await resumeScheduledEmails(db, userId, letterId, letter);
+  return letter;
+};
+
+/**
+ * Permanently delete a trashed letter and everything it left behind (see letterDeletion.js).
+ * Returns the cleanup report, or null if the letter isn't in the trash.
+ */
+const purgeTrashedLetter = async (db, storage, userId, letterId) => {
+  const trashSnapshot = await db.ref(`users/${userId}/trash/${letterId}`).once('value');
+  const letter = trashSnapshot.val();
+  const report = letter ? await deleteLetterData(db, storage, userId, letterId, letter) : null;
+
+  await db.ref().update({
+    [`users/${userId}/trash/${letterId}`]: null,
+    [`letterTrashQueue/${getQueueKey(userId, letterId)}`]: null,
+  });
+  if (report) {
+    console.log(`🗑️ Letter ${letterId} purged:`, report);
+  }
+  return report;
+};
+
+/**
+ * Purge every letter that has been in the trash longer than the retention period.
+ * Returns { purged, failed }.
+ */
+const purgeExpiredTrash = async (db, storage, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+  const snapshot = await db.ref('letterTrashQueue').orderByChild('deletedAt').endAt(cutoff).once('value');
+
+  const expired = [];
+  snapshot.forEach((child) => {
+    expired.push(child.val());
+  });
+
+  let purged = 0;
+  let failed = 0;
+  for (const { userId, letterId } of expired) {
+    try {
+      await purgeTrashedLetter(db, storage, userId, letterId);
+      purged++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Error purging trashed letter ${letterId} of user ${userId}:`, error);
+    }
+  }
+
+  return { purged, failed };
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeAfter,
+  moveLetterToTrash,
+  restoreLetterFromTrash,
+  purgeTrashedLetter,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,144 @@
+// readingEvents.js - Reading engagement events sent by the letter page (section views, dwell time, music)
+//
+// Events are stored on the token they were sent with (letterTokens/{token}/readingEvents), next to
+// its accessLog, so they follow the token's lifecycle and show up in the letter analytics.
+
+const READING_SECTIONS = ['introductory', 'mainBody', 'closing'];
+const READING_EVENT_TYPES = ['section_viewed', 'section_dwell', 'music_played'];
+
+const MAX_EVENTS_PER_REQUEST = 20;
+const MAX_EVENTS_PER_TOKEN = 2000;
+const MAX_DWELL_MS = 60 * 60 * 1000; // One hour - longer is a tab left open, not reading
+// Events are batched by the page, so occurredAt may lag a little; older or future times are rejected
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Validate one event. Returns { event } ready to store, or { error }.
+ * section_viewed: section, optional progress (0-1, how far the reader scrolled into the section, default 1)
+ * section_dwell: section, durationMs
+ * music_played: optional durationMs
+ */
+const normalizeReadingEvent = (input, now = new Date()) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Each event must be an object' };
+  }
+
+  const { type, section, progress, durationMs, occurredAt } = input;
+  if (!READING_EVENT_TYPES.includes(type)) {
+    return { error: `type must be one of: ${READING_EVENT_TYPES.join(', ')}` };
+  }
+
+  const event = { type };
+
+  if (type !== 'music_played') {
+    if (!READING_SECTIONS.includes(section)) {
+      return { error: `section must be one of: ${READING_SECTIONS.join(', ')}` };
+    }
+    event.section = section;
+  }
+
+  if (type === 'section_viewed') {
+    if (progress !== undefined && (typeof progress !== 'number' || !(progress >= 0 && progress <= 1))) {
+      return { error: 'progress must be a number between 0 and 1' };
+    }
+    event.progress = progress === undefined ? 1 : progress;
+  }
+
+  if (type === 'section_dwell' || durationMs !== undefined) {
+    if (!Number.isInteger(durationMs) || durationMs < 0 || durationMs > MAX_DWELL_MS) {
+      return { error: `durationMs must be a whole number of milliseconds up to ${MAX_DWELL_MS}` };
+    }
+    event.durationMs = durationMs;
+  }
+
+  if (occurredAt !== undefined) {
+    const occurredTime = typeof occurredAt === 'string' ? new Date(occurredAt).getTime() : NaN;
+    if (Number.isNaN(occurredTime)) {
+      return { error: 'occurredAt must be an ISO date' };
+    }
+    if (occurredTime > now.getTime() + MAX_CLOCK_SKEW_MS || occurredTime < now.getTime() - MAX_EVENT_AGE_MS) {
+      return { error: 'occurredAt must be within the last 24 hours' };
+    }
+    event.occurredAt = new Date(occurredTime).toISOString();
+  } else {
+    event.occurredAt = now.toISOString();
+  }
+
+  event.receivedAt = now.toISOString();
+  return { event };
+};
+
+/**
+ * Validate a request body ({ events: [...] } or a single event). Returns { events } or { error }.
+ */
+const normalizeReadingEvents = (body = {}, now = new Date()) => {
+  const inputs = Array.isArray(body.events) ? body.events : [body];
+  if (inputs.length === 0 || inputs.length > MAX_EVENTS_PER_REQUEST) {
+    return { error: `Send between 1 and ${MAX_EVENTS_PER_REQUEST} events at a time` };
+  }
+
+  const events = [];
+  for (let index = 0; index < inputs.length; index++) {
+    const { event, error } = normalizeReadingEvent(inputs[index], now);
+    if (error) {
+      return { error: `Event ${index}: ${error}` };
+    }
+    events.push(event);
+  }
+  return { events };
+};
+
+/**
+ * Per-section completion for a letter. `readers` is [{ readerKey, events }] - one entry per token,
+ * renewed tokens of the same recipient share a readerKey. A reader completed a section when a
+ * section_viewed event reached progress 1.
+ */
+const summarizeReading = (readers) => {
+  const byReader = new Map();
+  readers.forEach(({ readerKey, events }) => {
+    byReader.set(readerKey, [...(byReader.get(readerKey) || []), ...events]);
+  });
+  const readerEvents = [...byReader.values()].filter((events) => events.length > 0);
+
+  const sections = {};
+  READING_SECTIONS.forEach((section) => {
+    let viewedBy = 0;
+    let completedBy = 0;
+    let dwellMs = 0;
+    readerEvents.forEach((events) => {
+      const views = events.filter((event) => event.type === 'section_viewed' && event.section === section);
+      if (views.length > 0) viewedBy++;
+      if (views.some((event) => event.progress >= 1)) completedBy++;
+      dwellMs += events
+        .filter((event) => event.type === 'section_dwell' && event.section === section)
+        .reduce((total, event) => total + (event.durationMs || 0), 0);
+    });
+
+    sections[section] = {
+      viewedBy,
+      completedBy,
+      completionRate: readerEvents.length ? Math.round((completedBy / readerEvents.length) * 100) / 100 : 0,
+      totalDwellSeconds: Math.round(dwellMs / 1000),
+      averageDwellSeconds: viewedBy ? Math.round(dwellMs / viewedBy / 1000) : 0,
+    };
+  });
+
+  const musicEvents = readerEvents.flat().filter((event) => event.type === 'music_played');
+  return {
+    readers: readerEvents.length,
+    readThrough: readerEvents.filter((events) => READING_SECTIONS.every((section) => (
+      events.some((event) => event.type === 'section_viewed' && event.section === section && event.progress >= 1)
+    ))).length,
+    sections,
+    musicPlays: musicEvents.length,
+    musicListenedSeconds: Math.round(musicEvents.reduce((total, event) => total + (event.durationMs || 0), 0) / 1000),
+  };
+};
+
+module.exports = {
+  READING_SECTIONS,
+  MAX_EVENTS_PER_TOKEN,
+  normalizeReadingEvents,
+  summarizeReading,
+};
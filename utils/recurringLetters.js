@@ -0,0 +1,450 @@
+// recurringLetters.js - Letters sent again every year (anniversaries) or every month
+//
+// A rule lives in users/{userId}/recurringLetters/{ruleId} and points at a letter or a template.
+// A day before each occurrence the job clones the source into a new scheduled letter with its own
+// tokens and queues its emails; the email scheduler then delivers it like any scheduled letter.
+// recurringLetterQueue/{userId}:{ruleId} holds each active rule's next run so the job can find due
+// rules without reading every user.
+const { sanitizeString } = require('../middleware/validation');
+const { normalizeRecipients } = require('./letterRecipients');
+const { MAX_PLACEHOLDER_VALUE_LENGTH, renderTemplateToLetter } = require('./letterTemplates');
+const { mintRecipientTokens } = require('./letterTokens');
+const { scheduleLetterEmail, getLetterLink, getSenderName } = require('./letterEmail');
+
+const RECURRENCE_FREQUENCIES = ['yearly', 'monthly'];
+const RULE_STATUSES = ['active', 'paused'];
+
+// Occurrences are prepared (cloned, tokens minted, emails queued) this long before they are sent
+const OCCURRENCE_LEAD_MS = 24 * 60 * 60 * 1000;
+// An occurrence the job missed (server down) is still sent if it is at most this late
+const MISSED_OCCURRENCE_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_UPCOMING_COUNT = 5;
+const MAX_UPCOMING_COUNT = 24;
+
+// Fields copied from the source letter onto every occurrence
+const CLONED_FIELDS = [
+  'introductory', 'mainBody', 'closing', 'content', 'previewLine',
+  'introductoryStyle', 'mainBodyStyle', 'closingStyle',
+  'selectedMusic', 'letterMusic', 'dashboardMusic',
+  'securityType', 'securityConfig', 'lockoutPolicy',
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_KEY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const getQueueKey = (userId, ruleId) => `${userId}:${ruleId}`;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date and wall-clock time of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+// The instant at which a time zone's clock shows the given date and time
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+  };
+  // Second pass picks up a DST change between the guess and the result
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * The occurrence of a rule in a given month. Days past the end of the month fall on its last day
+ * (the 31st becomes the 30th, February 29th the 28th). Returns { date: 'YYYY-MM-DD', sendAt }.
+ */
+const getOccurrence = (rule, year, month) => {
+  const day = Math.min(rule.day, getDaysInMonth(year, month));
+  const [hour, minute] = rule.time.split(':').map(Number);
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    sendAt: zonedTimeToUtc(year, month, day, hour, minute, rule.timezone || 'UTC').toISOString(),
+  };
+};
+
+/**
+ * Occurrences sent after `from`, in order and up to the rule's end, skipped ones included.
+ */
+const listOccurrences = (rule, from = new Date(), count = DEFAULT_UPCOMING_COUNT) => {
+  const start = getZonedParts(from, rule.timezone || 'UTC');
+  let year = start.year;
+  let month = rule.frequency === 'yearly' ? rule.month : start.month;
+
+  const occurrences = [];
+  // Starting in the current period, so at most one candidate is already past
+  while (occurrences.length < count) {
+    const occurrence = getOccurrence(rule, year, month);
+    if (rule.endsAt && occurrence.sendAt > rule.endsAt) break;
+    if (new Date(occurrence.sendAt) > from) occurrences.push(occurrence);
+
+    if (rule.frequency === 'yearly') {
+      year++;
+    } else if (month === 12) {
+      month = 1;
+      year++;
+    } else {
+      month++;
+    }
+  }
+  return occurrences;
+};
+
+/**
+ * Upcoming occurrences as shown to the sender: { date, sendAt, skipped, letterId }.
+ * letterId is set once the occurrence has been prepared.
+ */
+const getUpcomingOccurrences = (rule, from = new Date(), count = DEFAULT_UPCOMING_COUNT) => (
+  listOccurrences(rule, from, count).map((occurrence) => ({
+    ...occurrence,
+    skipped: Boolean(rule.skippedOccurrences && rule.skippedOccurrences[occurrence.date]),
+    letterId: (rule.occurrences && rule.occurrences[occurrence.date] && rule.occurrences[occurrence.date].letterId) || null,
+  }))
+);
+
+// The next occurrence the job still has to prepare (not skipped, not claimed or prepared yet), or null
+const getNextPendingOccurrence = (rule, now = new Date()) => {
+  if (rule.status !== 'active') return null;
+  const since = new Date(now.getTime() - MISSED_OCCURRENCE_GRACE_MS);
+  return getUpcomingOccurrences(rule, since, MAX_UPCOMING_COUNT * 2)
+    .find((occurrence) => !occurrence.skipped && !(rule.occurrences && rule.occurrences[occurrence.date])) || null;
+};
+
+/**
+ * When the rule runs next: { nextOccurrenceAt } to store on the rule and the queue update
+ * (relative to the database root) that removes the entry of a paused or finished rule.
+ */
+const scheduleNextRun = (userId, ruleId, rule, now = new Date()) => {
+  const next = getNextPendingOccurrence(rule, now);
+  const queueEntry = next
+    ? { userId, ruleId, nextRunAt: new Date(new Date(next.sendAt).getTime() - OCCURRENCE_LEAD_MS).toISOString() }
+    : null;
+  return {
+    nextOccurrenceAt: next ? next.sendAt : null,
+    queueUpdates: { [`recurringLetterQueue/${getQueueKey(userId, ruleId)}`]: queueEntry },
+  };
+};
+
+/**
+ * Validate the schedule and delivery settings of a rule. With `existing` (updates) missing fields
+ * keep their current value. The source (letterId or templateId) is checked by the caller.
+ * Returns { rule } with the normalized settings, or { error }.
+ */
+const normalizeRecurrenceRule = (body = {}, existing = null) => {
+  const input = { ...(existing || {}) };
+  ['frequency', 'month', 'day', 'time', 'timezone', 'endsAt', 'status', 'recipients', 'variables', 'senderName'].forEach((field) => {
+    if (body[field] !== undefined) input[field] = body[field];
+  });
+
+  const rule = {};
+
+  if (!RECURRENCE_FREQUENCIES.includes(input.frequency)) {
+    return { error: `frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+  rule.frequency = input.frequency;
+
+  const day = Number(input.day);
+  if (!Number.isInteger(day) || day < 1 || day > 31) {
+    return { error: 'day must be a day of the month (1-31)' };
+  }
+  rule.day = day;
+
+  if (rule.frequency === 'yearly') {
+    const month = Number(input.month);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      return { error: 'month (1-12) is required for a yearly letter' };
+    }
+    if (day > getDaysInMonth(2024, month)) {
+      return { error: `That month doesn't have a day ${day}` };
+    }
+    rule.month = month;
+  } else {
+    rule.month = null;
+  }
+
+  rule.time = input.time === undefined || input.time === null ? '09:00' : String(input.time);
+  if (!TIME_PATTERN.test(rule.time)) {
+    return { error: 'time must be HH:MM (24-hour)' };
+  }
+
+  rule.timezone = input.timezone ? String(input.timezone) : 'UTC';
+  if (!isValidTimeZone(rule.timezone)) {
+    return { error: `Unknown time zone: ${rule.timezone}` };
+  }
+
+  if (input.endsAt === undefined || input.endsAt === null || input.endsAt === '') {
+    rule.endsAt = null;
+  } else {
+    const endsAt = new Date(input.endsAt);
+    if (Number.isNaN(endsAt.getTime())) {
+      return { error: 'endsAt must be an ISO date' };
+    }
+    rule.endsAt = endsAt.toISOString();
+  }
+
+  rule.status = input.status === undefined ? 'active' : input.status;
+  if (!RULE_STATUSES.includes(rule.status)) {
+    return { error: `status must be one of: ${RULE_STATUSES.join(', ')}` };
+  }
+
+  // Without recipients a letter rule sends to the source letter's recipients
+  if (input.recipients === undefined || input.recipients === null) {
+    rule.recipients = null;
+  } else {
+    const { recipients, error } = normalizeRecipients(input.recipients);
+    if (error) return { error };
+    rule.recipients = recipients;
+  }
+
+  if (input.variables === undefined || input.variables === null) {
+    rule.variables = null;
+  } else {
+    if (typeof input.variables !== 'object' || Array.isArray(input.variables)) {
+      return { error: 'variables must be an object of placeholder values' };
+    }
+    rule.variables = {};
+    Object.entries(input.variables).forEach(([name, value]) => {
+      if (typeof value === 'string' || typeof value === 'number') {
+        rule.variables[name] = sanitizeString(String(value), MAX_PLACEHOLDER_VALUE_LENGTH);
+      }
+    });
+  }
+
+  rule.senderName = input.senderName ? sanitizeString(String(input.senderName), MAX_PLACEHOLDER_VALUE_LENGTH) : null;
+
+  return { rule };
+};
+
+const isValidOccurrenceDate = (date) => typeof date === 'string' && DATE_KEY_PATTERN.test(date);
+
+// Recipients an occurrence goes to: the rule's own list, or the source letter's
+const getRuleRecipients = (rule, sourceLetter) => {
+  if (Array.isArray(rule.recipients) && rule.recipients.length > 0) return rule.recipients;
+  if (!sourceLetter) return [];
+  if (sourceLetter.recipients) {
+    return Object.values(sourceLetter.recipients).map(({ name, email }) => ({ name: name || '', email: email || '' }));
+  }
+  return [{ name: sourceLetter.receiverName || '', email: sourceLetter.receiverEmail || '' }];
+};
+
+const formatOccurrenceDate = (date) => new Date(`${date}T12:00:00Z`)
+  .toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Letter fields of an occurrence: a copy of the source letter, or the template rendered with the
+ * rule's variables and the occurrence date. Returns null when the source no longer exists.
+ */
+const buildOccurrenceFields = async (db, userId, rule, occurrence) => {
+  if (rule.templateId) {
+    const template = (await db.ref(`users/${userId}/letterTemplates/${rule.templateId}`).once('value')).val();
+    if (!template) return null;
+
+    const recipients = getRuleRecipients(rule, null);
+    const values = {
+      ...(rule.variables || {}),
+      receiverName: (recipients[0] && recipients[0].name) || '',
+      senderName: rule.senderName || await getSenderName(db, userId),
+      date: formatOccurrenceDate(occurrence.date),
+    };
+    const fields = renderTemplateToLetter(template, {}, values);
+    // The template only has the questions - the answers were hashed onto the rule when it was created
+    delete fields.securityType;
+    delete fields.securityConfig;
+    if (rule.securityType) {
+      fields.securityType = rule.securityType;
+      fields.securityConfig = rule.securityConfig;
+    }
+    return { fields, recipients };
+  }
+
+  const source = (await db.ref(`users/${userId}/letters/${rule.letterId}`).once('value')).val();
+  if (!source) return null;
+
+  const fields = {};
+  CLONED_FIELDS.forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null) fields[field] = source[field];
+  });
+  return { fields, recipients: getRuleRecipients(rule, source) };
+};
+
+/**
+ * Create the letter of one occurrence: a new scheduled letter with a token per recipient and a
+ * scheduled email per recipient email. Returns { letterId, scheduledEmailIds }, or null when the
+ * source letter or template is gone.
+ */
+const prepareOccurrence = async (db, userId, ruleId, rule, occurrence) => {
+  const built = await buildOccurrenceFields(db, userId, rule, occurrence);
+  if (!built) return null;
+  const { fields, recipients } = built;
+
+  const parts = ['introductory', 'mainBody', 'closing']
+    .map((field) => (typeof fields[field] === 'string' ? fields[field].trim() : ''))
+    .filter(Boolean);
+  const now = new Date().toISOString();
+  const letter = {
+    ...fields,
+    content: parts.length > 0 ? parts.join('\n\n') : (fields.content || ''),
+    receiverEmail: recipients[0].email || '',
+    receiverName: recipients[0].name || '',
+    status: 'unread',
+    readAt: null,
+    state: 'scheduled',
+    stateUpdatedAt: now,
+    stateTimestamps: { scheduled: now },
+    emailScheduled: true,
+    scheduledDateTime: occurrence.sendAt,
+    recurringRuleId: ruleId,
+    occurrenceDate: occurrence.date,
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (rule.templateId) letter.templateId = rule.templateId;
+
+  const letterRef = db.ref(`users/${userId}/letters`).push();
+  const letterId = letterRef.key;
+  letter.recipients = {};
+  recipients.forEach((recipient) => {
+    letter.recipients[letterRef.child('recipients').push().key] = {
+      name: recipient.name,
+      email: recipient.email,
+      status: 'unread',
+      addedAt: now,
+    };
+  });
+  letter.recipients = await mintRecipientTokens(db, userId, letterId, letter.recipients);
+  letter.accessToken = letter.recipients[Object.keys(letter.recipients)[0]].accessToken;
+  await letterRef.set(letter);
+
+  const senderName = rule.senderName || await getSenderName(db, userId);
+  const scheduledEmailIds = [];
+  for (const recipient of Object.values(letter.recipients)) {
+    if (!recipient.email) continue;
+    scheduledEmailIds.push(await scheduleLetterEmail(db, {
+      recipientEmail: recipient.email,
+      recipientName: recipient.name,
+      senderName,
+      shareableLink: getLetterLink(recipient.accessToken),
+      letterTitle: letter.previewLine || letter.introductory || 'A letter for you',
+      scheduledDateTime: occurrence.sendAt,
+      userId,
+      letterId,
+      recurringRuleId: ruleId,
+    }));
+  }
+
+  return { letterId, scheduledEmailIds };
+};
+
+/**
+ * Prepare a rule's next occurrence if it is due and move its queue entry to the one after.
+ * The occurrence is claimed in a transaction first, so overlapping runs never prepare it twice;
+ * an occurrence whose preparation failed keeps its claim (with failedAt) rather than risk a duplicate.
+ * A rule whose source was deleted is paused. Returns the prepared occurrence, or null.
+ */
+const runRecurringRule = async (db, userId, ruleId, now = new Date()) => {
+  const ruleRef = db.ref(`users/${userId}/recurringLetters/${ruleId}`);
+  const rule = (await ruleRef.once('value')).val();
+  if (!rule) {
+    await db.ref(`recurringLetterQueue/${getQueueKey(userId, ruleId)}`).remove();
+    return null;
+  }
+
+  const updates = {};
+  let prepared = null;
+  const next = getNextPendingOccurrence(rule, now);
+  if (next && new Date(next.sendAt).getTime() - OCCURRENCE_LEAD_MS <= now.getTime()) {
+    const occurrenceRef = ruleRef.child(`occurrences/${next.date}`);
+    const claim = await occurrenceRef.transaction((current) => (
+      current ? undefined : { sendAt: next.sendAt, claimedAt: now.toISOString() }
+    ));
+    if (!claim.committed) return null;
+
+    let result;
+    try {
+      result = await prepareOccurrence(db, userId, ruleId, rule, next);
+    } catch (error) {
+      await occurrenceRef.update({ failedAt: new Date().toISOString() });
+      throw error;
+    }
+    if (result) {
+      prepared = { ...next, ...result };
+      rule.occurrences = { ...(rule.occurrences || {}), [next.date]: { ...result, sendAt: next.sendAt, preparedAt: now.toISOString() } };
+      updates[`users/${userId}/recurringLetters/${ruleId}/occurrences/${next.date}`] = rule.occurrences[next.date];
+    } else {
+      // Nothing was created, so release the claim
+      updates[`users/${userId}/recurringLetters/${ruleId}/occurrences/${next.date}`] = null;
+      rule.status = 'paused';
+      updates[`users/${userId}/recurringLetters/${ruleId}/status`] = 'paused';
+      updates[`users/${userId}/recurringLetters/${ruleId}/pausedReason`] = 'source_missing';
+      console.warn(`⚠️ Recurring letter ${ruleId} of user ${userId} paused: its ${rule.templateId ? 'template' : 'letter'} no longer exists`);
+    }
+  }
+
+  const { nextOccurrenceAt, queueUpdates } = scheduleNextRun(userId, ruleId, rule, now);
+  updates[`users/${userId}/recurringLetters/${ruleId}/nextOccurrenceAt`] = nextOccurrenceAt;
+  await db.ref().update({ ...updates, ...queueUpdates });
+  return prepared;
+};
+
+/**
+ * Run every rule whose next occurrence is due for preparation. Returns { prepared, failed }.
+ */
+const processDueRecurringLetters = async (db, now = new Date()) => {
+  const snapshot = await db.ref('recurringLetterQueue').orderByChild('nextRunAt').endAt(now.toISOString()).once('value');
+
+  const due = [];
+  snapshot.forEach((child) => {
+    due.push(child.val());
+  });
+
+  let prepared = 0;
+  let failed = 0;
+  for (const { userId, ruleId } of due) {
+    try {
+      if (await runRecurringRule(db, userId, ruleId, now)) prepared++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Error preparing recurring letter ${ruleId} of user ${userId}:`, error);
+    }
+  }
+
+  return { prepared, failed };
+};
+
+module.exports = {
+  DEFAULT_UPCOMING_COUNT,
+  MAX_UPCOMING_COUNT,
+  getQueueKey,
+  normalizeRecurrenceRule,
+  isValidOccurrenceDate,
+  getRuleRecipients,
+  getUpcomingOccurrences,
+  scheduleNextRun,
+  processDueRecurringLetters,
+};
@@ -0,0 +1,98 @@
+// responseIndex.js - Denormalized index of the responses a sender received (users/{userId}/responseIndex)
+//
+// Each entry has the same id as the response in letters/{letterId}/responses (or the receiver's message
+// in letters/{letterId}/thread, with source: 'thread') and carries the letter info the all-responses
+// view needs, so that view is one query instead of one read per letter.
+
+// Bump to rebuild every user's index from their letters on next use
+// (2: receiver thread messages are indexed too)
+const RESPONSE_INDEX_VERSION = 2;
+
+const buildResponseIndexEntry = (letterId, letter, response, source = 'responses') => ({
+  letterId,
+  source,
+  letterTitle: letter.introductory || letter.title || 'Untitled Letter',
+  letterCreatedAt: letter.createdAt || null,
+  content: response.content || '',
+  receiverName: response.receiverName || response.authorName || null,
+  recipientId: response.recipientId || null,
+  createdAt: response.createdAt || null,
+  updatedAt: response.updatedAt || response.createdAt || null,
+});
+
+const getIndexRef = (db, userId) => db.ref(`users/${userId}/responseIndex`);
+
+// Index entries of every way the receivers wrote back to a letter: responses and their thread messages
+const buildLetterIndexEntries = (letterId, letter) => {
+  const entries = {};
+  Object.entries(letter.responses || {}).forEach(([responseId, response]) => {
+    entries[responseId] = buildResponseIndexEntry(letterId, letter, response);
+  });
+  Object.entries(letter.thread || {}).forEach(([messageId, message]) => {
+    if (message && message.author === 'receiver') {
+      entries[messageId] = buildResponseIndexEntry(letterId, letter, message, 'thread');
+    }
+  });
+  return entries;
+};
+
+/**
+ * Add or refresh the index entry of one response (source 'thread' for a receiver's thread message)
+ */
+const indexResponse = async (db, userId, letterId, letter, responseId, response, source = 'responses') => {
+  await getIndexRef(db, userId).child(responseId).set(buildResponseIndexEntry(letterId, letter, response, source));
+};
+
+const removeIndexedResponse = async (db, userId, responseId) => {
+  await getIndexRef(db, userId).child(responseId).remove();
+};
+
+/**
+ * Rewrite the index entries of one letter from its responses and thread - after its title changed,
+ * or with letter = null to drop them when the letter is deleted
+ */
+const reindexLetterResponses = async (db, userId, letterId, letter) => {
+  const indexRef = getIndexRef(db, userId);
+  const existing = await indexRef.orderByChild('letterId').equalTo(letterId).once('value');
+
+  const updates = {};
+  existing.forEach((child) => {
+    updates[child.key] = null;
+  });
+  if (letter) {
+    Object.assign(updates, buildLetterIndexEntries(letterId, letter));
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await indexRef.update(updates);
+  }
+};
+
+/**
+ * Build the index from the user's letters if it predates the current version (once per user).
+ * Entries are merged in, so responses indexed while this runs are kept.
+ */
+const ensureResponseIndex = async (db, userId) => {
+  const versionSnapshot = await db.ref(`users/${userId}/responseIndexVersion`).once('value');
+  if (versionSnapshot.val() === RESPONSE_INDEX_VERSION) return;
+
+  const lettersSnapshot = await db.ref(`users/${userId}/letters`).once('value');
+  const letters = lettersSnapshot.val() || {};
+
+  const updates = { responseIndexVersion: RESPONSE_INDEX_VERSION };
+  Object.entries(letters).forEach(([letterId, letter]) => {
+    Object.entries(buildLetterIndexEntries(letterId, letter)).forEach(([responseId, entry]) => {
+      updates[`responseIndex/${responseId}`] = entry;
+    });
+  });
+
+  await db.ref(`users/${userId}`).update(updates);
+  console.log(`✅ Response index built for user ${userId}: ${Object.keys(updates).length - 1} responses`);
+};
+
+module.exports = {
+  indexResponse,
+  removeIndexedResponse,
+  reindexLetterResponses,
+  ensureResponseIndex,
+};
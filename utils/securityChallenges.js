@@ -0,0 +1,670 @@
+// securityChallenges.js - Security challenge types for letters: preparing (hashing) configs and checking answers
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { DATE_ORDERS, DEFAULT_DATE_ORDER, resolveDateOrder, parseDateAnswer, isAmbiguousDateAnswer } = require('./dateAnswers');
+const { normalizeHintSettings } = require('./securityHints');
+
+const scrypt = promisify(crypto.scrypt);
+
+// quiz and date are the original single-answer types; choice and multi were added later
+const SECURITY_TYPES = ['quiz', 'date', 'choice', 'multi'];
+// Types allowed for the individual questions of a multi-question challenge
+const QUESTION_TYPES = ['quiz', 'date', 'choice'];
+
+const MAX_QUESTIONS = 10;
+const MAX_ACCEPTED_ANSWERS = 10;
+const MAX_CHOICE_OPTIONS = 10;
+// Typo tolerance hashes every deletion variant of an answer (when stored) and of a guess (when checked),
+// each at the full scrypt cost, so cap how many hashes one answer may need
+const MAX_TYPO_HASHES = 16;
+// A second typo needs C(length, 2) more hashes per guess, over that cap for any answer long enough
+// for two typos, so only a single typo can be tolerated
+const MAX_EDIT_DISTANCE = 1;
+// The longest answer that still fits one typo in that budget (a guess with one typo is one character longer)
+const MAX_TYPO_TOLERANT_LENGTH = MAX_TYPO_HASHES - 2;
+// Answers need at least this many characters per allowed typo, otherwise almost anything would match
+const CHARS_PER_TYPO = 4;
+// Every scrypt hash takes tens of milliseconds, so a whole config gets a budget too: the hashes needed
+// to prepare it (all answers and typo variants) and the hashes needed to check one guess against it
+const MAX_CONFIG_HASHES = 128;
+const MAX_CHECK_HASHES = 40;
+
+// Answers are hashed with scrypt and a per-letter salt (stored as securityConfig.salt).
+// Configs without a hashScheme are legacy unsalted SHA-256 and are re-hashed on the next correct answer.
+const HASH_SCHEME = 'scrypt-v1';
+const SCRYPT_KEY_LENGTH = 32;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// Normalize an answer: trim, lowercase, collapse whitespace
+const normalizeAnswer = (answer) => String(answer).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isEmptyAnswer = (answer) => answer === undefined || answer === null || answer === '';
+
+// Legacy unsalted SHA-256 of the normalized answer (only used to check letters created before scrypt)
+const hashAnswer = (answer) => {
+  if (isEmptyAnswer(answer)) return null;
+  return crypto.createHash('sha256').update(normalizeAnswer(answer)).digest('hex');
+};
+
+// Build the hash functions for a config: scrypt with its salt, or legacy SHA-256 when it has none
+const createHasher = (securityConfig) => {
+  if (!securityConfig || securityConfig.hashScheme !== HASH_SCHEME || !securityConfig.salt) {
+    return {
+      hash: async (answer) => hashAnswer(answer),
+      hashVariant: async (variant) => hashAnswer(variant),
+    };
+  }
+
+  const salt = Buffer.from(securityConfig.salt, 'hex');
+  return {
+    hash: async (answer) => {
+      if (isEmptyAnswer(answer)) return null;
+      return (await scrypt(normalizeAnswer(answer), salt, SCRYPT_KEY_LENGTH, SCRYPT_OPTIONS)).toString('hex');
+    },
+    hashVariant: async (variant) => {
+      return (await scrypt(variant, salt, SCRYPT_KEY_LENGTH, SCRYPT_OPTIONS)).toString('hex');
+    },
+  };
+};
+
+// A fresh salt for a new config
+const createHashSettings = () => ({
+  hashScheme: HASH_SCHEME,
+  salt: crypto.randomBytes(16).toString('hex'),
+});
+
+const needsRehash = (securityConfig) => !!securityConfig && securityConfig.hashScheme !== HASH_SCHEME;
+
+// Legacy date questions hashed the trimmed string as typed; newer ones (canonicalDate: true)
+// hash the parsed calendar date, so "2020-02-14" and "Feb 14, 2020" give the same hash
+const hashDateAnswer = (hasher, answer) => hasher.hash(String(answer).trim());
+
+// Firebase returns arrays with missing indexes as objects, so accept both
+const toList = (value) => {
+  if (Array.isArray(value)) return value.filter((item) => item !== undefined && item !== null);
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+};
+
+// Every way of deleting exactly `count` characters from `value`, as { variant, gaps }.
+// gaps lists (in order) the position in the variant each deleted character was taken from.
+const deletionVariants = (value, count, start = 0) => {
+  if (count === 0) return [{ variant: value, gaps: [] }];
+  const results = [];
+  for (let i = start; i <= value.length - count; i++) {
+    const rest = value.slice(0, i) + value.slice(i + 1);
+    // The remaining deletions come after position i, which is still position i in the shorter string
+    deletionVariants(rest, count - 1, i).forEach(({ variant, gaps }) => results.push({ variant, gaps: [i, ...gaps] }));
+  }
+  return results;
+};
+
+// The deletion neighborhood of a value: each variant with up to `distance` deletions and the gap lists it arises from
+const deletionNeighborhood = (value, distance) => {
+  const neighborhood = new Map();
+  for (let count = 0; count <= distance; count++) {
+    deletionVariants(value, count).forEach(({ variant, gaps }) => {
+      if (!neighborhood.has(variant)) neighborhood.set(variant, new Set());
+      neighborhood.get(variant).add(gaps.join(','));
+    });
+  }
+  return neighborhood;
+};
+
+// Edit distance between two strings that both reduce to the same variant: characters deleted at the
+// same gap on both sides pair up as substitutions, the others are insertions or deletions
+const gapEditCost = (gapsA, gapsB) => {
+  const countGaps = (gaps) => gaps.reduce((counts, gap) => counts.set(gap, (counts.get(gap) || 0) + 1), new Map());
+  const countsA = countGaps(gapsA);
+  const countsB = countGaps(gapsB);
+  let cost = 0;
+  new Set([...countsA.keys(), ...countsB.keys()]).forEach((gap) => {
+    cost += Math.max(countsA.get(gap) || 0, countsB.get(gap) || 0);
+  });
+  return cost;
+};
+
+// Every gap list of up to `count` deletions from a string that reduces to a variant of `length` characters
+const gapLists = (length, count, start = 0) => {
+  const lists = [[]];
+  if (count === 0) return lists;
+  for (let gap = start; gap <= length; gap++) {
+    gapLists(length, count - 1, gap).forEach((rest) => lists.push([gap, ...rest]));
+  }
+  return lists;
+};
+
+// A variant's scrypt hash is only the key: the stored hash also covers where the characters were deleted,
+// so a guess can be checked against the real edit distance and not just a shared variant
+const tagVariantHash = (variantHash, gaps) => {
+  return crypto.createHmac('sha256', variantHash).update(gaps).digest('hex');
+};
+
+// Hashes of the deletion neighborhood of an answer for a given typo allowance.
+// Two answers within `distance` edits share a variant with at most `distance` deletions on each side,
+// which lets us compare typo-tolerantly without ever storing the answer itself. Sharing a variant alone
+// is looser ("paris" and "arisx" share "aris"), so each hash also records the gaps the deletions came from.
+const typoNeighborhoodHashes = async (hasher, answer, distance) => {
+  const hashes = new Set();
+  for (const [variant, gapKeys] of deletionNeighborhood(normalizeAnswer(answer), distance)) {
+    const variantHash = await hasher.hashVariant(`${distance}|${variant}`);
+    gapKeys.forEach((gaps) => hashes.add(tagVariantHash(variantHash, gaps)));
+  }
+  return hashes;
+};
+
+// Whether a guess is within `distance` edits of an answer whose neighborhood hashes are stored.
+// Each variant of the guess is hashed once, then tried with every answer-side gap list in reach.
+const matchesTypoNeighborhood = async (hasher, guess, distance, storedHashes) => {
+  for (const [variant, gapKeys] of deletionNeighborhood(guess, distance)) {
+    const variantHash = await hasher.hashVariant(`${distance}|${variant}`);
+    const guessGaps = [...gapKeys].map((gaps) => (gaps === '' ? [] : gaps.split(',').map(Number)));
+    for (const answerGaps of gapLists(variant.length, distance)) {
+      const inReach = guessGaps.some((gaps) => gapEditCost(answerGaps, gaps) <= distance);
+      if (inReach && storedHashes.has(tagVariantHash(variantHash, answerGaps.join(',')))) return true;
+    }
+  }
+  return false;
+};
+
+// Validate a maxEditDistance value, returning the number or an error message
+const parseEditDistance = (value) => {
+  if (value === undefined || value === null || value === '') return { value: 0 };
+  const distance = Number(value);
+  if (!Number.isInteger(distance) || distance < 0 || distance > MAX_EDIT_DISTANCE) {
+    return { error: `maxEditDistance must be a whole number between 0 and ${MAX_EDIT_DISTANCE}` };
+  }
+  return { value: distance };
+};
+
+// Hashes spent so far by the config being prepared
+const createHashBudget = () => ({ prepare: 0, check: 0 });
+
+// Reserve hashes for a question before computing them, returning an error once the config is over budget
+const spendHashes = (budget, prepare, check) => {
+  budget.prepare += prepare;
+  budget.check += check;
+  if (budget.prepare > MAX_CONFIG_HASHES || budget.check > MAX_CHECK_HASHES) {
+    return 'This challenge needs too many answer hashes. Use fewer questions, accepted answers or typo-tolerant answers';
+  }
+  return null;
+};
+
+// Prepare a free-text (quiz) question: hash the correct and accepted answers
+const prepareQuizQuestion = async (hasher, question, budget = createHashBudget()) => {
+  const { correctAnswer, acceptedAnswers, correctAnswerHash, acceptedAnswerHashes, typoHashes, ...rest } = question;
+  const answers = [correctAnswer, ...toList(acceptedAnswers)]
+    .filter((answer) => answer !== undefined && answer !== null && String(answer).trim() !== '');
+
+  if (answers.length === 0) {
+    return { error: 'A correct answer is required' };
+  }
+  if (answers.length > MAX_ACCEPTED_ANSWERS + 1) {
+    return { error: `A question can have at most ${MAX_ACCEPTED_ANSWERS} accepted answers besides the correct one` };
+  }
+
+  const distance = parseEditDistance(rest.maxEditDistance);
+  if (distance.error) return { error: distance.error };
+
+  // Work out every hash the question needs (and a guess check costs) before spending time on them
+  if (distance.value > 0) {
+    const tooLong = answers.some((answer) => normalizeAnswer(answer).length > MAX_TYPO_TOLERANT_LENGTH);
+    if (tooLong) {
+      return { error: `Typo-tolerant answers must be at most ${MAX_TYPO_TOLERANT_LENGTH} characters` };
+    }
+    // Shorter answers would match almost anything with that many typos
+    const tooShort = answers.some((answer) => normalizeAnswer(answer).length < distance.value * CHARS_PER_TYPO);
+    if (tooShort) {
+      return { error: `Typo-tolerant answers need at least ${distance.value * CHARS_PER_TYPO} characters` };
+    }
+  }
+  const variantCount = distance.value > 0
+    ? answers.reduce((count, answer) => count + deletionNeighborhood(normalizeAnswer(answer), distance.value).size, 0)
+    : 0;
+  const budgetError = spendHashes(budget, answers.length + variantCount, 1 + (distance.value > 0 ? MAX_TYPO_HASHES : 0));
+  if (budgetError) return { error: budgetError };
+
+  const prepared = { ...rest, correctAnswerHash: await hasher.hash(answers[0]) };
+  delete prepared.maxEditDistance;
+
+  const acceptedHashes = new Set();
+  for (const answer of answers.slice(1)) {
+    acceptedHashes.add(await hasher.hash(answer));
+  }
+  if (acceptedHashes.size > 0) prepared.acceptedAnswerHashes = [...acceptedHashes];
+
+  if (distance.value > 0) {
+    const neighborhood = new Set();
+    for (const answer of answers) {
+      (await typoNeighborhoodHashes(hasher, answer, distance.value)).forEach((hash) => neighborhood.add(hash));
+    }
+    prepared.maxEditDistance = distance.value;
+    prepared.typoHashes = [...neighborhood];
+  }
+
+  return { question: prepared };
+};
+
+// Prepare a date question: hash the correct date
+const prepareDateQuestion = async (hasher, question, budget = createHashBudget()) => {
+  const { correctDate, correctDateHash, dateOrder, dateLocale, ...rest } = question;
+  if (correctDate === undefined || correctDate === null || String(correctDate).trim() === '') {
+    return { error: 'A correct date is required' };
+  }
+
+  // The sender's order (or locale) decides how ambiguous numeric dates like 02/03/2020 are read
+  const order = resolveDateOrder(dateOrder, dateLocale);
+  if (order.error) return { error: order.error };
+
+  const canonicalDate = parseDateAnswer(correctDate, order.order);
+  if (!canonicalDate) {
+    return { error: 'correctDate must be a valid date, for example 2020-02-14 or Feb 14, 2020' };
+  }
+  const budgetError = spendHashes(budget, 1, 1);
+  if (budgetError) return { error: budgetError };
+
+  return {
+    question: {
+      ...rest,
+      dateOrder: order.order,
+      canonicalDate: true,
+      correctDateHash: await hashDateAnswer(hasher, canonicalDate),
+    },
+  };
+};
+
+// Prepare a multiple-choice question: keep the options, hash which one is correct
+const prepareChoiceQuestion = async (hasher, question, budget = createHashBudget()) => {
+  const { correctOption, correctOptionHash, ...rest } = question;
+  const options = toList(rest.options).map((option) => String(option).trim());
+
+  if (options.length < 2 || options.length > MAX_CHOICE_OPTIONS) {
+    return { error: `A multiple-choice question needs between 2 and ${MAX_CHOICE_OPTIONS} options` };
+  }
+  if (options.some((option) => option === '')) {
+    return { error: 'Multiple-choice options cannot be empty' };
+  }
+  if (new Set(options.map(normalizeAnswer)).size !== options.length) {
+    return { error: 'Multiple-choice options must be different from each other' };
+  }
+
+  // The correct option may be given as its index or its text
+  let correctText = null;
+  if (typeof correctOption === 'number' && Number.isInteger(correctOption)) {
+    correctText = options[correctOption];
+  } else if (correctOption !== undefined && correctOption !== null) {
+    correctText = options.find((option) => normalizeAnswer(option) === normalizeAnswer(correctOption));
+  }
+  if (!correctText) {
+    return { error: 'correctOption must be one of the options (by index or text)' };
+  }
+  const budgetError = spendHashes(budget, 1, 1);
+  if (budgetError) return { error: budgetError };
+
+  return { question: { ...rest, options, correctOptionHash: await hasher.hash(correctText) } };
+};
+
+const QUESTION_PREPARERS = {
+  quiz: prepareQuizQuestion,
+  date: prepareDateQuestion,
+  choice: prepareChoiceQuestion,
+};
+
+// Prepare a multi-question challenge: prepare each question and check the required count
+const prepareMultiConfig = async (hasher, config, budget = createHashBudget()) => {
+  const questions = toList(config.questions);
+  if (questions.length === 0 || questions.length > MAX_QUESTIONS) {
+    return { error: `A multi-question challenge needs between 1 and ${MAX_QUESTIONS} questions` };
+  }
+
+  const preparedQuestions = [];
+  const usedIds = new Set();
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    if (!question || typeof question !== 'object') {
+      return { error: `Question ${i + 1} is not valid` };
+    }
+    const type = question.type || 'quiz';
+    if (!QUESTION_TYPES.includes(type)) {
+      return { error: `Question ${i + 1} has an unsupported type. Use one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+
+    // Questions are answered by id, so make sure each has a unique, safe one
+    const id = question.id !== undefined ? String(question.id).trim() : `q${i + 1}`;
+    if (!/^[a-zA-Z0-9_-]{1,32}$/.test(id) || usedIds.has(id)) {
+      return { error: `Question ${i + 1} needs a unique id (letters, numbers, - or _)` };
+    }
+    usedIds.add(id);
+
+    // Date questions fall back to the challenge-wide date order or locale
+    const dateSettings = type === 'date'
+      ? { dateOrder: question.dateOrder ?? config.dateOrder, dateLocale: question.dateLocale ?? config.dateLocale }
+      : {};
+    const result = await QUESTION_PREPARERS[type](hasher, { ...question, ...dateSettings, id, type }, budget);
+    if (result.error) return { error: `Question ${i + 1}: ${result.error}` };
+    preparedQuestions.push(result.question);
+  }
+
+  let requiredCorrect = preparedQuestions.length;
+  if (config.requiredCorrect !== undefined && config.requiredCorrect !== null && config.requiredCorrect !== '') {
+    requiredCorrect = Number(config.requiredCorrect);
+    if (!Number.isInteger(requiredCorrect) || requiredCorrect < 1 || requiredCorrect > preparedQuestions.length) {
+      return { error: `requiredCorrect must be between 1 and ${preparedQuestions.length}` };
+    }
+  }
+
+  return { config: { ...config, questions: preparedQuestions, requiredCorrect } };
+};
+
+/**
+ * Validate a security config sent by the sender and replace every answer with a salted scrypt hash.
+ * Returns { config } on success or { error } with a message for the sender.
+ */
+const prepareSecurityConfig = async (securityType, securityConfig) => {
+  if (!SECURITY_TYPES.includes(securityType)) {
+    return { error: `Unsupported security type. Use one of: ${SECURITY_TYPES.join(', ')}` };
+  }
+  if (!securityConfig || typeof securityConfig !== 'object' || Array.isArray(securityConfig)) {
+    return { error: 'securityConfig must be an object' };
+  }
+
+  // Answers can't be re-hashed without their plain text, so never accept existing hash settings
+  const { hashScheme, salt, hints, hintEvery, ...config } = securityConfig;
+
+  // Hints are revealed one by one after wrong answers (see securityHints.js)
+  const hintSettings = normalizeHintSettings({ hints, hintEvery });
+  if (hintSettings.error) return { error: hintSettings.error };
+
+  const hashSettings = createHashSettings();
+  const hasher = createHasher(hashSettings);
+  // Shared by every question, so large multi-question configs are rejected before they take seconds to hash
+  const budget = createHashBudget();
+
+  const result = securityType === 'multi'
+    ? await prepareMultiConfig(hasher, config, budget)
+    : await QUESTION_PREPARERS[securityType](hasher, config, budget);
+  if (result.error) return { error: result.error };
+
+  return { config: { ...(result.config || result.question), ...hintSettings.settings, ...hashSettings } };
+};
+
+// Check a free-text answer against the correct, accepted and typo-tolerant hashes
+const checkQuizAnswer = async (hasher, question, answer) => {
+  if (!question.correctAnswerHash) return null;
+  const answerHash = await hasher.hash(answer);
+  if (!answerHash) return false;
+  if (answerHash === question.correctAnswerHash) return true;
+  if (toList(question.acceptedAnswerHashes).includes(answerHash)) return true;
+
+  // Configs stored before the single-typo limit may ask for more, which a guess can't be checked for in budget
+  const maxEditDistance = Math.min(Number(question.maxEditDistance) || 0, MAX_EDIT_DISTANCE);
+  const typoHashes = toList(question.typoHashes);
+  if (maxEditDistance > 0 && typoHashes.length > 0) {
+    const normalized = normalizeAnswer(answer);
+    if (normalized.length > MAX_TYPO_TOLERANT_LENGTH + maxEditDistance) return false;
+    return matchesTypoNeighborhood(hasher, normalized, maxEditDistance, new Set(typoHashes));
+  }
+  return false;
+};
+
+const checkDateAnswer = async (hasher, question, answer) => {
+  if (!question.correctDateHash) return null;
+  const canonicalDate = parseDateAnswer(answer, question.dateOrder || DEFAULT_DATE_ORDER);
+  if (canonicalDate && (await hashDateAnswer(hasher, canonicalDate)) === question.correctDateHash) return true;
+  if (question.canonicalDate) return false;
+  // Legacy questions also match the date exactly as the sender typed it
+  return (await hashDateAnswer(hasher, answer)) === question.correctDateHash;
+};
+
+// Choice answers may be the option index or the option text
+const getChosenOption = (question, answer) => {
+  const options = toList(question.options);
+  const index = typeof answer === 'number' ? answer : (/^\d+$/.test(String(answer).trim()) ? Number(answer) : NaN);
+  return Number.isInteger(index) && options[index] !== undefined ? options[index] : answer;
+};
+
+const checkChoiceAnswer = async (hasher, question, answer) => {
+  if (!question.correctOptionHash) return null;
+  return (await hasher.hash(getChosenOption(question, answer))) === question.correctOptionHash;
+};
+
+const QUESTION_CHECKERS = {
+  quiz: checkQuizAnswer,
+  date: checkDateAnswer,
+  choice: checkChoiceAnswer,
+};
+
+// Answers to a multi-question challenge come as { questionId: answer } or an array in question order
+const getMultiAnswer = (answers, question, index) => {
+  if (Array.isArray(answers)) return answers[index];
+  if (answers && typeof answers === 'object') return answers[question.id];
+  return undefined;
+};
+
+/**
+ * Check an answer against a stored (hashed) security config.
+ * Returns { isCorrect }, or { error: 'misconfigured' | 'invalid_answer' | 'unsupported_type' }.
+ * For multi-question challenges only the overall result is returned, never which questions were right.
+ */
+const checkSecurityAnswer = async (securityType, securityConfig, answer) => {
+  if (!SECURITY_TYPES.includes(securityType)) return { error: 'unsupported_type' };
+  const hasher = createHasher(securityConfig);
+
+  if (securityType !== 'multi') {
+    if (typeof answer === 'object') return { error: 'invalid_answer' };
+    const isCorrect = await QUESTION_CHECKERS[securityType](hasher, securityConfig, answer);
+    return isCorrect === null ? { error: 'misconfigured' } : { isCorrect };
+  }
+
+  const questions = toList(securityConfig.questions);
+  if (questions.length === 0) return { error: 'misconfigured' };
+  if (!answer || typeof answer !== 'object') return { error: 'invalid_answer' };
+
+  let correctCount = 0;
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    const checker = QUESTION_CHECKERS[question.type || 'quiz'];
+    if (!checker) return { error: 'misconfigured' };
+    const questionAnswer = getMultiAnswer(answer, question, i);
+    if (questionAnswer === undefined || questionAnswer === null || typeof questionAnswer === 'object') continue;
+    const isCorrect = await checker(hasher, question, questionAnswer);
+    if (isCorrect === null) return { error: 'misconfigured' };
+    if (isCorrect) correctCount++;
+  }
+
+  const requiredCorrect = Number(securityConfig.requiredCorrect) || questions.length;
+  return { isCorrect: correctCount >= requiredCorrect };
+};
+
+// Re-hash one legacy question from the answer that just matched it.
+// Returns null when the question can't be rebuilt from that answer alone (accepted answers or typo tolerance).
+const rehashQuestion = async (hasher, question, answer) => {
+  const type = question.type || 'quiz';
+  if (type === 'quiz') {
+    if (toList(question.acceptedAnswerHashes).length > 0 || toList(question.typoHashes).length > 0) return null;
+    return { ...question, correctAnswerHash: await hasher.hash(answer) };
+  }
+  if (type === 'date') {
+    // Switch to the canonical date unless the matching answer could be read as two different dates
+    const order = question.dateOrder || DEFAULT_DATE_ORDER;
+    const canonicalDate = parseDateAnswer(answer, order);
+    if (canonicalDate && !isAmbiguousDateAnswer(answer)) {
+      return { ...question, dateOrder: order, canonicalDate: true, correctDateHash: await hashDateAnswer(hasher, canonicalDate) };
+    }
+    return { ...question, correctDateHash: await hashDateAnswer(hasher, answer) };
+  }
+  if (type === 'choice') {
+    return { ...question, correctOptionHash: await hasher.hash(getChosenOption(question, answer)) };
+  }
+  return null;
+};
+
+/**
+ * Upgrade a legacy (unsalted SHA-256) config to the current scheme, using an answer that was just
+ * accepted as correct. Returns the new config, or null when it can't be fully rebuilt from that answer
+ * (the letter then keeps working with its legacy hashes).
+ */
+const rehashSecurityConfig = async (securityType, securityConfig, answer) => {
+  if (!needsRehash(securityConfig)) return null;
+  const legacyHasher = createHasher(securityConfig);
+  const hashSettings = createHashSettings();
+  const hasher = createHasher(hashSettings);
+
+  if (securityType !== 'multi') {
+    const rehashed = await rehashQuestion(hasher, { ...securityConfig, type: securityType }, answer);
+    if (!rehashed) return null;
+    // type was only added to pick the right rehash
+    delete rehashed.type;
+    return { ...rehashed, ...hashSettings };
+  }
+
+  // Every question must have been answered correctly to rebuild its hash
+  const questions = toList(securityConfig.questions);
+  const rehashedQuestions = [];
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    const checker = QUESTION_CHECKERS[question.type || 'quiz'];
+    const questionAnswer = getMultiAnswer(answer, question, i);
+    if (!checker || isEmptyAnswer(questionAnswer) || typeof questionAnswer === 'object') return null;
+    if (!(await checker(legacyHasher, question, questionAnswer))) return null;
+    const rehashed = await rehashQuestion(hasher, question, questionAnswer);
+    if (!rehashed) return null;
+    rehashedQuestions.push(rehashed);
+  }
+  return { ...securityConfig, questions: rehashedQuestions, ...hashSettings };
+};
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const isAnswerHash = (value) => typeof value === 'string' && HASH_PATTERN.test(value);
+// A list of answer hashes with at most `max` entries, or null when it isn't one
+const toHashList = (value, max) => {
+  const list = toList(value);
+  return list.length <= max && list.every(isAnswerHash) ? list : null;
+};
+
+// Rebuild one already-hashed question from only the fields a prepared question has
+const normalizeHashedQuestion = (question, type) => {
+  if (!question || typeof question !== 'object') return null;
+  const normalized = {};
+  ['question', 'questionType'].forEach((field) => {
+    if (typeof question[field] === 'string') normalized[field] = question[field].substring(0, 500);
+  });
+
+  if (type === 'quiz') {
+    const acceptedAnswerHashes = toHashList(question.acceptedAnswerHashes, MAX_ACCEPTED_ANSWERS);
+    const typoHashes = toHashList(question.typoHashes, (MAX_ACCEPTED_ANSWERS + 1) * MAX_TYPO_HASHES);
+    const distance = parseEditDistance(question.maxEditDistance);
+    if (!isAnswerHash(question.correctAnswerHash) || !acceptedAnswerHashes || !typoHashes || distance.error) return null;
+    normalized.correctAnswerHash = question.correctAnswerHash;
+    if (acceptedAnswerHashes.length > 0) normalized.acceptedAnswerHashes = acceptedAnswerHashes;
+    if (distance.value > 0) {
+      normalized.maxEditDistance = distance.value;
+      if (typoHashes.length > 0) normalized.typoHashes = typoHashes;
+    }
+  } else if (type === 'date') {
+    if (!isAnswerHash(question.correctDateHash) || !DATE_ORDERS.includes(question.dateOrder)) return null;
+    normalized.correctDateHash = question.correctDateHash;
+    normalized.dateOrder = question.dateOrder;
+    if (question.canonicalDate === true) normalized.canonicalDate = true;
+  } else if (type === 'choice') {
+    const options = toList(question.options);
+    if (!isAnswerHash(question.correctOptionHash) || options.length < 2 || options.length > MAX_CHOICE_OPTIONS
+      || !options.every((option) => typeof option === 'string' && option.trim() !== '')) return null;
+    normalized.options = options.map((option) => option.substring(0, 500));
+    normalized.correctOptionHash = question.correctOptionHash;
+  } else {
+    return null;
+  }
+  return normalized;
+};
+
+/**
+ * Validate a security config that is already hashed (from an account archive).
+ * Only configs hashed with the current scheme are accepted, rebuilt from the expected hashed fields only.
+ * Returns { config } or { error }.
+ */
+const normalizeHashedSecurityConfig = (securityType, securityConfig) => {
+  if (!SECURITY_TYPES.includes(securityType)) return { error: 'Unsupported security type' };
+  if (!securityConfig || typeof securityConfig !== 'object' || Array.isArray(securityConfig)) {
+    return { error: 'securityConfig must be an object' };
+  }
+  if (securityConfig.hashScheme !== HASH_SCHEME || typeof securityConfig.salt !== 'string' || !/^[0-9a-f]{32}$/.test(securityConfig.salt)) {
+    return { error: `Security answers must be hashed with ${HASH_SCHEME}` };
+  }
+
+  const hintSettings = normalizeHintSettings({ hints: securityConfig.hints, hintEvery: securityConfig.hintEvery });
+  if (hintSettings.error) return { error: hintSettings.error };
+  const hashSettings = { hashScheme: HASH_SCHEME, salt: securityConfig.salt };
+
+  if (securityType !== 'multi') {
+    const question = normalizeHashedQuestion(securityConfig, securityType);
+    if (!question) return { error: 'The security answers are not valid hashes' };
+    return { config: { ...question, ...hintSettings.settings, ...hashSettings } };
+  }
+
+  const questions = toList(securityConfig.questions);
+  if (questions.length === 0 || questions.length > MAX_QUESTIONS) {
+    return { error: `A multi-question challenge needs between 1 and ${MAX_QUESTIONS} questions` };
+  }
+  const normalizedQuestions = [];
+  const usedIds = new Set();
+  for (const question of questions) {
+    const type = (question && question.type) || 'quiz';
+    const id = question && question.id;
+    if (!QUESTION_TYPES.includes(type) || typeof id !== 'string' || !/^[a-zA-Z0-9_-]{1,32}$/.test(id) || usedIds.has(id)) {
+      return { error: 'The security questions are not valid' };
+    }
+    usedIds.add(id);
+    const normalized = normalizeHashedQuestion(question, type);
+    if (!normalized) return { error: 'The security answers are not valid hashes' };
+    normalizedQuestions.push({ id, type, ...normalized });
+  }
+
+  // Imported configs skip preparing, but checking a guess must still fit the hash budget
+  const checkHashes = normalizedQuestions
+    .reduce((count, question) => count + 1 + (question.typoHashes ? MAX_TYPO_HASHES : 0), 0);
+  if (checkHashes > MAX_CHECK_HASHES) {
+    return { error: 'This challenge needs too many answer hashes' };
+  }
+
+  const requiredCorrect = Number(securityConfig.requiredCorrect);
+  if (!Number.isInteger(requiredCorrect) || requiredCorrect < 1 || requiredCorrect > normalizedQuestions.length) {
+    return { error: `requiredCorrect must be between 1 and ${normalizedQuestions.length}` };
+  }
+
+  const config = { questions: normalizedQuestions, requiredCorrect, ...hintSettings.settings, ...hashSettings };
+  if (typeof securityConfig.question === 'string') config.question = securityConfig.question.substring(0, 500);
+  return { config };
+};
+
+// Strip answer hashes (and anything else that hints at the answer) from a config
+const toPublicQuestion = (question) => {
+  const publicQuestion = { ...question };
+  Object.keys(publicQuestion).forEach((key) => {
+    if (/hash|salt|^correct|^accepted|^hints$/i.test(key)) delete publicQuestion[key];
+  });
+  return publicQuestion;
+};
+
+// Helper function to remove answer hashes from a security config so it can be shown to receivers
+const toPublicSecurityConfig = (securityConfig) => {
+  if (!securityConfig || typeof securityConfig !== 'object') return securityConfig;
+  const publicConfig = toPublicQuestion(securityConfig);
+  if (publicConfig.questions) {
+    publicConfig.questions = toList(publicConfig.questions).map(toPublicQuestion);
+  }
+  return publicConfig;
+};
+
+module.exports = {
+  SECURITY_TYPES,
+  HASH_SCHEME,
+  normalizeAnswer,
+  hashAnswer,
+  needsRehash,
+  prepareSecurityConfig,
+  checkSecurityAnswer,
+  rehashSecurityConfig,
+  normalizeHashedSecurityConfig,
+  toPublicSecurityConfig,
+};
@@ -0,0 +1,105 @@
+// securityHints.js - Progressive hints for security challenges, revealed per token after failed attempts
+
+const MAX_HINTS = 5;
+const MAX_HINT_LENGTH = 280;
+// By default a new hint is revealed after every 3 wrong answers
+const DEFAULT_HINT_EVERY = 3;
+
+/**
+ * Validate the hints settings of a security config.
+ * Returns { settings } ({ hints, hintEvery } or {} when there are no hints) or { error }.
+ */
+const normalizeHintSettings = ({ hints, hintEvery }) => {
+  if (hints === undefined || hints === null) return { settings: {} };
+
+  const list = Array.isArray(hints) ? hints : (typeof hints === 'object' ? Object.values(hints) : null);
+  if (!list) return { error: 'hints must be a list of strings' };
+
+  const cleaned = list
+    .filter((hint) => typeof hint === 'string' && hint.trim() !== '')
+    .map((hint) => hint.trim().substring(0, MAX_HINT_LENGTH));
+  if (cleaned.length !== list.length) return { error: 'hints must be non-empty strings' };
+  if (cleaned.length > MAX_HINTS) return { error: `A challenge can have at most ${MAX_HINTS} hints` };
+  if (cleaned.length === 0) return { settings: {} };
+
+  let every = DEFAULT_HINT_EVERY;
+  if (hintEvery !== undefined && hintEvery !== null && hintEvery !== '') {
+    every = Number(hintEvery);
+    if (!Number.isInteger(every) || every < 1 || every > 20) {
+      return { error: 'hintEvery must be a whole number of attempts between 1 and 20' };
+    }
+  }
+
+  return { settings: { hints: cleaned, hintEvery: every } };
+};
+
+const getHints = (securityConfig) => {
+  const hints = securityConfig && securityConfig.hints;
+  if (!hints) return [];
+  return Array.isArray(hints) ? hints : Object.values(hints);
+};
+
+// Hints unlocked so far for a number of failed attempts
+const getRevealedHints = (securityConfig, revealedCount) => getHints(securityConfig).slice(0, revealedCount || 0);
+
+// Hint state lives on the token so every recipient gets their own progression,
+// and only tokens that really belong to the letter can collect hints
+const getHintRef = async (db, token, userId, letterId) => {
+  if (!token) return null;
+  const tokenSnapshot = await db.ref(`letterTokens/${token}`).once('value');
+  const tokenData = tokenSnapshot.val();
+  if (!tokenData || tokenData.userId !== userId || tokenData.letterId !== letterId) return null;
+  return db.ref(`letterTokens/${token}/securityHints`);
+};
+
+/**
+ * Count a wrong answer for a token and reveal the next hint when it is due.
+ * Returns { hints, newHint } (newHint is null when nothing new was revealed).
+ */
+const recordFailedAttemptForHints = async (db, token, userId, letterId, securityConfig) => {
+  const hints = getHints(securityConfig);
+  if (hints.length === 0) return { hints: [], newHint: null };
+
+  const hintRef = await getHintRef(db, token, userId, letterId);
+  if (!hintRef) return { hints: [], newHint: null };
+
+  const hintEvery = Number(securityConfig.hintEvery) || DEFAULT_HINT_EVERY;
+  const now = new Date().toISOString();
+  let previousCount = 0;
+  const result = await hintRef.transaction((current) => {
+    const state = current || {};
+    previousCount = state.revealedCount || 0;
+    const failedAttempts = (state.failedAttempts || 0) + 1;
+    const next = {
+      ...state,
+      failedAttempts,
+      revealedCount: Math.min(Math.floor(failedAttempts / hintEvery), hints.length),
+      lastFailedAt: now,
+    };
+    if (next.revealedCount > previousCount) next.lastRevealedAt = now;
+    return next;
+  });
+
+  const revealedCount = (result.snapshot.val() || {}).revealedCount || 0;
+  return {
+    hints: hints.slice(0, revealedCount),
+    newHint: revealedCount > previousCount ? hints[revealedCount - 1] : null,
+  };
+};
+
+/**
+ * Hints already revealed to a token (for reloading the challenge or the rate-limit message)
+ */
+const getTokenHints = async (db, token, userId, letterId, securityConfig) => {
+  if (getHints(securityConfig).length === 0) return [];
+  const hintRef = await getHintRef(db, token, userId, letterId);
+  if (!hintRef) return [];
+  const state = (await hintRef.once('value')).val() || {};
+  return getRevealedHints(securityConfig, state.revealedCount);
+};
+
+module.exports = {
+  normalizeHintSettings,
+  recordFailedAttemptForHints,
+  getTokenHints,
+};
@@ -0,0 +1,122 @@
+// securityLockout.js - Per-letter failed-answer counter and lockout for security challenges
+
+// Used for letters that don't set their own lockoutPolicy
+const DEFAULT_LOCKOUT_POLICY = { maxFailedAttempts: 10, lockoutMinutes: 60 };
+
+/**
+ * Validate a lockout policy from a request body.
+ * Returns { policy } (missing fields are taken from basePolicy) or { error }.
+ */
+const normalizeLockoutPolicy = (lockoutPolicy, basePolicy = DEFAULT_LOCKOUT_POLICY) => {
+  if (!lockoutPolicy || typeof lockoutPolicy !== 'object' || Array.isArray(lockoutPolicy)) {
+    return { error: 'lockoutPolicy must be an object with maxFailedAttempts and/or lockoutMinutes' };
+  }
+
+  const policy = { ...basePolicy };
+
+  if (lockoutPolicy.maxFailedAttempts !== undefined) {
+    const attempts = Number(lockoutPolicy.maxFailedAttempts);
+    if (!Number.isInteger(attempts) || attempts < 3 || attempts > 100) {
+      return { error: 'maxFailedAttempts must be a whole number between 3 and 100' };
+    }
+    policy.maxFailedAttempts = attempts;
+  }
+
+  if (lockoutPolicy.lockoutMinutes !== undefined) {
+    const minutes = Number(lockoutPolicy.lockoutMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 10080) {
+      return { error: 'lockoutMinutes must be a whole number of minutes (up to one week)' };
+    }
+    policy.lockoutMinutes = minutes;
+  }
+
+  return { policy };
+};
+
+const getLockoutPolicy = (letter = {}) => ({ ...DEFAULT_LOCKOUT_POLICY, ...(letter.lockoutPolicy || {}) });
+
+/**
+ * Return the time a letter stays locked until (ISO string), or null if it isn't locked right now
+ */
+const getActiveLockout = (letter = {}, now = new Date()) => {
+  const lockedUntil = letter.securityLockout && letter.securityLockout.lockedUntil;
+  if (!lockedUntil || new Date(lockedUntil).getTime() <= now.getTime()) return null;
+  return lockedUntil;
+};
+
+/**
+ * Count a wrong answer against the letter. The count is kept in a transaction so attempts
+ * made in parallel from different networks are all counted.
+ * Returns { failedAttempts, attemptsRemaining, lockedUntil, triggeredLockout }.
+ */
+const recordFailedAttempt = async (letterRef, letter) => {
+  const policy = getLockoutPolicy(letter);
+  const attemptAt = new Date();
+  const attemptAtIso = attemptAt.toISOString();
+
+  const result = await letterRef.child('securityLockout').transaction((current) => {
+    const lockout = current || {};
+
+    // Already locked - nothing more to count
+    if (lockout.lockedUntil && new Date(lockout.lockedUntil).getTime() > attemptAt.getTime()) {
+      return lockout;
+    }
+
+    const failedAttempts = (lockout.failedAttempts || 0) + 1;
+    if (failedAttempts >= policy.maxFailedAttempts) {
+      return {
+        failedAttempts: 0,
+        lastFailedAt: attemptAtIso,
+        lockedAt: attemptAtIso,
+        lockedUntil: new Date(attemptAt.getTime() + policy.lockoutMinutes * 60 * 1000).toISOString(),
+        lockoutCount: (lockout.lockoutCount || 0) + 1,
+      };
+    }
+
+    return {
+      ...lockout,
+      failedAttempts,
+      lastFailedAt: attemptAtIso,
+      lockedUntil: null,
+    };
+  });
+
+  const lockout = result.snapshot.val() || {};
+  const lockedUntil = getActiveLockout({ securityLockout: lockout }, attemptAt);
+  return {
+    failedAttempts: lockout.failedAttempts || 0,
+    attemptsRemaining: lockedUntil ? 0 : Math.max(policy.maxFailedAttempts - (lockout.failedAttempts || 0), 0),
+    lockedUntil,
+    // Only the attempt that set the lock reports it, so the sender is alerted once per lockout
+    triggeredLockout: lockout.lockedAt === attemptAtIso,
+  };
+};
+
+/**
+ * Reset the failure counter after a correct answer (past lockouts stay on record)
+ */
+const resetFailedAttempts = async (letterRef, letter) => {
+  if (!letter.securityLockout || !letter.securityLockout.failedAttempts) return;
+  await letterRef.child('securityLockout').update({ failedAttempts: 0 });
+};
+
+/**
+ * Lift an active lockout and reset the failure counter (sender action)
+ */
+const clearLockout = async (letterRef) => {
+  await letterRef.child('securityLockout').update({
+    failedAttempts: 0,
+    lockedUntil: null,
+    clearedAt: new Date().toISOString(),
+  });
+};
+
+module.exports = {
+  DEFAULT_LOCKOUT_POLICY,
+  normalizeLockoutPolicy,
+  getLockoutPolicy,
+  getActiveLockout,
+  recordFailedAttempt,
+  resetFailedAttempts,
+  clearLockout,
+};
@@ -0,0 +1,83 @@
+// unlockGrant.js - Short-lived signed grants proving a receiver passed a letter's security challenge
+const crypto = require('crypto');
+
+// Grants are valid for 30 minutes - long enough to read and reply, short enough to not be shared around
+const UNLOCK_GRANT_TTL_MS = 30 * 60 * 1000;
+
+// Secret used to sign grants. Without LETTER_UNLOCK_SECRET a random per-process secret is used,
+// which means grants stop working after a restart and across multiple instances.
+let unlockSecret = process.env.LETTER_UNLOCK_SECRET;
+if (!unlockSecret) {
+  console.warn('⚠️ LETTER_UNLOCK_SECRET not set. Using a temporary secret - unlock grants will not survive restarts.');
+  unlockSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', unlockSecret).update(payload).digest('base64url');
+};
+
+/**
+ * Create a signed unlock grant for a letter
+ */
+const createUnlockGrant = ({ userId, letterId, recipientId = null }, ttlMs = UNLOCK_GRANT_TTL_MS) => {
+  const expiresAt = Date.now() + ttlMs;
+  const payload = Buffer.from(JSON.stringify({
+    uid: userId,
+    lid: letterId,
+    rid: recipientId,
+    exp: expiresAt,
+  })).toString('base64url');
+
+  return {
+    grant: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+};
+
+/**
+ * Verify an unlock grant for a letter.
+ * Pass recipientId (null for legacy single-token letters) to also require the grant was issued for that
+ * recipient, so one recipient's grant can't unlock another recipient's token.
+ * Returns the grant payload ({ userId, letterId, recipientId }) or null if invalid, expired or for another letter.
+ */
+const verifyUnlockGrant = (grant, userId, letterId, recipientId = undefined) => {
+  if (typeof grant !== 'string' || !grant.includes('.')) return null;
+
+  const [payload, signature] = grant.split('.');
+  const expected = sign(payload);
+  const signatureBuffer = Buffer.from(signature || '');
+  const expectedBuffer = Buffer.from(expected);
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!data || data.uid !== userId || data.lid !== letterId || !data.exp || data.exp < Date.now()) {
+    return null;
+  }
+  if (recipientId !== undefined && (data.rid || null) !== (recipientId || null)) {
+    return null;
+  }
+
+  return { userId: data.uid, letterId: data.lid, recipientId: data.rid || null };
+};
+
+/**
+ * Read an unlock grant from a request (X-Unlock-Grant header or ?grant= query parameter)
+ */
+const getUnlockGrantFromRequest = (req) => {
+  return req.get('x-unlock-grant') || (typeof req.query.grant === 'string' ? req.query.grant : null);
+};
+
+module.exports = {
+  UNLOCK_GRANT_TTL_MS,
+  createUnlockGrant,
+  verifyUnlockGrant,
+  getUnlockGrantFromRequest,
+};